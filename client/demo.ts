@@ -51,11 +51,17 @@ const state = {
   decoder: new TextDecoder(),
   defaultDevices: new Map<MediaDeviceKind, string>([['audioinput', 'default']]),
   bitrateInterval: undefined as any,
+  sessionEvents: undefined as EventSource | undefined,
+  recordingStatus: undefined as any,
+  recordingStatusReceivedAt: 0,
+  recordingClockInterval: undefined as any,
+  isRecording: false as boolean,
   e2eeKeyProvider: new ExternalE2EEKeyProvider({ ratchetWindowSize: 100 }),
   chatMessages: new Map<string, { text: string; participant?: Participant }>(),
   currentSessionId: '' as string,
   creatorIdentity: '' as string,
   currentUserIdentity: '' as string,
+  accessToken: '' as string,
   isCreator: false as boolean,
 };
 let currentRoom: Room | undefined;
@@ -84,6 +90,8 @@ const searchParams = new URLSearchParams(window.location.search);
 const storedUrl = searchParams.get('url') ?? getLiveKitUrl();
 const storedToken = searchParams.get('token') ?? '';
 const storedSessionId = searchParams.get('sessionId') ?? '';
+// Signed invite from a host's invite link (grants e.g. the co-host role)
+const storedInvite = searchParams.get('invite') ?? undefined;
 (<HTMLInputElement>$('url')).value = storedUrl;
 (<HTMLInputElement>$('token')).value = storedToken;
 (<HTMLInputElement>$('session-id')).value = storedSessionId;
@@ -104,6 +112,11 @@ function generateSessionId(): string {
   return sessionId;
 }
 
+// The LiveKit token from the join endpoint also authenticates us against the session API
+function authHeaders(): Record<string, string> {
+  return state.accessToken ? { Authorization: `Bearer ${state.accessToken}` } : {};
+}
+
 function updateSearchParams(url: string, token: string, key: string, sessionId?: string) {
   const params = new URLSearchParams({ url, token, key });
   if (sessionId) {
@@ -188,6 +201,7 @@ const appActions = {
         },
         body: JSON.stringify({
           // identity is optional, will be auto-generated if not provided
+          invite: storedInvite,
         }),
       });
 
@@ -214,6 +228,7 @@ const appActions = {
       (<HTMLInputElement>$('token')).value = data.token;
       state.currentSessionId = data.sessionId;
       state.currentUserIdentity = data.identity;
+      state.accessToken = data.token;
       appendLog(`Generated token for identity: ${data.identity}, session: ${data.sessionId}`);
 
       // Check if user is the creator
@@ -227,71 +242,86 @@ const appActions = {
     }
   },
 
+  // Follows the session over its event stream (creator status, recording state) instead of polling
   checkIfCreator: async () => {
-    try {
-      if (!state.currentSessionId || !state.currentUserIdentity) {
-        console.log('Cannot check creator: missing sessionId or userIdentity');
-        return;
-      }
-      
-      const response = await fetch(`/api/sessions/${state.currentSessionId}`);
-      if (response.ok) {
-        const data = await response.json();
-        console.log('Creator check response:', {
-          session: data.session,
-          userIdentity: state.currentUserIdentity,
-          creatorIdentity: data.session?.creatorIdentity
-        });
-        if (data.success && data.session) {
-          state.isCreator = data.session.creatorIdentity === state.currentUserIdentity;
-          console.log('Is creator:', state.isCreator);
-          appActions.updateRecordingButtons();
-        }
-      } else {
-        console.error('Failed to fetch session:', response.status);
-      }
-    } catch (error: any) {
-      console.error('Error checking creator status:', error);
+    if (!state.currentSessionId || !state.currentUserIdentity) {
+      console.log('Cannot check creator: missing sessionId or userIdentity');
+      return;
+    }
+    if (state.sessionEvents) {
+      return;
     }
+
+    // EventSource cannot send an Authorization header
+    const params = new URLSearchParams({ access_token: state.accessToken });
+    const events = new EventSource(`/api/sessions/${state.currentSessionId}/events?${params}`);
+    state.sessionEvents = events;
+
+    events.addEventListener('session', (e) => {
+      const data = JSON.parse((<MessageEvent>e).data);
+      state.isCreator = data.session.creatorIdentity === state.currentUserIdentity;
+      console.log('Is creator:', state.isCreator);
+      applyRecordingStatus(data.recording);
+    });
+    events.addEventListener('creator.changed', (e) => {
+      const data = JSON.parse((<MessageEvent>e).data);
+      state.isCreator = data.creatorIdentity === state.currentUserIdentity;
+      appActions.updateRecordingButtons();
+    });
+    events.addEventListener('recording.status', (e) => {
+      applyRecordingStatus(JSON.parse((<MessageEvent>e).data));
+    });
+    events.addEventListener('recording.completed', (e) => {
+      const data = JSON.parse((<MessageEvent>e).data);
+      appendLog(`Recording ${data.recordingId} is ready (${formatElapsed(Math.round(data.duration || 0))})`);
+    });
+    events.addEventListener('participant.joined', (e) => {
+      const data = JSON.parse((<MessageEvent>e).data);
+      console.log(`${data.identity} joined the session (${data.participantCount} participants)`);
+    });
+    events.addEventListener('participant.left', (e) => {
+      const data = JSON.parse((<MessageEvent>e).data);
+      console.log(`${data.identity} left the session (${data.participantCount} participants)`);
+    });
+    events.onerror = () => {
+      // EventSource reconnects by itself and gets a fresh `session` snapshot
+      console.warn('Session event stream interrupted, reconnecting…');
+    };
   },
 
   updateRecordingButtons: () => {
     const startBtn = $('start-recording-button');
     const stopBtn = $('stop-recording-button');
-    
-    console.log('Updating recording buttons:', {
-      sessionId: state.currentSessionId,
-      isCreator: state.isCreator,
-      userIdentity: state.currentUserIdentity
-    });
-    
-    if (!state.currentSessionId || !state.isCreator) {
+    const markerBtn = $('add-marker-button');
+    const status = state.recordingStatus;
+
+    if (!state.currentSessionId || !status) {
       if (startBtn) startBtn.style.display = 'none';
       if (stopBtn) stopBtn.style.display = 'none';
+      if (markerBtn) markerBtn.style.display = 'none';
+      renderRecordingStatus(undefined);
       return;
     }
 
-    // Check session status to determine which button to show
-    fetch(`/api/sessions/${state.currentSessionId}`)
-      .then(res => res.json())
-      .then(data => {
-        console.log('Session data:', data);
-        if (data.success && data.session) {
-          if (data.session.isRecording) {
-            if (startBtn) startBtn.style.display = 'none';
-            if (stopBtn) stopBtn.style.display = 'inline-block';
-          } else {
-            if (startBtn) startBtn.style.display = 'inline-block';
-            if (stopBtn) stopBtn.style.display = 'none';
-          }
-        }
-      })
-      .catch(err => {
-        console.error('Error updating buttons:', err);
-        // Show start button by default if there's an error
-        if (startBtn) startBtn.style.display = 'inline-block';
-        if (stopBtn) stopBtn.style.display = 'none';
-      });
+    // Recorded time keeps running between events while the recording is active
+    const elapsedSeconds = status.status === 'active'
+      ? (status.elapsedSeconds || 0) + Math.floor((Date.now() - state.recordingStatusReceivedAt) / 1000)
+      : status.elapsedSeconds;
+    renderRecordingStatus({ ...status, elapsedSeconds });
+
+    if (markerBtn) markerBtn.style.display = status.isRecording ? 'inline-block' : 'none';
+    if (!state.isCreator) {
+      if (startBtn) startBtn.style.display = 'none';
+      if (stopBtn) stopBtn.style.display = 'none';
+    } else if (status.isRecording) {
+      if (startBtn) startBtn.style.display = 'none';
+      if (stopBtn) stopBtn.style.display = 'inline-block';
+    } else {
+      if (startBtn) startBtn.style.display = 'inline-block';
+      if (stopBtn) stopBtn.style.display = 'none';
+      // Can't start a new recording while the last one is still being uploaded
+      (<HTMLButtonElement>startBtn).disabled = status.status === 'ending';
+    }
   },
 
   startRecording: async () => {
@@ -306,16 +336,14 @@ const appActions = {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
+          ...authHeaders(),
         },
-        body: JSON.stringify({
-          identity: state.currentUserIdentity,
-        }),
+        body: JSON.stringify({}),
       });
 
       const data = await response.json();
       if (data.success) {
         appendLog('Recording started successfully');
-        appActions.updateRecordingButtons();
       } else {
         const errorMsg = data.error || 'Unknown error';
         const errorType = data.errorType || '';
@@ -341,16 +369,14 @@ const appActions = {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
+          ...authHeaders(),
         },
-        body: JSON.stringify({
-          identity: state.currentUserIdentity,
-        }),
+        body: JSON.stringify({}),
       });
 
       const data = await response.json();
       if (data.success) {
         appendLog('Recording stopped successfully. File will be processed and stored.');
-        appActions.updateRecordingButtons();
       } else {
         appendLog(`Failed to stop recording: ${data.error}`);
       }
@@ -360,6 +386,39 @@ const appActions = {
     }
   },
 
+  addMarker: async () => {
+    try {
+      if (!state.currentSessionId) {
+        appendLog('No session found. Please connect first.');
+        return;
+      }
+
+      const label = prompt('Label for this moment', 'Important moment');
+      if (label === null) {
+        return;
+      }
+
+      const response = await fetch(`/api/recordings/session/${state.currentSessionId}/markers`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...authHeaders(),
+        },
+        body: JSON.stringify({ label }),
+      });
+
+      const data = await response.json();
+      if (data.success) {
+        appendLog(`Marked "${data.marker.label}" at ${formatElapsed(Math.floor(data.marker.offset))}`);
+      } else {
+        appendLog(`Failed to add marker: ${data.error}`);
+      }
+    } catch (error: any) {
+      appendLog(`Error adding marker: ${error.message}`);
+      console.error('Add marker error:', error);
+    }
+  },
+
   shareRoom: async () => {
     try {
       const url = (<HTMLInputElement>$('url')).value;
@@ -468,7 +527,7 @@ Alternative (manual setup):
           headers: {
             'Content-Type': 'application/json',
           },
-          body: JSON.stringify({}),
+          body: JSON.stringify({ invite: storedInvite }),
         });
 
         if (response.ok) {
@@ -503,6 +562,7 @@ Alternative (manual setup):
       }
     }
 
+    state.accessToken = token;
     updateSearchParams(url, token, cryptoKey, sessionId);
 
     const connectOpts: RoomConnectOptions = {
@@ -568,6 +628,19 @@ Alternative (manual setup):
         updateButtonsForPublishState();
 
       })
+      .on(RoomEvent.ActiveSpeakersChanged, (speakers) => {
+        reportSpeakerActivity({ activeSpeakers: speakers.map((p) => p.identity) });
+      })
+      .on(RoomEvent.TrackMuted, (pub, participant) => {
+        if (isLocalParticipant(participant) && pub.kind === Track.Kind.Audio) {
+          reportSpeakerActivity({ muted: true });
+        }
+      })
+      .on(RoomEvent.TrackUnmuted, (pub, participant) => {
+        if (isLocalParticipant(participant) && pub.kind === Track.Kind.Audio) {
+          reportSpeakerActivity({ muted: false });
+        }
+      })
       .on(RoomEvent.RoomMetadataChanged, (metadata) => {
         appendLog('new metadata for room', metadata);
       })
@@ -890,6 +963,7 @@ Alternative (manual setup):
     if (state.bitrateInterval) {
       clearInterval(state.bitrateInterval);
     }
+    closeSessionEvents();
   },
 
   handleScenario: (e: Event) => {
@@ -998,6 +1072,9 @@ function handleRoomDisconnect(reason?: DisconnectReason) {
   if (!currentRoom) return;
   appendLog('disconnected from room', { reason });
   setButtonsForState(false);
+  closeSessionEvents();
+  renderRecordingStatus(undefined);
+  state.isRecording = false;
   renderParticipant(currentRoom.localParticipant, true);
   currentRoom.remoteParticipants.forEach((p) => {
     renderParticipant(p, true);
@@ -1178,6 +1255,85 @@ function renderBitrate() {
   }
 }
 
+// Feeds the speaker timeline of the current recording (LiveKit sends no webhooks for these)
+function reportSpeakerActivity(activity: { activeSpeakers?: string[]; muted?: boolean }) {
+  if (!state.currentSessionId || !state.isRecording) {
+    return;
+  }
+
+  fetch(`/api/sessions/${state.currentSessionId}/speaker-activity`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...authHeaders(),
+    },
+    body: JSON.stringify(activity),
+  }).catch((err) => console.error('Error reporting speaker activity:', err));
+}
+
+function formatElapsed(seconds: number): string {
+  const minutes = Math.floor(seconds / 60);
+  return `${String(minutes).padStart(2, '0')}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+// status is a recording status from the session event stream
+function applyRecordingStatus(status: any) {
+  state.recordingStatus = status;
+  state.recordingStatusReceivedAt = Date.now();
+  state.isRecording = !!status?.isRecording;
+  appActions.updateRecordingButtons();
+
+  if (status?.status === 'active' && !state.recordingClockInterval) {
+    state.recordingClockInterval = setInterval(appActions.updateRecordingButtons, 1000);
+  } else if (status?.status !== 'active' && state.recordingClockInterval) {
+    clearInterval(state.recordingClockInterval);
+    state.recordingClockInterval = undefined;
+  }
+}
+
+function closeSessionEvents() {
+  state.sessionEvents?.close();
+  state.sessionEvents = undefined;
+  if (state.recordingClockInterval) {
+    clearInterval(state.recordingClockInterval);
+    state.recordingClockInterval = undefined;
+  }
+  state.recordingStatus = undefined;
+}
+
+// status is the response of GET /api/recordings/session/:sessionId/status or a recording.status event
+function renderRecordingStatus(status: any) {
+  const indicator = $('recording-indicator');
+  if (!indicator) {
+    return;
+  }
+
+  let text = '';
+  const elapsed = formatElapsed(status?.elapsedSeconds || 0);
+  const size = status?.bytesWritten ? ` · ${(status.bytesWritten / (1024 * 1024)).toFixed(1)} MB` : '';
+  switch (status?.status) {
+    case 'starting':
+      text = '● Starting recording…';
+      break;
+    case 'active':
+      text = `● REC ${elapsed}${size}`;
+      break;
+    case 'paused':
+      text = `❚❚ Paused ${elapsed}`;
+      break;
+    case 'ending':
+      text = '⏳ Finishing recording, uploading to R2…';
+      break;
+    case 'failed':
+      text = `⚠ Recording failed${status.lastError ? `: ${status.lastError}` : ''}`;
+      break;
+  }
+
+  indicator.textContent = text;
+  indicator.className = `recording-indicator ${status?.status || ''}`;
+  indicator.style.display = text ? 'inline-block' : 'none';
+}
+
 function getParticipantsAreaElement(): HTMLElement {
   return (
     window.documentPictureInPicture?.window?.document.querySelector('#participants-area') ||
@@ -1,8 +1,27 @@
 // Server configuration
 require('dotenv').config();
+const path = require('path');
 console.log('LIVEKIT_API_KEY:', process.env.LIVEKIT_API_KEY);
 console.log('LIVEKIT_API_SECRET:', process.env.LIVEKIT_API_SECRET);
 
+/**
+ * Parse an environment variable holding JSON
+ * @param {string} name
+ * @param {*} fallback - Value used when the variable is unset or invalid
+ * @returns {*}
+ */
+function parseJsonEnv(name, fallback) {
+  if (!process.env[name]) {
+    return fallback;
+  }
+  try {
+    return JSON.parse(process.env[name]);
+  } catch (error) {
+    console.warn(`⚠️  ${name} is not valid JSON, ignoring it: ${error.message}`);
+    return fallback;
+  }
+}
+
 module.exports = {
   // LiveKit Configuration
   livekit: {
@@ -18,10 +37,36 @@ module.exports = {
     secretAccessKey: process.env.R2_SECRET_KEY,
     bucket: process.env.R2_BUCKET,
     endpoint: process.env.R2_ENDPOINT,
-    publicUrl: process.env.R2_PUBLIC_URL || 'https://pub-95b26d7009d14c6ca373f330f6d7923f.r2.dev',
+    publicUrl: process.env.R2_PUBLIC_URL, // Optional: only set this if the bucket is meant to be public
     region: process.env.R2_REGION || 'us-east-1', // Optional: defaults to 'auto', automatically converted to 'us-east-1' for S3 compatibility
   },
 
+  // Recording File Storage (see services/storage)
+  objectStorage: {
+    provider: process.env.OBJECT_STORAGE_PROVIDER || 'r2', // 'r2', 's3' (AWS S3, MinIO, ...) or 'local'
+    // Lifetime of presigned download URLs
+    signedUrlTtlSeconds: parseInt(process.env.SIGNED_URL_TTL_SECONDS || process.env.R2_SIGNED_URL_TTL_SECONDS || '3600', 10),
+    tenants: parseJsonEnv('OBJECT_STORAGE_TENANTS', {}), // tenant -> options replacing the provider's (e.g. { bucket })
+  },
+
+  // AWS S3 or S3-compatible storage (OBJECT_STORAGE_PROVIDER=s3)
+  s3: {
+    accessKeyId: process.env.S3_ACCESS_KEY,
+    secretAccessKey: process.env.S3_SECRET_KEY,
+    bucket: process.env.S3_BUCKET,
+    endpoint: process.env.S3_ENDPOINT, // Optional: e.g. http://minio:9000, empty for AWS S3
+    region: process.env.S3_REGION || 'us-east-1',
+    publicUrl: process.env.S3_PUBLIC_URL, // Optional: only set this if the bucket is meant to be public
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true', // Required by MinIO
+  },
+
+  // Local filesystem storage (OBJECT_STORAGE_PROVIDER=local)
+  localStorage: {
+    directory: process.env.LOCAL_STORAGE_DIR || path.join(__dirname, '..', 'data', 'recordings'),
+    egressDirectory: process.env.LOCAL_STORAGE_EGRESS_DIR, // The same directory as mounted in the egress container
+    publicUrl: process.env.LOCAL_STORAGE_PUBLIC_URL,
+  },
+
   // Server Configuration
   server: {
     port: process.env.PORT || 3001,
@@ -29,10 +74,101 @@ module.exports = {
     webhookSecret: process.env.WEBHOOK_SECRET || 'dev-webhook-secret',
   },
 
+  // API Authentication
+  auth: {
+    // Server-to-server key (X-API-Key header) for admin endpoints and backend integrations
+    adminApiKey: process.env.ADMIN_API_KEY,
+    // Key used to sign session invites (defaults to the LiveKit API secret)
+    inviteSecret: process.env.INVITE_SECRET || process.env.LIVEKIT_API_SECRET || 'devsecret',
+  },
+
+  // Incoming LiveKit Webhook Configuration
+  webhooks: {
+    // Legacy mode: accept `Authorization: Bearer <WEBHOOK_SECRET>` instead of a signed LiveKit webhook.
+    // Explicit opt-in, and never with the built-in dev secret
+    allowSharedSecret: process.env.WEBHOOK_ALLOW_SHARED_SECRET === 'true' && !!process.env.WEBHOOK_SECRET,
+    maxAgeSeconds: parseInt(process.env.WEBHOOK_MAX_AGE_SECONDS || '300', 10), // Older events are rejected as stale
+    clockToleranceSeconds: 10,
+  },
+
+  // Storage Configuration (sessions and recording state)
+  storage: {
+    driver: process.env.STORAGE_DRIVER || 'memory', // 'memory', 'file' or 'sqlite' (Node.js 22.5+)
+    dataDir: process.env.DATA_DIR || path.join(__dirname, '..', 'data'),
+  },
+
   // Session Configuration
   session: {
     idLength: 8, // 8-10 characters as requested
     idChars: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789',
+    defaultRole: process.env.DEFAULT_PARTICIPANT_ROLE || 'speaker', // Role for joiners without an invite
+    inviteTtlSeconds: 7 * 24 * 60 * 60, // Invites are valid for 7 days by default
+    moderatorInviteTtlSeconds: parseInt(process.env.MODERATOR_INVITE_TTL_SECONDS || '3600', 10), // Max lifetime of host and co-host invites
+    eventsHeartbeatSeconds: 25, // Keeps idle event streams open through proxies
+    // Sessions expire this long after they are created (or scheduled for), unless created with their own ttlSeconds. 0: never
+    ttlSeconds: parseInt(process.env.SESSION_TTL_SECONDS || '0', 10),
+  },
+
+  // Session Sweeper (periodic cleanup of expired, idle and ended sessions, see services/sessionSweeperService)
+  sessionSweeper: {
+    enabled: process.env.SESSION_SWEEPER_ENABLED === 'true',
+    idleTimeoutMinutes: parseInt(process.env.SESSION_IDLE_TIMEOUT_MINUTES || '0', 10), // End open sessions nobody joined for this long (0: never)
+    archiveAfterMinutes: parseInt(process.env.SESSION_ARCHIVE_AFTER_MINUTES || '60', 10), // Archive ended sessions this long after they ended
+    intervalMinutes: parseInt(process.env.SESSION_SWEEP_INTERVAL_MINUTES || '5', 10),
+  },
+
+  // Recording Configuration
+  recording: {
+    // Concatenate the segments of a paused-and-resumed recording into one file (requires ffmpeg)
+    stitchSegments: process.env.RECORDING_STITCH_SEGMENTS === 'true',
+    ffmpegPath: process.env.FFMPEG_PATH || 'ffmpeg',
+    // Encoding presets hosts can pick (see services/encodingPresets.js), added to the built-in ones
+    presets: parseJsonEnv('RECORDING_PRESETS', {}),
+    defaultPreset: process.env.RECORDING_DEFAULT_PRESET || 'standard',
+  },
+
+  // Post-Processing (renditions of completed recordings, requires ffmpeg, see recording.ffmpegPath)
+  postProcessing: {
+    enabled: process.env.POST_PROCESSING_ENABLED === 'true',
+    formats: (process.env.POST_PROCESSING_FORMATS || 'mp3').split(',').map(f => f.trim()).filter(Boolean), // mp3, opus, wav
+    normalizeLoudness: process.env.POST_PROCESSING_NORMALIZE_LOUDNESS !== 'false',
+    loudnessTarget: parseFloat(process.env.POST_PROCESSING_LOUDNESS_TARGET || '-16'), // Integrated loudness in LUFS
+    trimSilence: process.env.POST_PROCESSING_TRIM_SILENCE !== 'false', // Cut leading silence
+    silenceThresholdDb: parseFloat(process.env.POST_PROCESSING_SILENCE_THRESHOLD_DB || '-50'),
+  },
+
+  // Waveforms (peak data of completed recordings for the review UI, requires ffmpeg)
+  waveform: {
+    enabled: process.env.WAVEFORM_ENABLED === 'true',
+  },
+
+  // Transcription of completed recordings (see services/transcription)
+  transcription: {
+    provider: process.env.TRANSCRIPTION_PROVIDER || null, // 'local-command' or 'mock', disabled if not set
+    command: process.env.TRANSCRIPTION_COMMAND, // Command template for 'local-command', e.g. a whisper.cpp binary
+    language: process.env.TRANSCRIPTION_LANGUAGE || 'auto',
+    timeoutSeconds: parseInt(process.env.TRANSCRIPTION_TIMEOUT_SECONDS || '1800', 10),
+    mockText: process.env.TRANSCRIPTION_MOCK_TEXT,
+  },
+
+  // Recording Retention (periodic cleanup of old recordings and their stored files)
+  retention: {
+    enabled: process.env.RETENTION_ENABLED === 'true',
+    dryRun: process.env.RETENTION_DRY_RUN === 'true', // Only log what would be deleted
+    maxAgeDays: process.env.RETENTION_MAX_AGE_DAYS ? parseFloat(process.env.RETENTION_MAX_AGE_DAYS) : null, // Delete recordings older than this
+    keepLastPerSession: process.env.RETENTION_KEEP_LAST_PER_SESSION ? parseInt(process.env.RETENTION_KEEP_LAST_PER_SESSION, 10) : null, // Delete all but the newest K per session
+    intervalMinutes: parseInt(process.env.RETENTION_INTERVAL_MINUTES || '60', 10),
+  },
+
+  // Outbound webhooks (event deliveries to subscriber URLs, see services/outboundWebhookService)
+  outboundWebhooks: {
+    maxAttempts: parseInt(process.env.OUTBOUND_WEBHOOK_MAX_ATTEMPTS || '10', 10), // Then the delivery is marked failed
+    retryBaseSeconds: parseInt(process.env.OUTBOUND_WEBHOOK_RETRY_BASE_SECONDS || '30', 10), // Doubles after every attempt
+    retryMaxSeconds: parseInt(process.env.OUTBOUND_WEBHOOK_RETRY_MAX_SECONDS || '3600', 10),
+    timeoutSeconds: parseInt(process.env.OUTBOUND_WEBHOOK_TIMEOUT_SECONDS || '30', 10),
+    concurrency: Math.max(1, parseInt(process.env.OUTBOUND_WEBHOOK_CONCURRENCY || '5', 10)), // Subscriptions delivered to in parallel
+    pollIntervalSeconds: parseInt(process.env.OUTBOUND_WEBHOOK_POLL_INTERVAL_SECONDS || '15', 10),
+    deliveryRetentionDays: parseFloat(process.env.OUTBOUND_WEBHOOK_DELIVERY_RETENTION_DAYS || '14'), // Delivery log kept this long
   },
 
   // Main Backend Configuration (for notifying about recording completion)
@@ -10,12 +10,28 @@ const config = require('./config');
 const sessionsRouter = require('./routes/sessions');
 const recordingsRouter = require('./routes/recordings');
 const webhooksRouter = require('./routes/webhooks');
+const outboundWebhooksRouter = require('./routes/outboundWebhooks');
+const recordingService = require('./services/recordingService');
+const retentionService = require('./services/retentionService');
+const sessionSweeperService = require('./services/sessionSweeperService');
+const postProcessingService = require('./services/postProcessingService');
+const waveformService = require('./services/waveformService');
+const transcriptionService = require('./services/transcriptionService');
+const storageService = require('./services/storageService');
+const outboundWebhookService = require('./services/outboundWebhookService');
 
 const app = express();
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+app.use(express.json({
+  // LiveKit sends webhooks as application/webhook+json
+  type: ['application/json', 'application/webhook+json'],
+  // Keep the raw body: webhook signatures are computed over the exact bytes
+  verify: (req, res, buf) => {
+    req.rawBody = buf.toString('utf8');
+  },
+}));
 
 // Request logging middleware
 app.use((req, res, next) => {
@@ -27,10 +43,13 @@ app.use((req, res, next) => {
 app.use('/api/sessions', sessionsRouter);
 app.use('/api/recordings', recordingsRouter);
 app.use('/api/webhooks', webhooksRouter);
+app.use('/api/outbound-webhooks', outboundWebhooksRouter);
 
 // Legacy token endpoint (for backward compatibility)
+// Admin only: it can mint a token for any identity, which would bypass session authentication
 const tokenService = require('./services/tokenService');
-app.post('/api/token', async (req, res) => {
+const { requireAdmin } = require('./middleware/auth');
+app.post('/api/token', requireAdmin, async (req, res) => {
   try {
     const { identity, roomName = 'test-room' } = req.body;
     const tokenData = await tokenService.generateToken(roomName, identity);
@@ -68,6 +87,7 @@ app.get('/api/config/check', (req, res) => {
         endpoint: config.r2.endpoint || 'not set',
         region: config.r2.region,
       },
+      storage: storageService.describe(),
     },
   });
 });
@@ -96,6 +116,11 @@ app.use((err, req, res, next) => {
   });
 });
 
+// Exit through process.exit on shutdown, so the file stores write their pending changes
+for (const signal of ['SIGTERM', 'SIGINT']) {
+  process.once(signal, () => process.exit(0));
+}
+
 // Start server
 // Use PORT from environment (required by Render) or fallback to config
 const PORT = process.env.PORT || config.server.port;
@@ -109,20 +134,61 @@ app.listen(PORT, HOST, () => {
   console.log(`LiveKit HTTP URL: ${config.livekit.httpUrl}`);
   console.log(`API Key: ${config.livekit.apiKey ? config.livekit.apiKey.substring(0, 8) + '...' : 'not set'}`);
   
-  if (config.r2.bucket) {
-    console.log(`R2 Bucket: ${config.r2.bucket}`);
+  const storage = storageService.describe();
+  if (storage.configured) {
+    console.log(`Recording storage: ${storage.provider} (${storage.bucket || storage.directory})`);
   } else {
-    console.warn(`⚠️  R2 Bucket not configured`);
+    console.warn(`⚠️  Recording storage (${storage.provider}) not configured`);
+  }
+  if (storage.tenants.length > 0) {
+    console.log(`Storage tenants: ${storage.tenants.join(', ')}`);
   }
   
   console.log(`\n📋 API Endpoints:`);
   console.log(`  POST /api/sessions/create - Create a new session`);
   console.log(`  POST /api/sessions/:sessionId/join - Join a session`);
+  console.log(`  POST /api/sessions/:sessionId/invites - Create an invite link (host)`);
+  console.log(`  DELETE /api/sessions/:sessionId/invites/:inviteId - Revoke an invite link (host)`);
+  console.log(`  POST /api/sessions/:sessionId/end - End a session (host or admin)`);
   console.log(`  GET  /api/sessions/:sessionId - Get session info`);
+  console.log(`  GET  /api/sessions/:sessionId/events - Live session events (Server-Sent Events)`);
+  console.log(`  GET  /api/recordings/presets - Recording encoding presets`);
   console.log(`  GET  /api/recordings/session/:sessionId - Get recordings for session`);
+  console.log(`  GET  /api/recordings/session/:sessionId/status - Live recording status`);
+  console.log(`  GET  /api/recordings/:recordingId/waveform - Waveform peaks of a recording`);
+  console.log(`  GET  /api/recordings/:recordingId/timeline - Speaker timeline (JSON or WebVTT)`);
+  console.log(`  GET  /api/recordings/:recordingId/transcript - Transcript (JSON, SRT or WebVTT)`);
+  console.log(`  POST /api/recordings/session/:sessionId/markers - Bookmark the current moment of a recording`);
+  console.log(`  GET  /api/recordings/:recordingId/chapters - Chapters from markers (JSON or FFMETADATA)`);
+  console.log(`  DELETE /api/recordings/:recordingId - Delete a recording and its files (host)`);
+  console.log(`  GET  /api/recordings/retention/report - Retention dry run (admin)`);
   console.log(`  POST /api/webhooks/livekit - LiveKit webhook handler`);
+  console.log(`  POST /api/outbound-webhooks/subscriptions - Subscribe a URL to events (admin)`);
+  console.log(`  GET  /api/outbound-webhooks/deliveries - Webhook deliveries (admin)`);
+  console.log(`  POST /api/outbound-webhooks/deliveries/:deliveryId/replay - Replay a delivery (admin)`);
   console.log(`  GET  /health - Health check`);
   console.log(`  GET  /api/config/check - Configuration check`);
+
+  // Pick up recordings that were in flight when the server last stopped
+  recordingService.reconcileEgresses().catch(error => {
+    console.error('[Server] Egress reconciliation failed:', error);
+  });
+
+  postProcessingService.resumePending().catch(error => {
+    console.error('[Server] Resuming post-processing failed:', error);
+  });
+
+  waveformService.resumePending().catch(error => {
+    console.error('[Server] Resuming waveform generation failed:', error);
+  });
+
+  transcriptionService.resumePending().catch(error => {
+    console.error('[Server] Resuming transcription failed:', error);
+  });
+
+  retentionService.start();
+  sessionSweeperService.start();
+  outboundWebhookService.start();
 });
 
 module.exports = app;
@@ -0,0 +1,238 @@
+// Authentication Middleware
+// Participants authenticate with the LiveKit access token they received from
+// POST /api/sessions/:sessionId/join, sent as `Authorization: Bearer <token>`.
+// The token is verified with the LiveKit API secret, so its identity and room can be
+// trusted (unlike an `identity` field in the request body).
+// Server-to-server callers (e.g. the main backend) use `X-API-Key: <ADMIN_API_KEY>`.
+
+const crypto = require('crypto');
+const { TokenVerifier } = require('livekit-server-sdk');
+const config = require('../config');
+const sessionService = require('../services/sessionService');
+const { MODERATOR_ROLES } = require('../services/roles');
+
+const tokenVerifier = new TokenVerifier(config.livekit.apiKey, config.livekit.apiSecret);
+
+/**
+ * Compare two secrets in constant time
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * Check the X-API-Key header against the configured admin API key
+ * @param {Object} req
+ * @returns {boolean}
+ */
+function hasAdminKey(req) {
+  const apiKey = req.get('X-API-Key');
+  return !!(config.auth.adminApiKey && apiKey && safeEqual(apiKey, config.auth.adminApiKey));
+}
+
+/**
+ * Verify a LiveKit access token issued by this server
+ * @param {string} token - JWT
+ * @returns {Promise<Object>} { identity, roomName, isAdmin: false }
+ */
+async function verifyToken(token) {
+  const claims = await tokenVerifier.verify(token);
+  return {
+    identity: claims.sub,
+    roomName: claims.video?.room || null,
+    isAdmin: false,
+  };
+}
+
+/**
+ * Resolve the caller from the request without rejecting it
+ * @param {Object} req
+ * @param {Object} options
+ * @param {boolean} options.allowQueryToken - Also accept the token as ?access_token=
+ * @returns {Promise<Object|null>} Auth info, or null if unauthenticated
+ */
+async function resolveAuth(req, { allowQueryToken = false } = {}) {
+  if (hasAdminKey(req)) {
+    return { identity: null, roomName: null, isAdmin: true };
+  }
+
+  const header = req.get('Authorization') || '';
+  const queryToken = allowQueryToken && typeof req.query.access_token === 'string' ? req.query.access_token : null;
+  if (!header.startsWith('Bearer ') && !queryToken) {
+    return null;
+  }
+
+  try {
+    return await verifyToken(header.startsWith('Bearer ') ? header.slice('Bearer '.length) : queryToken);
+  } catch (error) {
+    console.warn(`[Auth] Invalid token: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Check if the caller may access a session (admin or a token for the session's room)
+ * @param {Object} auth - req.auth
+ * @param {Object} session
+ * @returns {boolean}
+ */
+function canAccessSession(auth, session) {
+  return !!auth && (auth.isAdmin || (
+    auth.roomName === session.roomName &&
+    // Removed participants keep a valid token until it expires
+    !sessionService.isRemoved(session.sessionId, auth.identity)
+  ));
+}
+
+/**
+ * Check if the caller is a host of a session (the creator or a participant with the host role)
+ * @param {Object} auth - req.auth
+ * @param {Object} session
+ * @returns {boolean}
+ */
+function isSessionHost(auth, session) {
+  return !!auth && (auth.isAdmin || (canAccessSession(auth, session) && sessionService.isHost(session.sessionId, auth.identity)));
+}
+
+/**
+ * Check if the caller may moderate a session (admin, host or co-host)
+ * @param {Object} auth - req.auth
+ * @param {Object} session
+ * @returns {boolean}
+ */
+function isSessionModerator(auth, session) {
+  return !!auth && (auth.isAdmin || (
+    canAccessSession(auth, session) &&
+    MODERATOR_ROLES.includes(sessionService.getRole(session.sessionId, auth.identity))
+  ));
+}
+
+/**
+ * Require a valid access token or admin API key
+ * Sets req.auth = { identity, roomName, isAdmin }
+ */
+async function authenticate(req, res, next) {
+  req.auth = await resolveAuth(req);
+  if (!req.auth) {
+    res.status(401).json({ success: false, error: 'Authentication required' });
+    return;
+  }
+  next();
+}
+
+/**
+ * Like authenticate, but also accepts the access token as ?access_token=
+ * For media URLs used by <audio> and <a> elements, which cannot send headers
+ */
+async function authenticateMedia(req, res, next) {
+  req.auth = await resolveAuth(req, { allowQueryToken: true });
+  if (!req.auth) {
+    res.status(401).json({ success: false, error: 'Authentication required' });
+    return;
+  }
+  next();
+}
+
+/**
+ * Require the caller to be in the session from :sessionId (use after authenticate)
+ */
+function requireSessionMember(req, res, next) {
+  const session = sessionService.getSession(req.params.sessionId);
+  if (!session) {
+    res.status(404).json({ success: false, error: 'Session not found' });
+    return;
+  }
+
+  if (!canAccessSession(req.auth, session)) {
+    res.status(403).json({ success: false, error: 'Not a participant of this session' });
+    return;
+  }
+  next();
+}
+
+/**
+ * Like requireSessionMember, but also accepts archived sessions
+ * For read-only routes on data that outlives the session, e.g. its recordings
+ */
+function requireSessionRecordMember(req, res, next) {
+  const session = sessionService.getSessionRecord(req.params.sessionId);
+  if (!session) {
+    res.status(404).json({ success: false, error: 'Session not found' });
+    return;
+  }
+
+  if (!canAccessSession(req.auth, session)) {
+    res.status(403).json({ success: false, error: 'Not a participant of this session' });
+    return;
+  }
+  next();
+}
+
+/**
+ * Require the caller to be the host of the session from :sessionId (use after authenticate)
+ */
+function requireHost(req, res, next) {
+  const session = sessionService.getSession(req.params.sessionId);
+  if (!session) {
+    res.status(404).json({ success: false, error: 'Session not found' });
+    return;
+  }
+
+  if (!isSessionHost(req.auth, session)) {
+    res.status(403).json({ success: false, error: 'Only the session host can perform this action' });
+    return;
+  }
+  next();
+}
+
+/**
+ * Require the caller to be a host or co-host of the session from :sessionId (use after authenticate)
+ */
+function requireModerator(req, res, next) {
+  const session = sessionService.getSession(req.params.sessionId);
+  if (!session) {
+    res.status(404).json({ success: false, error: 'Session not found' });
+    return;
+  }
+
+  if (!isSessionModerator(req.auth, session)) {
+    res.status(403).json({ success: false, error: 'Only hosts and co-hosts can perform this action' });
+    return;
+  }
+  next();
+}
+
+/**
+ * Require the admin API key
+ */
+function requireAdmin(req, res, next) {
+  if (!config.auth.adminApiKey) {
+    res.status(403).json({ success: false, error: 'Admin API is disabled. Set ADMIN_API_KEY to enable it.' });
+    return;
+  }
+
+  if (!hasAdminKey(req)) {
+    res.status(401).json({ success: false, error: 'Admin API key required' });
+    return;
+  }
+  next();
+}
+
+module.exports = {
+  authenticate,
+  authenticateMedia,
+  requireSessionMember,
+  requireSessionRecordMember,
+  requireHost,
+  requireModerator,
+  requireAdmin,
+  resolveAuth,
+  canAccessSession,
+  isSessionHost,
+  isSessionModerator,
+};
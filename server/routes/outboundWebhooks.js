@@ -0,0 +1,128 @@
+// Outbound Webhook Routes
+// Admin API (X-API-Key) to manage subscriber URLs and inspect or replay deliveries (see outboundWebhookService)
+
+const express = require('express');
+const router = express.Router();
+const outboundWebhookService = require('../services/outboundWebhookService');
+const { requireAdmin } = require('../middleware/auth');
+
+/**
+ * GET /api/outbound-webhooks/subscriptions
+ * List subscriptions (secrets are not returned)
+ */
+router.get('/subscriptions', requireAdmin, (req, res) => {
+  const subscriptions = outboundWebhookService.listSubscriptions()
+    .map(subscription => outboundWebhookService.toPublicSubscription(subscription));
+  res.json({ success: true, subscriptions });
+});
+
+/**
+ * POST /api/outbound-webhooks/subscriptions
+ * Register a subscriber URL
+ * Body: { url: string, events: string[], secret?: string, description?: string }
+ * The signing secret is only returned in this response
+ */
+router.post('/subscriptions', requireAdmin, (req, res) => {
+  try {
+    const { url, events, secret, description } = req.body || {};
+    const validationError = outboundWebhookService.validateSubscription({ url, events, secret });
+    if (validationError) {
+      return res.status(400).json({ success: false, error: validationError });
+    }
+
+    const subscription = outboundWebhookService.createSubscription({ url, events, secret, description });
+    res.status(201).json({ success: true, subscription });
+  } catch (error) {
+    console.error('[OutboundWebhooks] Error creating subscription:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/outbound-webhooks/subscriptions/:subscriptionId
+ * Delete a subscription (the built-in main backend subscription cannot be deleted)
+ */
+router.delete('/subscriptions/:subscriptionId', requireAdmin, (req, res) => {
+  try {
+    const { subscriptionId } = req.params;
+    if (!outboundWebhookService.deleteSubscription(subscriptionId)) {
+      return res.status(404).json({ success: false, error: 'Subscription not found' });
+    }
+    res.json({ success: true, subscriptionId });
+  } catch (error) {
+    console.error('[OutboundWebhooks] Error deleting subscription:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/outbound-webhooks/deliveries
+ * List deliveries, newest first
+ * Query: ?status=pending|delivered|failed&event=<type>&subscriptionId=<id>&limit=<count>
+ */
+router.get('/deliveries', requireAdmin, (req, res) => {
+  const { status, event, subscriptionId } = req.query;
+  if (status !== undefined && !outboundWebhookService.isValidDeliveryStatus(status)) {
+    return res.status(400).json({ success: false, error: 'Invalid status. Must be one of: pending, delivered, failed' });
+  }
+
+  const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : 100;
+  if (!Number.isInteger(limit) || limit < 1) {
+    return res.status(400).json({ success: false, error: 'limit must be a positive integer' });
+  }
+
+  const deliveries = outboundWebhookService.listDeliveries({ status, event, subscriptionId, limit });
+  res.json({ success: true, count: deliveries.length, deliveries });
+});
+
+/**
+ * GET /api/outbound-webhooks/deliveries/:deliveryId
+ * Get a delivery with the log of its attempts
+ */
+router.get('/deliveries/:deliveryId', requireAdmin, (req, res) => {
+  const delivery = outboundWebhookService.getDelivery(req.params.deliveryId);
+  if (!delivery) {
+    return res.status(404).json({ success: false, error: 'Delivery not found' });
+  }
+  res.json({ success: true, delivery });
+});
+
+/**
+ * POST /api/outbound-webhooks/deliveries/replay
+ * Replay every failed delivery
+ * Body: { event?: string, subscriptionId?: string } to only replay some of them
+ */
+router.post('/deliveries/replay', requireAdmin, (req, res) => {
+  try {
+    const { event, subscriptionId } = req.body || {};
+    const failed = outboundWebhookService.listDeliveries({ status: 'failed', event, subscriptionId, limit: Infinity });
+    const deliveries = failed.map(delivery => outboundWebhookService.replayDelivery(delivery.id));
+    res.json({ success: true, count: deliveries.length, deliveryIds: deliveries.map(d => d.id) });
+  } catch (error) {
+    console.error('[OutboundWebhooks] Error replaying deliveries:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/outbound-webhooks/deliveries/:deliveryId/replay
+ * Queue a delivered or failed delivery again
+ */
+router.post('/deliveries/:deliveryId/replay', requireAdmin, (req, res) => {
+  const delivery = outboundWebhookService.getDelivery(req.params.deliveryId);
+  if (!delivery) {
+    return res.status(404).json({ success: false, error: 'Delivery not found' });
+  }
+  if (delivery.status === 'pending') {
+    return res.status(409).json({ success: false, error: 'Delivery is still pending' });
+  }
+
+  try {
+    res.json({ success: true, delivery: outboundWebhookService.replayDelivery(delivery.id) });
+  } catch (error) {
+    console.error('[OutboundWebhooks] Error replaying delivery:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,19 +1,171 @@
 // Recording Routes
 
 const express = require('express');
+const path = require('path');
+const { pipeline } = require('stream');
 const router = express.Router();
 const recordingStorage = require('../services/recordingStorage');
 const recordingService = require('../services/recordingService');
 const sessionService = require('../services/sessionService');
+const storageService = require('../services/storageService');
+const retentionService = require('../services/retentionService');
+const postProcessingService = require('../services/postProcessingService');
+const waveformService = require('../services/waveformService');
+const speakerTimelineService = require('../services/speakerTimelineService');
+const transcriptionService = require('../services/transcriptionService');
+const markerService = require('../services/markerService');
+const encodingPresets = require('../services/encodingPresets');
+const config = require('../config');
+const {
+  authenticate,
+  authenticateMedia,
+  requireSessionMember,
+  requireSessionRecordMember,
+  requireHost,
+  requireAdmin,
+  canAccessSession,
+  isSessionHost,
+} = require('../middleware/auth');
+
+/**
+ * Validate the optional ?status= filter
+ * @returns {boolean} false if an error response was sent
+ */
+function validateStatusFilter(req, res) {
+  const { status } = req.query;
+  if (status !== undefined && !recordingStorage.isValidStatus(status)) {
+    res.status(400).json({
+      success: false,
+      error: 'Invalid status. Must be one of: starting, active, paused, ending, complete, failed',
+    });
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Load the recording from :recordingId and check that the caller may access it
+ * @returns {Promise<Object|null>} Recording, or null if an error response was sent
+ */
+async function loadAccessibleRecording(req, res) {
+  const recording = await recordingStorage.getRecording(req.params.recordingId);
+  if (!recording) {
+    res.status(404).json({ success: false, error: 'Recording not found' });
+    return null;
+  }
+
+  const session = sessionService.getSessionRecord(recording.sessionId);
+  if (!req.auth.isAdmin && (!session || !canAccessSession(req.auth, session))) {
+    res.status(403).json({ success: false, error: 'Not a participant of this session' });
+    return null;
+  }
+  return recording;
+}
+
+/**
+ * Pick the file of a recording to serve
+ * ?track=<trackId|participantIdentity> selects a multitrack file, ?segment=<index> a segment of a paused recording
+ * @param {Object} recording
+ * @param {Object} query - req.query
+ * @returns {string|null} Object key
+ */
+function resolveRecordingFile(recording, { track, segment } = {}) {
+  if (track !== undefined) {
+    const match = recording.tracks.find(t => t.trackId === track || t.participantIdentity === track);
+    return match?.fileUrl ? match.fileName : null;
+  }
+  if (segment !== undefined) {
+    const match = (recording.segments || []).find(s => String(s.index) === String(segment));
+    return match?.fileUrl ? match.fileName : null;
+  }
+  return recording.status === 'complete' ? recording.r2FileName : null;
+}
+
+/**
+ * Stream a recording file from storage, honoring HTTP Range requests (for seeking in <audio>)
+ * @param {Object} req
+ * @param {Object} res
+ * @param {Object} options
+ * @param {boolean} options.attachment - Send as a download instead of inline
+ */
+async function sendRecordingFile(req, res, { attachment }) {
+  const recording = await loadAccessibleRecording(req, res);
+  if (!recording) {
+    return;
+  }
+
+  const fileName = resolveRecordingFile(recording, req.query);
+  if (!fileName) {
+    res.status(404).json({ success: false, error: 'Recording file not found' });
+    return;
+  }
+  const storage = storageService.forRecording(recording);
+  if (!storage.isConfigured()) {
+    res.status(503).json({ success: false, error: storage.getConfigurationError() });
+    return;
+  }
+
+  let object;
+  try {
+    object = await storage.getFileStream(fileName, req.get('Range'));
+  } catch (error) {
+    const statusCode = error.$metadata?.httpStatusCode;
+    if (error.name === 'InvalidRange' || statusCode === 416) {
+      res.status(416).json({ success: false, error: 'Requested range not satisfiable' });
+      return;
+    }
+    if (error.name === 'NoSuchKey' || statusCode === 404) {
+      res.status(404).json({ success: false, error: 'Recording file not found in storage' });
+      return;
+    }
+    throw error;
+  }
+
+  res.status(object.ContentRange ? 206 : 200);
+  res.set({
+    'Content-Type': object.ContentType || 'audio/mp4',
+    'Accept-Ranges': 'bytes',
+    'Cache-Control': 'private, no-store',
+  });
+  if (object.ContentLength !== undefined) {
+    res.set('Content-Length', String(object.ContentLength));
+  }
+  if (object.ContentRange) {
+    res.set('Content-Range', object.ContentRange);
+  }
+  if (object.ETag) {
+    res.set('ETag', object.ETag);
+  }
+  if (object.LastModified) {
+    res.set('Last-Modified', object.LastModified.toUTCString());
+  }
+  if (attachment) {
+    res.attachment(path.basename(fileName));
+  } else {
+    res.set('Content-Disposition', 'inline');
+  }
+
+  pipeline(object.Body, res, (error) => {
+    // Clients abort streams all the time when seeking
+    if (error && error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+      console.error(`[Recordings] Error streaming ${fileName}:`, error.message);
+    }
+  });
+}
 
 /**
  * GET /api/recordings/session/:sessionId
- * Get all recordings for a session
+ * Get all recordings for a session (also once the session is archived)
+ * Query: ?status=starting|active|paused|ending|complete|failed
  */
-router.get('/session/:sessionId', async (req, res) => {
+router.get('/session/:sessionId', authenticate, requireSessionRecordMember, async (req, res) => {
   try {
+    if (!validateStatusFilter(req, res)) {
+      return;
+    }
+
     const { sessionId } = req.params;
-    const recordings = await recordingStorage.getRecordingsBySession(sessionId);
+    const recordings = await recordingStorage.getRecordingsBySession(sessionId, { status: req.query.status });
 
     res.json({
       success: true,
@@ -26,22 +178,115 @@ router.get('/session/:sessionId', async (req, res) => {
 });
 
 /**
- * GET /api/recordings/:recordingId
- * Get a specific recording
+ * GET /api/recordings/session/:sessionId/status
+ * Live status of the session's current (or most recent) recording (participants only)
  */
-router.get('/:recordingId', async (req, res) => {
+router.get('/session/:sessionId/status', authenticate, requireSessionMember, async (req, res) => {
   try {
-    const { recordingId } = req.params;
-    const recording = await recordingStorage.getRecording(recordingId);
+    const { sessionId } = req.params;
+    const status = await recordingService.getSessionRecordingStatus(sessionId);
+
+    res.json({
+      success: true,
+      sessionId,
+      ...status,
+    });
+  } catch (error) {
+    console.error('[Recordings] Error getting recording status:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
+/**
+ * Read retention rule overrides from a query or body
+ * @returns {Object|null} Rules, or null if an error response was sent
+ */
+function parseRetentionRules(req, res, source) {
+  const toNumber = value => (value === undefined || value === null || value === '' ? undefined : Number(value));
+  const rules = {
+    maxAgeDays: toNumber(source.maxAgeDays),
+    keepLastPerSession: toNumber(source.keepLastPerSession),
+  };
+
+  const error = retentionService.validateRules(rules);
+  if (error) {
+    res.status(400).json({ success: false, error });
+    return null;
+  }
+  return rules;
+}
+
+/**
+ * GET /api/recordings/presets
+ * List the encoding presets hosts can pick when creating a session or starting a recording
+ */
+router.get('/presets', authenticate, (req, res) => {
+  res.json({ success: true, presets: encodingPresets.listPresets() });
+});
+
+/**
+ * GET /api/recordings/retention/report
+ * Dry run of the retention rules: which recordings and files would be deleted (admin)
+ * Query: ?maxAgeDays=<days>&keepLastPerSession=<count> to override the configured rules
+ */
+router.get('/retention/report', requireAdmin, async (req, res) => {
+  try {
+    const rules = parseRetentionRules(req, res, req.query);
+    if (!rules) {
+      return;
+    }
+
+    const report = await retentionService.run({ ...rules, dryRun: true });
+    res.json({ success: true, report });
+  } catch (error) {
+    console.error('[Recordings] Error building retention report:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/recordings/retention/run
+ * Apply the retention rules now (admin)
+ * Body: { dryRun?: boolean, maxAgeDays?: number, keepLastPerSession?: number }
+ */
+router.post('/retention/run', requireAdmin, async (req, res) => {
+  try {
+    const { dryRun } = req.body || {};
+    const rules = parseRetentionRules(req, res, req.body || {});
+    if (!rules) {
+      return;
+    }
+
+    const report = await retentionService.run({ ...rules, dryRun: dryRun ?? config.retention.dryRun });
+    res.json({ success: true, report });
+  } catch (error) {
+    console.error('[Recordings] Error running retention:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/recordings/:recordingId
+ * Get a specific recording, including its status, egress type, file, size, codec,
+ * per-track files (multitrack) and failure reason
+ */
+router.get('/:recordingId', authenticate, async (req, res) => {
+  try {
+    const recording = await loadAccessibleRecording(req, res);
     if (!recording) {
-      res.status(404).json({ success: false, error: 'Recording not found' });
       return;
     }
 
+    // Presigned URL of the recording file (the bucket is private)
+    const fileName = resolveRecordingFile(recording);
+    const storage = storageService.forRecording(recording);
+    const downloadUrl = fileName && storage.isConfigured() ? await storage.getSignedUrl(fileName) : null;
+
     res.json({
       success: true,
       recording: recording,
+      downloadUrl,
+      downloadUrlExpiresAt: downloadUrl ? new Date(Date.now() + config.objectStorage.signedUrlTtlSeconds * 1000) : null,
     });
   } catch (error) {
     console.error('[Recordings] Error getting recording:', error);
@@ -49,13 +294,284 @@ router.get('/:recordingId', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/recordings/:recordingId/download
+ * Download a recording file (participants only)
+ * Query: ?track=<trackId|participantIdentity> or ?segment=<index>, ?access_token=<token> for links
+ */
+router.get('/:recordingId/download', authenticateMedia, async (req, res) => {
+  try {
+    await sendRecordingFile(req, res, { attachment: true });
+  } catch (error) {
+    console.error('[Recordings] Error downloading recording:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/recordings/:recordingId/stream
+ * Play a recording in the browser with Range support for seeking (participants only)
+ * Query: ?track=<trackId|participantIdentity> or ?segment=<index>, ?access_token=<token> for <audio> elements
+ */
+router.get('/:recordingId/stream', authenticateMedia, async (req, res) => {
+  try {
+    await sendRecordingFile(req, res, { attachment: false });
+  } catch (error) {
+    console.error('[Recordings] Error streaming recording:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/recordings/:recordingId/waveform
+ * Waveform peaks of a recording (participants only), in the waveform-data format used by peaks.js
+ * Query: ?track=<trackId|participantIdentity> for a multitrack recording,
+ *        ?level=<samplesPerPixel> for a single zoom level (default: all levels)
+ */
+router.get('/:recordingId/waveform', authenticate, async (req, res) => {
+  try {
+    const recording = await loadAccessibleRecording(req, res);
+    if (!recording) {
+      return;
+    }
+
+    const generation = recording.waveformGeneration;
+    if (['pending', 'processing'].includes(generation?.status)) {
+      return res.status(202).json({ success: true, status: generation.status, waveform: null });
+    }
+
+    const waveforms = recording.waveforms || [];
+    const { track } = req.query;
+    let waveform;
+    if (track !== undefined) {
+      const match = recording.tracks.find(t => t.trackId === track || t.participantIdentity === track);
+      waveform = match && waveforms.find(w => w.source === match.fileName);
+    } else if (recording.mode === 'multitrack') {
+      return res.status(400).json({
+        success: false,
+        error: 'Multitrack recording: select a track with ?track=<trackId|participantIdentity>',
+        tracks: waveforms.map(w => w.participantIdentity),
+      });
+    } else {
+      waveform = waveforms[0];
+    }
+
+    if (!waveform) {
+      return res.status(404).json({
+        success: false,
+        error: generation?.status === 'failed' ? `Waveform generation failed: ${generation.error}` : 'Waveform not found',
+      });
+    }
+
+    const level = req.query.level !== undefined ? Number(req.query.level) : undefined;
+    if (level !== undefined && !waveform.levels.includes(level)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid level. Must be one of: ${waveform.levels.join(', ')}`,
+      });
+    }
+
+    res.set('Cache-Control', 'private, max-age=3600');
+    res.json({
+      success: true,
+      participantIdentity: waveform.participantIdentity,
+      duration: waveform.duration,
+      levels: waveform.levels,
+      waveform: await waveformService.getWaveform(recording, waveform, level),
+    });
+  } catch (error) {
+    console.error('[Recordings] Error getting waveform:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/recordings/:recordingId/timeline
+ * Who spoke when: per-participant presence, audio and speaking intervals in seconds
+ * from the start of the recording (pauses left out) (participants only)
+ * Query: ?format=json (default) or ?format=vtt for WebVTT speaker cues
+ */
+router.get('/:recordingId/timeline', authenticate, async (req, res) => {
+  try {
+    const recording = await loadAccessibleRecording(req, res);
+    if (!recording) {
+      return;
+    }
+
+    const { format = 'json' } = req.query;
+    if (!['json', 'vtt'].includes(format)) {
+      return res.status(400).json({ success: false, error: 'Invalid format. Must be one of: json, vtt' });
+    }
+
+    const timeline = speakerTimelineService.buildTimeline(recording);
+    if (!timeline) {
+      return res.status(404).json({ success: false, error: 'No speaker timeline for this recording' });
+    }
+
+    if (format === 'vtt') {
+      res.type('text/vtt').send(speakerTimelineService.toWebVtt(timeline));
+      return;
+    }
+    res.json({ success: true, timeline });
+  } catch (error) {
+    console.error('[Recordings] Error getting timeline:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/recordings/:recordingId/transcript
+ * Transcript of a recording, with speaker labels for multitrack recordings (participants only)
+ * Query: ?format=json (default), srt or vtt (sent as a file download)
+ */
+router.get('/:recordingId/transcript', authenticate, async (req, res) => {
+  try {
+    const recording = await loadAccessibleRecording(req, res);
+    if (!recording) {
+      return;
+    }
+
+    const { format = 'json' } = req.query;
+    if (!['json', 'srt', 'vtt'].includes(format)) {
+      return res.status(400).json({ success: false, error: 'Invalid format. Must be one of: json, srt, vtt' });
+    }
+
+    const { transcription, transcript } = recording;
+    if (['pending', 'processing'].includes(transcription?.status)) {
+      return res.status(202).json({ success: true, status: transcription.status, transcript: null });
+    }
+    if (!transcript) {
+      return res.status(404).json({
+        success: false,
+        error: transcription?.status === 'failed' ? `Transcription failed: ${transcription.error}` : 'Transcript not found',
+      });
+    }
+
+    if (format === 'json') {
+      return res.json({ success: true, transcript });
+    }
+    res.attachment(`${recording.id}.${format}`);
+    res.type(format === 'srt' ? 'application/x-subrip' : 'text/vtt');
+    res.send(format === 'srt' ? transcriptionService.toSrt(transcript) : transcriptionService.toWebVtt(transcript));
+  } catch (error) {
+    console.error('[Recordings] Error getting transcript:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/recordings/:recordingId/chapters
+ * Chapters built from the recording's markers, in seconds from the start of the recording (participants only)
+ * Query: ?format=json (default) or ffmetadata (ffmpeg chapter file, sent as a download)
+ */
+router.get('/:recordingId/chapters', authenticate, async (req, res) => {
+  try {
+    const recording = await loadAccessibleRecording(req, res);
+    if (!recording) {
+      return;
+    }
+
+    const { format = 'json' } = req.query;
+    if (!['json', 'ffmetadata'].includes(format)) {
+      return res.status(400).json({ success: false, error: 'Invalid format. Must be one of: json, ffmetadata' });
+    }
+
+    const chapters = markerService.buildChapters(recording);
+    if (format === 'ffmetadata') {
+      res.attachment(`${recording.id}.ffmetadata.txt`);
+      res.type('text/plain');
+      return res.send(markerService.toFfmetadata(chapters, { title: recording.id }));
+    }
+    res.json({ success: true, recordingId: recording.id, chapters });
+  } catch (error) {
+    console.error('[Recordings] Error getting chapters:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/recordings/:recordingId
+ * Delete a finished recording and its stored files (host or admin)
+ */
+router.delete('/:recordingId', authenticate, async (req, res) => {
+  try {
+    const recording = await loadAccessibleRecording(req, res);
+    if (!recording) {
+      return;
+    }
+
+    const session = sessionService.getSessionRecord(recording.sessionId);
+    if (!req.auth.isAdmin && !isSessionHost(req.auth, session)) {
+      return res.status(403).json({ success: false, error: 'Only the host can delete recordings' });
+    }
+    if (!recordingStorage.isFinalStatus(recording.status)) {
+      return res.status(409).json({
+        success: false,
+        error: `Recording is still ${recording.status}, stop it before deleting it`,
+      });
+    }
+
+    const result = await recordingService.deleteRecording(recording.id);
+    res.json({
+      success: true,
+      recordingId: result.recordingId,
+      deletedFiles: result.files,
+    });
+  } catch (error) {
+    console.error('[Recordings] Error deleting recording:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/recordings/:recordingId/process
+ * Queue a completed recording for post-processing again, e.g. after a failure (host or admin)
+ */
+router.post('/:recordingId/process', authenticate, async (req, res) => {
+  try {
+    const recording = await loadAccessibleRecording(req, res);
+    if (!recording) {
+      return;
+    }
+
+    const session = sessionService.getSessionRecord(recording.sessionId);
+    if (!req.auth.isAdmin && !isSessionHost(req.auth, session)) {
+      return res.status(403).json({ success: false, error: 'Only the host can process recordings' });
+    }
+    if (!config.postProcessing.enabled) {
+      return res.status(503).json({ success: false, error: 'Post-processing is not enabled' });
+    }
+    if (recording.status !== 'complete') {
+      return res.status(409).json({ success: false, error: `Recording is ${recording.status}, only complete recordings can be processed` });
+    }
+    if (['pending', 'processing'].includes(recording.postProcessing?.status)) {
+      return res.status(409).json({ success: false, error: 'Recording is already being processed' });
+    }
+
+    await postProcessingService.enqueue(recording.id);
+    res.status(202).json({
+      success: true,
+      recordingId: recording.id,
+      postProcessing: (await recordingStorage.getRecording(recording.id)).postProcessing,
+    });
+  } catch (error) {
+    console.error('[Recordings] Error queueing post-processing:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 /**
  * GET /api/recordings
  * Get all recordings (admin/debugging)
+ * Query: ?status=starting|active|paused|ending|complete|failed
  */
-router.get('/', async (req, res) => {
+router.get('/', requireAdmin, async (req, res) => {
   try {
-    const recordings = await recordingStorage.getAllRecordings();
+    if (!validateStatusFilter(req, res)) {
+      return;
+    }
+
+    const recordings = await recordingStorage.getAllRecordings({ status: req.query.status });
     res.json({
       success: true,
       recordings: recordings,
@@ -68,23 +584,17 @@ router.get('/', async (req, res) => {
 
 /**
  * POST /api/recordings/session/:sessionId/start
- * Start recording for a session (manual control)
+ * Start recording for a session (manual control, host only)
+ * Body: { mode?: 'composite' | 'multitrack', preset? } (preset defaults to the session's preset)
  */
-router.post('/session/:sessionId/start', async (req, res) => {
+router.post('/session/:sessionId/start', authenticate, requireHost, async (req, res) => {
   try {
     const { sessionId } = req.params;
-    const { identity } = req.body; // Identity of the user requesting to start recording
-
-    // Check if session exists
+    const { mode, preset } = req.body;
     const session = sessionService.getSession(sessionId);
-    if (!session) {
-      res.status(404).json({ success: false, error: 'Session not found' });
-      return;
-    }
 
-    // Check if user is the creator
-    if (!sessionService.isCreator(sessionId, identity)) {
-      res.status(403).json({ success: false, error: 'Only the session creator can start recording' });
+    if (session.endedAt) {
+      res.status(410).json({ success: false, error: 'This session has ended' });
       return;
     }
 
@@ -94,24 +604,26 @@ router.post('/session/:sessionId/start', async (req, res) => {
       return;
     }
 
-    // Start recording - use RoomCompositeEgress to record ALL participants
-    console.log(`[Recordings] Attempting to start recording for session: ${sessionId}, room: ${session.roomName}`);
-    // Use RoomCompositeEgress by default (records entire room with all participants)
-    // Falls back to TrackEgress if RoomCompositeEgress fails
-    let egressId;
-    try {
-      egressId = await recordingService.startRecording(session.roomName, sessionId);
-      console.log(`[Recordings] Using RoomCompositeEgress method (records all participants)`);
-    } catch (roomError) {
-      console.warn(`[Recordings] RoomCompositeEgress failed, falling back to TrackEgress: ${roomError.message}`);
-      // Fallback to TrackEgress if RoomCompositeEgress fails (records only one participant)
-      egressId = await recordingService.startRecordingWithTracks(session.roomName, sessionId);
-      console.warn(`[Recordings] ⚠️ Using TrackEgress fallback - only recording one participant's audio`);
+    if (mode !== undefined && !recordingService.isValidMode(mode)) {
+      res.status(400).json({ success: false, error: 'Invalid mode. Must be one of: composite, multitrack' });
+      return;
     }
+    if (preset !== undefined && !encodingPresets.isValidPreset(preset)) {
+      res.status(400).json({ success: false, error: `Unknown recording preset: ${preset}` });
+      return;
+    }
+
+    // Start recording
+    const egressId = await recordingService.startSessionRecording(sessionId, { mode, preset });
+
+    const { recordingMode, recordingId } = sessionService.getSession(sessionId);
 
     res.json({
       success: true,
       egressId: egressId,
+      mode: recordingMode,
+      recordingId: recordingId,
+      preset: encodingPresets.getPreset(preset || session.recordingPreset).name,
       message: 'Recording started successfully',
     });
   } catch (error) {
@@ -141,39 +653,126 @@ router.post('/session/:sessionId/start', async (req, res) => {
 });
 
 /**
- * POST /api/recordings/session/:sessionId/stop
- * Stop recording for a session (manual control)
+ * POST /api/recordings/session/:sessionId/markers
+ * Bookmark the current moment of the session's recording (participants only)
+ * Body: { label: string }
  */
-router.post('/session/:sessionId/stop', async (req, res) => {
+router.post('/session/:sessionId/markers', authenticate, requireSessionMember, async (req, res) => {
   try {
     const { sessionId } = req.params;
-    const { identity } = req.body; // Identity of the user requesting to stop recording
+    const { label } = req.body || {};
+
+    const labelError = markerService.validateLabel(label);
+    if (labelError) {
+      return res.status(400).json({ success: false, error: labelError });
+    }
 
-    // Check if session exists
     const session = sessionService.getSession(sessionId);
-    if (!session) {
-      res.status(404).json({ success: false, error: 'Session not found' });
+    if (!session.isRecording || !session.recordingId) {
+      return res.status(409).json({ success: false, error: 'Session is not being recorded' });
+    }
+
+    const { recordingId, marker } = await markerService.addMarker(sessionId, {
+      label,
+      author: req.auth.identity || null,
+    });
+    res.status(201).json({ success: true, recordingId, marker });
+  } catch (error) {
+    console.error('[Recordings] Error adding marker:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/recordings/session/:sessionId/pause
+ * Pause recording for a session, e.g. for an off-the-record break (host only)
+ * The paused part is left out of the recording; resuming adds a new segment
+ */
+router.post('/session/:sessionId/pause', authenticate, requireHost, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const session = sessionService.getSession(sessionId);
+
+    if (session.endedAt) {
+      res.status(410).json({ success: false, error: 'This session has ended' });
+      return;
+    }
+    if (!session.isRecording || session.isPaused) {
+      res.status(400).json({ success: false, error: 'No active recording to pause' });
+      return;
+    }
+    if (session.recordingMode !== 'composite') {
+      res.status(400).json({ success: false, error: 'Only composite recordings can be paused' });
       return;
     }
 
-    // Check if user is the creator
-    if (!sessionService.isCreator(sessionId, identity)) {
-      res.status(403).json({ success: false, error: 'Only the session creator can stop recording' });
+    const recording = await recordingService.pauseSessionRecording(sessionId);
+
+    res.json({
+      success: true,
+      recordingId: recording.id,
+      segmentCount: recording.segments.length,
+      message: 'Recording paused',
+    });
+  } catch (error) {
+    console.error('[Recordings] Error pausing recording:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/recordings/session/:sessionId/resume
+ * Resume a paused recording for a session (host only)
+ */
+router.post('/session/:sessionId/resume', authenticate, requireHost, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const session = sessionService.getSession(sessionId);
+
+    if (session.endedAt) {
+      res.status(410).json({ success: false, error: 'This session has ended' });
+      return;
+    }
+    if (!session.isPaused) {
+      res.status(400).json({ success: false, error: 'Recording is not paused' });
       return;
     }
 
-    // Check if recording is in progress
-    if (!session.isRecording || !session.recordingEgressId) {
+    const recording = await recordingService.resumeSessionRecording(sessionId);
+    const { recordingEgressId } = sessionService.getSession(sessionId);
+
+    res.json({
+      success: true,
+      recordingId: recording.id,
+      egressId: recordingEgressId,
+      segmentCount: recording.segments.length,
+      message: 'Recording resumed',
+    });
+  } catch (error) {
+    console.error('[Recordings] Error resuming recording:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/recordings/session/:sessionId/stop
+ * Stop recording for a session (manual control, host only)
+ */
+router.post('/session/:sessionId/stop', authenticate, requireHost, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const session = sessionService.getSession(sessionId);
+
+    // Check if recording is in progress (a paused recording has no egress)
+    if (!session.isRecording || (!session.recordingEgressId && !session.isPaused)) {
       res.status(400).json({ success: false, error: 'No recording in progress' });
       return;
     }
 
-    // Stop recording
-    await recordingService.stopRecording(session.recordingEgressId);
-
-    // Mark session as not recording immediately (file processing continues in background)
-    // The session will be fully cleared when the webhook fires
-    sessionService.clearRecording(sessionId);
+    // Stop recording (all track egresses for multitrack recordings)
+    // Session is marked as not recording immediately (file processing continues in background)
+    // The recording will be saved when the webhook fires
+    await recordingService.stopSessionRecording(sessionId);
 
     res.json({
       success: true,
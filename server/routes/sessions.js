@@ -4,19 +4,162 @@ const express = require('express');
 const router = express.Router();
 const sessionService = require('../services/sessionService');
 const tokenService = require('../services/tokenService');
+const inviteService = require('../services/inviteService');
+const moderationService = require('../services/moderationService');
+const encodingPresets = require('../services/encodingPresets');
+const storageService = require('../services/storageService');
+const autoRecordService = require('../services/autoRecordService');
+const speakerTimelineService = require('../services/speakerTimelineService');
+const outboundWebhookService = require('../services/outboundWebhookService');
+const sessionEventService = require('../services/sessionEventService');
+const recordingService = require('../services/recordingService');
+const config = require('../config');
+const { ROLES, SELF_SELECTABLE_ROLES, isValidRole } = require('../services/roles');
+const {
+  authenticate,
+  authenticateMedia,
+  requireSessionMember,
+  requireHost,
+  requireModerator,
+  requireAdmin,
+  resolveAuth,
+  isSessionHost,
+} = require('../middleware/auth');
+
+/**
+ * Check that the caller may moderate a participant: only hosts may act on other hosts
+ * Sends a 403 response and returns false otherwise
+ * @param {Object} req
+ * @param {Object} res
+ * @returns {boolean}
+ */
+function canModerateParticipant(req, res) {
+  const { sessionId, identity } = req.params;
+  const session = sessionService.getSession(sessionId);
+  if (sessionService.isHost(sessionId, identity) && !isSessionHost(req.auth, session)) {
+    res.status(403).json({ success: false, error: 'Only hosts can moderate other hosts' });
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Session info returned to participants
+ * @param {Object} session
+ * @returns {Object}
+ */
+function toSessionInfo(session) {
+  return {
+    sessionId: session.sessionId,
+    status: sessionService.getStatus(session),
+    createdAt: session.createdAt,
+    scheduledFor: session.scheduledFor || null,
+    expiresAt: session.expiresAt || null,
+    creatorIdentity: session.creatorIdentity,
+    participantCount: session.participants.length,
+    participants: session.participants.map(identity => ({
+      identity,
+      role: sessionService.getRole(session.sessionId, identity),
+      muted: (session.mutedParticipants || []).includes(identity),
+      tracks: (session.tracks?.[identity] || []).map(({ sid, type, source, muted }) => ({ sid, type, source, muted })),
+    })),
+    ingresses: Object.entries(session.ingresses || {}).map(([ingressId, ingress]) => ({ ingressId, ...ingress })),
+    roomStartedAt: session.roomStartedAt || null,
+    roomFinishedAt: session.roomFinishedAt || null,
+    isRecording: session.isRecording,
+    isPaused: !!session.isPaused,
+    autoRecord: session.autoRecord || null,
+    endedAt: session.endedAt || null,
+    endReason: session.endReason || null,
+  };
+}
+
+/**
+ * Read the callback options (callbackUrl, callbackSecret, externalRef) of a request body
+ * Only the main backend (X-API-Key) may set them: they decide where recordings are sent
+ * @returns {Promise<Object|null>} Callback options (empty if none were sent), or null if an error response was sent
+ */
+async function parseCallback(req, res) {
+  const { callbackUrl, callbackSecret, externalRef } = req.body || {};
+  const callback = Object.fromEntries(
+    Object.entries({ callbackUrl, callbackSecret, externalRef }).filter(([, value]) => value !== undefined)
+  );
+  if (Object.keys(callback).length === 0) {
+    return callback;
+  }
+
+  const auth = await resolveAuth(req);
+  if (!auth?.isAdmin) {
+    res.status(403).json({ success: false, error: 'callbackUrl, callbackSecret and externalRef require the admin API key' });
+    return null;
+  }
+
+  const error = outboundWebhookService.validateCallback(callback);
+  if (error) {
+    res.status(400).json({ success: false, error });
+    return null;
+  }
+  return callback;
+}
 
 /**
  * POST /api/sessions/create
  * Create a new session
+ * Body: { creatorIdentity?, autoRecord?: { start, minSpeakers, stopAfterIdleSeconds, mode }, preset?, tenant?,
+ *         scheduledFor?, ttlSeconds?, callbackUrl?, callbackSecret?, externalRef? }
+ * tenant must be one of OBJECT_STORAGE_TENANTS: recordings are stored in the tenant's bucket
+ * scheduledFor (ISO 8601) is the planned start; the session expires ttlSeconds after it, or after
+ * its creation (default: SESSION_TTL_SECONDS, 0: never)
+ * callbackUrl gets the session's recording notifications instead of MAIN_BACKEND_URL, and every
+ * notification echoes externalRef (admin API key only)
  */
-router.post('/create', (req, res) => {
+router.post('/create', async (req, res) => {
   try {
-    const { creatorIdentity } = req.body; // Optional: identity of the creator
-    const session = sessionService.createSession(creatorIdentity);
+    const { creatorIdentity, autoRecord, preset, tenant, scheduledFor, ttlSeconds } = req.body; // Optional: identity of the creator, auto-record policy, encoding preset, storage tenant, schedule
+
+    const policyError = autoRecordService.validatePolicy(autoRecord);
+    if (policyError) {
+      res.status(400).json({ success: false, error: policyError });
+      return;
+    }
+    if (preset !== undefined && !encodingPresets.isValidPreset(preset)) {
+      res.status(400).json({ success: false, error: `Unknown recording preset: ${preset}` });
+      return;
+    }
+    if (tenant !== undefined && !storageService.isValidTenant(tenant)) {
+      res.status(400).json({ success: false, error: `Unknown storage tenant: ${tenant}` });
+      return;
+    }
+    const scheduleError = sessionService.validateSchedule({ scheduledFor, ttlSeconds });
+    if (scheduleError) {
+      res.status(400).json({ success: false, error: scheduleError });
+      return;
+    }
+    const callback = await parseCallback(req, res);
+    if (!callback) {
+      return;
+    }
+
+    const session = sessionService.createSession(creatorIdentity, {
+      autoRecord: autoRecordService.normalizePolicy(autoRecord),
+      recordingPreset: preset || null,
+      storageTenant: tenant || null,
+      callback,
+      scheduledFor: scheduledFor ? new Date(scheduledFor) : null,
+      ttlSeconds: ttlSeconds ?? null,
+    });
     res.json({
       success: true,
       sessionId: session.sessionId,
+      status: sessionService.getStatus(session),
+      scheduledFor: session.scheduledFor,
+      expiresAt: session.expiresAt,
       creatorIdentity: session.creatorIdentity,
+      autoRecord: session.autoRecord,
+      recordingPreset: encodingPresets.getPreset(session.recordingPreset).name,
+      tenant: session.storageTenant,
+      callbackUrl: session.callbackUrl,
+      externalRef: session.externalRef,
       shareableLink: `${req.protocol}://${req.get('host')}?sessionId=${session.sessionId}`,
     });
   } catch (error) {
@@ -28,15 +171,34 @@ router.post('/create', (req, res) => {
 /**
  * POST /api/sessions/:sessionId/join
  * Generate token for joining a session
+ * Body: { identity?, role?: 'listener', invite?, callbackUrl?, callbackSecret?, externalRef? }
+ * Other roles require a signed invite (or are the default role); the first participant becomes the host
+ * The callback options are set on the session like on create (admin API key only)
  */
 router.post('/:sessionId/join', async (req, res) => {
   try {
     const { sessionId } = req.params;
-    const { identity } = req.body;
+    const { identity, role: requestedRole, invite } = req.body;
+
+    if (requestedRole !== undefined && !isValidRole(requestedRole)) {
+      res.status(400).json({ success: false, error: `Invalid role. Must be one of: ${ROLES.join(', ')}` });
+      return;
+    }
+    if (requestedRole !== undefined && !SELF_SELECTABLE_ROLES.includes(requestedRole)) {
+      res.status(403).json({ success: false, error: `The ${requestedRole} role requires an invite` });
+      return;
+    }
+    const callback = await parseCallback(req, res);
+    if (!callback) {
+      return;
+    }
 
     // Check if session exists, create if it doesn't (for flexibility)
     let session = sessionService.getSession(sessionId);
-    if (!session) {
+    if (!session && sessionService.getArchivedSession(sessionId)) {
+      res.status(410).json({ success: false, error: 'This session has ended' });
+      return;
+    } else if (!session) {
       // Validate sessionId format - accept alphanumeric with hyphens (for room names like project-xxx-task-yyy)
       // Also accept the original 8-10 character format for backward compatibility
       const isValidFormat = sessionId && (
@@ -53,24 +215,75 @@ router.post('/:sessionId/join', async (req, res) => {
       }
       
       // Auto-create session if it doesn't exist
-      session = sessionService.createOrGetSession(sessionId, identity);
+      session = sessionService.createOrGetSession(sessionId, identity, callback);
+    } else if (session.endedAt) {
+      res.status(410).json({ success: false, error: 'This session has ended' });
+      return;
+    } else if (sessionService.isExpired(session)) {
+      res.status(410).json({ success: false, error: 'This session has expired' });
+      return;
+    } else if (identity && sessionService.isRemoved(sessionId, identity)) {
+      res.status(403).json({ success: false, error: 'You were removed from this session' });
+      return;
+    } else if (identity && (
+      identity === session.creatorIdentity ||
+      session.participants.includes(identity) ||
+      Object.hasOwn(session.roles || {}, identity)
+    )) {
+      // Identities of the creator, current participants and anyone with a role (who joined before,
+      // or was assigned one) are reserved: only a caller already holding a token for that identity may get a new one
+      const auth = await resolveAuth(req);
+      if (!auth || (!auth.isAdmin && (auth.identity !== identity || auth.roomName !== session.roomName))) {
+        res.status(403).json({ success: false, error: 'This identity is already in use in this session' });
+        return;
+      }
+    }
+
+    if (Object.keys(callback).length > 0) {
+      session = sessionService.setCallback(sessionId, callback);
+    }
+
+    const userIdentity = identity || tokenService.generateIdentity();
+
+    let invitation = null;
+    if (invite) {
+      invitation = inviteService.verifyInvite(invite, sessionId, userIdentity);
+      if (!invitation) {
+        res.status(403).json({ success: false, error: 'Invalid, expired, revoked or already used invite' });
+        return;
+      }
     }
 
-    // Generate token
-    const tokenData = await tokenService.generateToken(session.roomName, identity);
-    
     // If session has no participants yet and has a temporary creator identity, update it to the actual token identity
     // This ensures the first person to join becomes the creator
     if (session.participants.length === 0 && (!session.creatorIdentity || session.creatorIdentity.startsWith('creator-'))) {
-      session.creatorIdentity = tokenData.identity;
-      console.log(`[Sessions] Updated creator identity for session ${sessionId} to ${tokenData.identity}`);
+      session = sessionService.updateSession(sessionId, { creatorIdentity: userIdentity });
+      console.log(`[Sessions] Updated creator identity for session ${sessionId} to ${userIdentity}`);
+      sessionEventService.publish(sessionId, 'creator.changed', { creatorIdentity: userIdentity });
     }
 
+    // Creator > invite > role from an earlier join > requested role > default
+    const storedRole = sessionService.getRole(sessionId, userIdentity);
+    const role = storedRole === 'host'
+      ? 'host'
+      : invitation?.role || storedRole || requestedRole || config.session.defaultRole;
+
+    // Generate token
+    const tokenData = await tokenService.generateToken(session.roomName, userIdentity, role);
+
+    // Only used up once the caller gets a token (another caller may have redeemed it meanwhile)
+    if (invitation && !inviteService.redeemInvite(invitation.inviteId, userIdentity)) {
+      res.status(403).json({ success: false, error: 'Invalid, expired, revoked or already used invite' });
+      return;
+    }
+    sessionService.setRole(sessionId, userIdentity, role);
+
     res.json({
       success: true,
       token: tokenData.token,
       url: tokenData.url,
       identity: tokenData.identity,
+      role: tokenData.role,
       roomName: session.roomName,
       sessionId: session.sessionId,
     });
@@ -80,11 +293,251 @@ router.post('/:sessionId/join', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/sessions/:sessionId/invites
+ * Create a signed invite link granting a role (host only)
+ * Body: { role?: 'host'|'cohost'|'speaker'|'listener', expiresIn?: seconds }
+ * Host and co-host invites are single-use and expire after MODERATOR_INVITE_TTL_SECONDS at most
+ */
+router.post('/:sessionId/invites', authenticate, requireHost, (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const { role = 'cohost' } = req.body || {};
+
+    if (!isValidRole(role)) {
+      res.status(400).json({ success: false, error: `Invalid role. Must be one of: ${ROLES.join(', ')}` });
+      return;
+    }
+    const maxTtlSeconds = inviteService.getMaxTtlSeconds(role);
+    const { expiresIn = maxTtlSeconds } = req.body || {};
+    if (!Number.isInteger(expiresIn) || expiresIn <= 0 || expiresIn > maxTtlSeconds) {
+      res.status(400).json({ success: false, error: `expiresIn must be a positive number of seconds, at most ${maxTtlSeconds} for ${role} invites` });
+      return;
+    }
+
+    const result = inviteService.createInvite(sessionId, role, {
+      expiresIn,
+      createdBy: req.auth.identity || null,
+    });
+
+    const params = new URLSearchParams({ sessionId, invite: result.invite });
+    res.json({
+      success: true,
+      ...result,
+      singleUse: inviteService.isSingleUse(role),
+      inviteLink: `${req.protocol}://${req.get('host')}?${params}`,
+    });
+  } catch (error) {
+    console.error('[Sessions] Error creating invite:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/sessions/:sessionId/invites/:inviteId
+ * Revoke an invite link (host only). Participants who already joined with it keep their role
+ */
+router.delete('/:sessionId/invites/:inviteId', authenticate, requireHost, (req, res) => {
+  try {
+    const { sessionId, inviteId } = req.params;
+    const invite = inviteService.revokeInvite(sessionId, inviteId);
+    if (!invite) {
+      res.status(404).json({ success: false, error: 'Invite not found' });
+      return;
+    }
+
+    res.json({ success: true, inviteId, revokedAt: invite.revokedAt });
+  } catch (error) {
+    console.error('[Sessions] Error revoking invite:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/sessions/:sessionId/participants/:identity/mute
+ * Mute or unmute a participant's audio (hosts and co-hosts)
+ * Body: { muted?: boolean } (defaults to true)
+ */
+router.post('/:sessionId/participants/:identity/mute', authenticate, requireModerator, async (req, res) => {
+  try {
+    const { sessionId, identity } = req.params;
+    const { muted = true } = req.body || {};
+
+    if (typeof muted !== 'boolean') {
+      res.status(400).json({ success: false, error: 'muted must be a boolean' });
+      return;
+    }
+    if (!canModerateParticipant(req, res)) {
+      return;
+    }
+
+    const result = await moderationService.setParticipantMuted(sessionId, identity, muted);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    if (moderationService.isNotFound(error)) {
+      res.status(404).json({ success: false, error: 'Participant is not in the room' });
+      return;
+    }
+    console.error('[Sessions] Error muting participant:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/sessions/:sessionId/participants/:identity
+ * Remove a participant from the session (hosts and co-hosts)
+ * The identity cannot rejoin the session afterwards
+ */
+router.delete('/:sessionId/participants/:identity', authenticate, requireModerator, async (req, res) => {
+  try {
+    const { sessionId, identity } = req.params;
+
+    if (!canModerateParticipant(req, res)) {
+      return;
+    }
+
+    await moderationService.removeParticipant(sessionId, identity);
+    res.json({ success: true, identity });
+  } catch (error) {
+    console.error('[Sessions] Error removing participant:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * PATCH /api/sessions/:sessionId/participants/:identity
+ * Change a participant's role and the permissions that come with it (host only)
+ * Body: { role: 'host'|'cohost'|'speaker'|'listener' }
+ */
+router.patch('/:sessionId/participants/:identity', authenticate, requireHost, async (req, res) => {
+  try {
+    const { sessionId, identity } = req.params;
+    const { role } = req.body || {};
+
+    if (!isValidRole(role)) {
+      res.status(400).json({ success: false, error: `Invalid role. Must be one of: ${ROLES.join(', ')}` });
+      return;
+    }
+    if (sessionService.isCreator(sessionId, identity)) {
+      res.status(400).json({ success: false, error: 'The session creator is always a host' });
+      return;
+    }
+    if (!sessionService.hasJoined(sessionId, identity)) {
+      res.status(404).json({ success: false, error: 'Participant has never joined this session' });
+      return;
+    }
+
+    const result = await moderationService.setParticipantRole(sessionId, identity, role);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('[Sessions] Error updating participant:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/sessions/:sessionId/speaker-activity
+ * Report speaker activity seen by a client, for the speaker timeline of the current recording (participants only)
+ * Body: { activeSpeakers?: string[], muted?: boolean } - muted is the caller's own microphone state
+ */
+router.post('/:sessionId/speaker-activity', authenticate, requireSessionMember, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const { activeSpeakers, muted } = req.body || {};
+
+    if (activeSpeakers !== undefined &&
+        (!Array.isArray(activeSpeakers) || !activeSpeakers.every(identity => typeof identity === 'string'))) {
+      res.status(400).json({ success: false, error: 'activeSpeakers must be an array of identities' });
+      return;
+    }
+    if (muted !== undefined && (typeof muted !== 'boolean' || !req.auth.identity)) {
+      res.status(400).json({ success: false, error: 'muted must be a boolean reported by a participant' });
+      return;
+    }
+
+    const session = sessionService.getSession(sessionId);
+    if (activeSpeakers) {
+      speakerTimelineService.reportActiveSpeakers(sessionId, activeSpeakers);
+    }
+    if (muted !== undefined) {
+      speakerTimelineService.recordEvent(sessionId, req.auth.identity, muted ? 'muted' : 'unmuted');
+      sessionService.setTracksMuted(sessionId, req.auth.identity, muted);
+      // Everyone being muted counts as silence for the idle auto-stop
+      await autoRecordService.evaluate(sessionId);
+    }
+
+    res.json({ success: true, recording: !!session.isRecording });
+  } catch (error) {
+    console.error('[Sessions] Error reporting speaker activity:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/sessions/:sessionId/end
+ * End the session for everyone: stops the recording and deletes the LiveKit room (host or admin)
+ * Ending a session that has already ended returns it unchanged
+ */
+router.post('/:sessionId/end', authenticate, requireHost, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    let session = sessionService.getSession(sessionId);
+    if (!session.endedAt) {
+      const endReason = req.auth.isAdmin ? 'admin' : 'host';
+      session = await moderationService.endSession(sessionId, req.auth.identity || null, endReason);
+    }
+
+    res.json({
+      success: true,
+      sessionId: session.sessionId,
+      status: sessionService.getStatus(session),
+      endedAt: session.endedAt,
+      endedBy: session.endedBy,
+      endReason: session.endReason,
+    });
+  } catch (error) {
+    console.error('[Sessions] Error ending session:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/sessions
+ * List sessions (admin/debugging)
+ * Query: ?isRecording=true|false&participant=<identity>&creatorIdentity=<identity>
+ *        &status=scheduled|open|live|ended&archived=true (archived sessions instead)
+ */
+router.get('/', requireAdmin, (req, res) => {
+  try {
+    const { isRecording, participant, creatorIdentity, status, archived } = req.query;
+    if (status !== undefined && !sessionService.isValidStatus(status)) {
+      res.status(400).json({ success: false, error: 'Invalid status. Must be one of: scheduled, open, live, ended' });
+      return;
+    }
+
+    const sessions = sessionService.findSessions({
+      isRecording: isRecording === undefined ? undefined : isRecording === 'true',
+      participant,
+      creatorIdentity,
+      status,
+      archived: archived === 'true',
+    });
+
+    res.json({
+      success: true,
+      sessions: sessions,
+    });
+  } catch (error) {
+    console.error('[Sessions] Error listing sessions:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 /**
  * GET /api/sessions/:sessionId
- * Get session information
+ * Get session information (participants only)
  */
-router.get('/:sessionId', (req, res) => {
+router.get('/:sessionId', authenticate, requireSessionMember, (req, res) => {
   try {
     const { sessionId } = req.params;
     const session = sessionService.getSession(sessionId);
@@ -96,13 +549,7 @@ router.get('/:sessionId', (req, res) => {
 
     res.json({
       success: true,
-      session: {
-        sessionId: session.sessionId,
-        createdAt: session.createdAt,
-        creatorIdentity: session.creatorIdentity,
-        participantCount: session.participants.length,
-        isRecording: session.isRecording,
-      },
+      session: toSessionInfo(session),
     });
   } catch (error) {
     console.error('[Sessions] Error getting session:', error);
@@ -110,4 +557,57 @@ router.get('/:sessionId', (req, res) => {
   }
 });
 
+/**
+ * GET /api/sessions/:sessionId/events
+ * Server-Sent Events stream of the session's state (participants, creator, recording)
+ * Starts with a `session` event: { session, recording } (same as GET /:sessionId and the recording status)
+ * then pushes the events of sessionEventService. EventSource cannot send headers: pass ?access_token=<token>
+ * The stream ends when the caller is removed from the session
+ */
+router.get('/:sessionId/events', authenticateMedia, requireSessionMember, async (req, res) => {
+  const { sessionId } = req.params;
+  const send = event => {
+    if (res.writableEnded) {
+      return;
+    }
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+    // A participant removed by a moderator loses access to the session: end their stream
+    if (event.type === 'participant.removed' && req.auth.identity && event.data.identity === req.auth.identity) {
+      res.end();
+    }
+  };
+
+  // Subscribe before reading the snapshot, so no event is lost in between
+  const queued = [];
+  let listener = event => queued.push(event);
+  const unsubscribe = sessionEventService.subscribe(sessionId, event => listener(event));
+
+  let heartbeat = null;
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+
+  try {
+    const recording = await recordingService.getSessionRecordingStatus(sessionId);
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no', // Disable proxy buffering (nginx)
+    });
+    res.flushHeaders();
+    heartbeat = setInterval(() => res.write(': ping\n\n'), config.session.eventsHeartbeatSeconds * 1000);
+
+    send({ id: 0, type: 'session', data: { session: toSessionInfo(sessionService.getSession(sessionId)), recording } });
+    queued.forEach(send);
+    listener = send;
+  } catch (error) {
+    console.error('[Sessions] Error opening event stream:', error);
+    unsubscribe();
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 module.exports = router;
@@ -1,39 +1,115 @@
 // LiveKit Webhook Handler
-// Handles participant join/leave events to trigger recording
+// Keeps session state in line with LiveKit (room open/close, participants, published tracks, ingresses)
+// and drives recordings, auto-recording policies and speaker timelines
 
 const express = require('express');
 const router = express.Router();
+const { WebhookReceiver, TrackType, TrackSource, IngressInput } = require('livekit-server-sdk');
 const sessionService = require('../services/sessionService');
 const recordingService = require('../services/recordingService');
+const moderationService = require('../services/moderationService');
+const autoRecordService = require('../services/autoRecordService');
+const speakerTimelineService = require('../services/speakerTimelineService');
+const outboundWebhookService = require('../services/outboundWebhookService');
+const sessionEventService = require('../services/sessionEventService');
 const config = require('../config');
 
+// Verifies the signed JWT LiveKit sends in the Authorization header (includes a sha256 of the body)
+const webhookReceiver = new WebhookReceiver(config.livekit.apiKey, config.livekit.apiSecret);
+
+// Event IDs seen within the max age window, used to reject replays
+// Kept in memory only: replays are not detected across restarts or between several server instances.
+// An event whose handling fails is forgotten again, so LiveKit's retry of it is accepted.
+const seenEventIds = new Map();
+
+/**
+ * Verify an incoming webhook and return its event
+ * @param {Object} req - Express request (with rawBody)
+ * @returns {Promise<Object>} Webhook event
+ * @throws {Error} With a `status` property (401 or 409) if the webhook must be rejected
+ */
+async function receiveEvent(req) {
+  const authHeader = req.get('Authorization');
+  let event;
+
+  if (config.webhooks.allowSharedSecret && authHeader === `Bearer ${config.server.webhookSecret}`) {
+    // Legacy shared-secret mode (explicit opt-in via WEBHOOK_ALLOW_SHARED_SECRET)
+    event = req.body;
+  } else {
+    try {
+      event = await webhookReceiver.receive(req.rawBody || '', authHeader, false, config.webhooks.clockToleranceSeconds);
+    } catch (error) {
+      throw Object.assign(new Error(`Invalid webhook signature: ${error.message}`), { status: 401 });
+    }
+  }
+
+  // Reject stale events (createdAt is in seconds)
+  const maxAgeMs = config.webhooks.maxAgeSeconds * 1000;
+  const createdAtMs = Number(event.createdAt || 0) * 1000;
+  if (!createdAtMs || Date.now() - createdAtMs > maxAgeMs) {
+    throw Object.assign(new Error('Stale webhook event'), { status: 401 });
+  }
+
+  // Reject replayed events
+  if (event.id) {
+    for (const [id, seenAt] of seenEventIds) {
+      if (Date.now() - seenAt > maxAgeMs) {
+        seenEventIds.delete(id);
+      }
+    }
+    if (seenEventIds.has(event.id)) {
+      throw Object.assign(new Error(`Duplicate webhook event ${event.id}`), { status: 409 });
+    }
+    seenEventIds.set(event.id, Date.now());
+  }
+
+  return event;
+}
+
 /**
  * POST /api/webhooks/livekit
  * Handle LiveKit webhook events
  */
 router.post('/livekit', async (req, res) => {
+  let event;
   try {
-    // Verify webhook secret (basic security)
-    const webhookSecret = req.headers['authorization'];
-    if (webhookSecret !== `Bearer ${config.server.webhookSecret}`) {
-      console.warn('[Webhooks] Unauthorized webhook request');
-      res.status(401).json({ error: 'Unauthorized' });
+    try {
+      event = await receiveEvent(req);
+    } catch (verifyError) {
+      console.warn(`[Webhooks] Rejected webhook request: ${verifyError.message}`);
+      res.status(verifyError.status || 401).json({ error: verifyError.status === 409 ? 'Duplicate event' : 'Unauthorized' });
       return;
     }
 
-    const event = req.body;
     console.log(`[Webhooks] Received event: ${event.event}`);
 
     // Handle different event types
     switch (event.event) {
+      case 'room_started':
+        await handleRoomStarted(event);
+        break;
+
+      case 'room_finished':
+        await handleRoomFinished(event);
+        break;
+
       case 'participant_joined':
         await handleParticipantJoined(event);
         break;
 
       case 'participant_left':
+      case 'participant_connection_aborted': // Left without a clean disconnect
         await handleParticipantLeft(event);
         break;
 
+      case 'track_published':
+        await handleTrackPublished(event);
+        break;
+
+      case 'track_unpublished':
+        await handleTrackUnpublished(event);
+        break;
+
       case 'egress_ended':
         await handleEgressEnded(event);
         break;
@@ -47,6 +123,11 @@ router.post('/livekit', async (req, res) => {
         await handleEgressEnded(event);
         break;
 
+      case 'ingress_started':
+      case 'ingress_ended':
+        handleIngressEvent(event);
+        break;
+
       default:
         console.log(`[Webhooks] Unhandled event type: ${event.event}`);
     }
@@ -54,10 +135,112 @@ router.post('/livekit', async (req, res) => {
     res.json({ success: true });
   } catch (error) {
     console.error('[Webhooks] Error handling webhook:', error);
+    if (event?.id) {
+      seenEventIds.delete(event.id);
+    }
     res.status(500).json({ error: error.message });
   }
 });
 
+/**
+ * Time an event was emitted at (createdAt is in seconds)
+ * @param {Object} event
+ * @returns {Date}
+ */
+function getEventTime(event) {
+  const createdAtMs = Number(event.createdAt || 0) * 1000;
+  return createdAtMs ? new Date(createdAtMs) : new Date();
+}
+
+/**
+ * Name of a protobuf enum value: verified events carry numbers, shared-secret events names
+ * @param {Object} enumType - e.g. TrackType
+ * @param {number|string} value
+ * @returns {string|null}
+ */
+function enumName(enumType, value) {
+  return (typeof value === 'number' ? enumType[value] : value) ?? null;
+}
+
+/**
+ * Summary of a published track stored on the session
+ * @param {Object} track - TrackInfo
+ * @returns {Object} { sid, type, source, name, muted }
+ */
+function toTrackInfo(track) {
+  return {
+    sid: track.sid,
+    type: enumName(TrackType, track.type)?.toLowerCase() || null, // audio, video, data
+    source: enumName(TrackSource, track.source)?.toLowerCase() || null, // microphone, camera, screen_share...
+    name: track.name || null,
+    muted: !!track.muted,
+  };
+}
+
+/**
+ * Get the session of a room, creating it if it doesn't exist (ensures recording always works)
+ * Events of archived sessions are ignored: returns null
+ * @param {Object} event - WebhookEvent
+ * @param {string} roomName
+ * @returns {Object|null} Session
+ */
+function getOrCreateSession(event, roomName) {
+  const session = sessionService.createOrGetSession(roomName);
+  if (!session) {
+    console.log(`[Webhooks] Ignoring ${event.event} for archived session ${roomName}`);
+  }
+  return session;
+}
+
+/**
+ * Handle room started event
+ * Records when the room actually opened
+ */
+async function handleRoomStarted(event) {
+  const { room } = event;
+  const startedAt = getEventTime(event);
+
+  if (!getOrCreateSession(event, room.name)) {
+    return;
+  }
+  sessionService.markRoomStarted(room.name, startedAt);
+  sessionEventService.publish(room.name, 'room.started', { at: startedAt });
+}
+
+/**
+ * Handle room finished event
+ * LiveKit closed the room (empty timeout, or deleted): close out the session, including a recording
+ * that is still flagged as running because its egress completion was missed
+ */
+async function handleRoomFinished(event) {
+  const { room } = event;
+  const roomName = room.name;
+  const session = sessionService.getSession(roomName);
+  if (!session) {
+    return;
+  }
+
+  for (const identity of session.participants) {
+    speakerTimelineService.recordEvent(roomName, identity, 'left');
+  }
+
+  if (session.isRecording || session.isPaused) {
+    console.warn(`[Webhooks] Room ${roomName} finished while session was still recording, stopping the recording`);
+    try {
+      // Stops nothing that already ended: completed egresses are finalized, the others polled
+      await recordingService.stopSessionRecording(roomName);
+    } catch (error) {
+      console.error(`[Webhooks] Failed to stop recording of finished room ${roomName}:`, error.message);
+      sessionService.clearRecording(roomName);
+    }
+  }
+  autoRecordService.cancelIdleStop(roomName);
+
+  const finishedAt = getEventTime(event);
+  sessionService.markRoomFinished(roomName, finishedAt);
+  sessionEventService.publish(roomName, 'room.finished', { at: finishedAt });
+}
+
 /**
  * Handle participant joined event
  */
@@ -65,20 +248,36 @@ async function handleParticipantJoined(event) {
   const { room, participant } = event;
   const roomName = room.name;
   
-  // Try to find session by room name (sessionId = roomName)
-  // Auto-create session if it doesn't exist (ensures recording always works)
-  const session = sessionService.createOrGetSession(roomName);
+  // Find session by room name (sessionId = roomName)
+  const session = getOrCreateSession(event, roomName);
+  if (!session) {
+    return;
+  }
+
+  // Participants removed by a moderator, or of an ended session, may still hold a valid token: disconnect them
+  if (session.endedAt || sessionService.isRemoved(roomName, participant.identity)) {
+    console.log(`[Webhooks] ${session.endedAt ? 'Session has ended' : 'Removed participant'}: disconnecting ${participant.identity} from room ${roomName}`);
+    await moderationService.removeParticipant(roomName, participant.identity);
+    return;
+  }
 
   // Add participant to session
   sessionService.addParticipant(roomName, participant.identity);
+  speakerTimelineService.recordEvent(roomName, participant.identity, 'joined');
 
   // Get current participant count
   const participantCount = sessionService.getParticipantCount(roomName);
 
   console.log(`[Webhooks] Participant ${participant.identity} joined room ${roomName}. Total participants: ${participantCount}`);
+  outboundWebhookService.publish('participant.joined', {
+    identity: participant.identity,
+    participantCount,
+    joinedAt: new Date(),
+  }, { sessionId: roomName });
+  sessionEventService.publish(roomName, 'participant.joined', { identity: participant.identity, participantCount });
 
-  // Note: Recording is now manually controlled via API endpoints
-  // Auto-recording has been disabled in favor of manual start/stop buttons
+  // Recording is started by the host unless the session has an auto-record policy
+  await autoRecordService.evaluate(roomName);
 }
 
 /**
@@ -88,19 +287,100 @@ async function handleParticipantLeft(event) {
   const { room, participant } = event;
   const roomName = room.name;
   
-  // Try to find session by room name (auto-create if needed for consistency)
-  const session = sessionService.createOrGetSession(roomName);
+  // Find session by room name (auto-create if needed for consistency)
+  const session = getOrCreateSession(event, roomName);
+  if (!session) {
+    return;
+  }
 
   // Remove participant from session
   sessionService.removeParticipant(roomName, participant.identity);
+  speakerTimelineService.recordEvent(roomName, participant.identity, 'left');
 
   // Get current participant count
   const participantCount = sessionService.getParticipantCount(roomName);
 
   console.log(`[Webhooks] Participant ${participant.identity} left room ${roomName}. Remaining participants: ${participantCount}`);
+  sessionEventService.publish(roomName, 'participant.left', { identity: participant.identity, participantCount });
+
+  // Recording is stopped by the host unless the session's auto-record policy stops idle rooms
+  await autoRecordService.evaluate(roomName);
+}
+
+/**
+ * Handle track published event
+ * Starts a per-participant egress when a multitrack recording is running
+ */
+async function handleTrackPublished(event) {
+  const { room, participant, track } = event;
+  console.log(`[Webhooks] Track ${track?.sid} published by ${participant.identity} in room ${room.name}`);
+
+  if (!getOrCreateSession(event, room.name)) {
+    return;
+  }
+
+  if (track) {
+    sessionService.setPublishedTrack(room.name, participant.identity, toTrackInfo(track));
+  }
 
-  // Note: Recording stop is now manually controlled via API endpoints
-  // Auto-stop has been disabled in favor of manual stop button
+  if (track && recordingService.isAudioTrack(track)) {
+    sessionService.setAudioTrack(room.name, participant.identity, track.sid, true);
+    // Tracks can be published muted (LiveKit sends no webhook for later mute changes, clients report those)
+    speakerTimelineService.recordEvent(room.name, participant.identity, track.muted ? 'muted' : 'audio_published');
+  }
+
+  await recordingService.handleTrackPublished(room.name, participant.identity, track);
+  await autoRecordService.evaluate(room.name);
+}
+
+/**
+ * Handle track unpublished event
+ */
+async function handleTrackUnpublished(event) {
+  const { room, participant, track } = event;
+  console.log(`[Webhooks] Track ${track?.sid} unpublished by ${participant.identity} in room ${room.name}`);
+
+  if (!track || !sessionService.sessionExists(room.name)) {
+    return;
+  }
+
+  sessionService.removePublishedTrack(room.name, participant.identity, track.sid);
+  if (!recordingService.isAudioTrack(track)) {
+    return;
+  }
+
+  sessionService.setAudioTrack(room.name, participant.identity, track.sid, false);
+  speakerTimelineService.recordEvent(room.name, participant.identity, 'audio_unpublished');
+  await autoRecordService.evaluate(room.name);
+}
+
+/**
+ * Handle ingress started and ended events
+ * Ingresses publish external streams (RTMP, WHIP, URL) into a room as a participant
+ */
+function handleIngressEvent(event) {
+  const { ingressInfo } = event;
+  const roomName = ingressInfo?.roomName;
+  console.log(`[Webhooks] Ingress ${ingressInfo?.ingressId} ${event.event === 'ingress_started' ? 'started' : 'ended'} for room: ${roomName}`);
+
+  if (!roomName) {
+    return;
+  }
+  if (event.event === 'ingress_ended') {
+    if (sessionService.sessionExists(roomName)) {
+      sessionService.setIngress(roomName, ingressInfo.ingressId, null);
+    }
+    return;
+  }
+
+  if (!getOrCreateSession(event, roomName)) {
+    return;
+  }
+  sessionService.setIngress(roomName, ingressInfo.ingressId, {
+    participantIdentity: ingressInfo.participantIdentity || null,
+    inputType: enumName(IngressInput, ingressInfo.inputType),
+    startedAt: getEventTime(event),
+  });
 }
 
 /**
@@ -109,6 +389,8 @@ async function handleParticipantLeft(event) {
 async function handleEgressStarted(event) {
   const { egress } = event;
   console.log(`[Webhooks] Egress started: ${egress.egressId} for room: ${egress.roomName}`);
+
+  await recordingService.handleEgressStarted(egress);
 }
 
 /**
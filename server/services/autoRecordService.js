@@ -0,0 +1,197 @@
+// Auto-Record Service - Starts and stops recordings from a per-session policy
+// Driven by participant and track webhooks (see routes/webhooks.js)
+//
+// Policy (set when the session is created):
+//   start: 'manual'  - only the host starts recordings (default)
+//          'always'  - start as soon as someone is in the room
+//          'speakers' - start once `minSpeakers` participants publish audio
+//   minSpeakers: number of participants publishing audio for 'speakers' (default 1)
+//   stopAfterIdleSeconds: stop once the room has been empty or silent (no audio published)
+//                         for this long, also for recordings started by the host (default: never)
+//   mode: 'composite' or 'multitrack' recording (default 'composite')
+
+const sessionService = require('./sessionService');
+const recordingService = require('./recordingService');
+
+const START_TRIGGERS = ['manual', 'always', 'speakers'];
+
+class AutoRecordService {
+  constructor() {
+    this.idleTimers = new Map(); // sessionId -> timeout stopping an idle recording
+    this.starting = new Set(); // sessionIds with an auto-start in progress
+  }
+
+  /**
+   * Validate an auto-record policy
+   * @param {Object} policy
+   * @returns {string|null} Error message, or null if the policy is valid
+   */
+  validatePolicy(policy) {
+    if (policy === null || policy === undefined) {
+      return null;
+    }
+    if (typeof policy !== 'object' || Array.isArray(policy)) {
+      return 'autoRecord must be an object';
+    }
+
+    const { start, minSpeakers, stopAfterIdleSeconds, mode } = policy;
+    if (start !== undefined && !START_TRIGGERS.includes(start)) {
+      return `autoRecord.start must be one of: ${START_TRIGGERS.join(', ')}`;
+    }
+    if (minSpeakers !== undefined && (!Number.isInteger(minSpeakers) || minSpeakers < 1)) {
+      return 'autoRecord.minSpeakers must be a positive integer';
+    }
+    if (stopAfterIdleSeconds !== undefined && stopAfterIdleSeconds !== null &&
+        (typeof stopAfterIdleSeconds !== 'number' || stopAfterIdleSeconds <= 0)) {
+      return 'autoRecord.stopAfterIdleSeconds must be a positive number of seconds';
+    }
+    if (mode !== undefined && !recordingService.isValidMode(mode)) {
+      return 'autoRecord.mode must be one of: composite, multitrack';
+    }
+    return null;
+  }
+
+  /**
+   * Fill in the defaults of a (valid) auto-record policy
+   * @param {Object} policy
+   * @returns {Object|null} Normalized policy, or null if auto-recording is not configured
+   */
+  normalizePolicy(policy) {
+    if (!policy) {
+      return null;
+    }
+
+    return {
+      start: policy.start || 'manual',
+      minSpeakers: policy.minSpeakers || 1,
+      stopAfterIdleSeconds: policy.stopAfterIdleSeconds || null,
+      mode: policy.mode || 'composite',
+    };
+  }
+
+  /**
+   * Check if a session's room is empty or silent (no audio track, or every one of them muted)
+   * @param {Object} session
+   * @returns {boolean}
+   */
+  isIdle(session) {
+    return session.participants.length === 0 || sessionService.getAudibleSpeakerCount(session.sessionId) === 0;
+  }
+
+  /**
+   * Check if the policy of a session calls for a recording to be started now
+   * @param {Object} session
+   * @returns {boolean}
+   */
+  shouldStart(session) {
+    const policy = session.autoRecord;
+    if (!policy || session.isRecording || session.endedAt || this.starting.has(session.sessionId)) {
+      return false;
+    }
+
+    // Don't start a recording the idle rule would stop right away
+    if (policy.stopAfterIdleSeconds && this.isIdle(session)) {
+      return false;
+    }
+
+    const speakerCount = sessionService.getSpeakerCount(session.sessionId);
+    // Multitrack egresses need at least one audio track
+    if (policy.mode === 'multitrack' && speakerCount === 0) {
+      return false;
+    }
+
+    switch (policy.start) {
+      case 'always':
+        return session.participants.length > 0;
+      case 'speakers':
+        return speakerCount >= policy.minSpeakers;
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Apply the auto-record policy of a session after its participants, tracks or mute states changed
+   * @param {string} sessionId
+   */
+  async evaluate(sessionId) {
+    const session = sessionService.getSession(sessionId);
+    if (!session?.autoRecord) {
+      return;
+    }
+
+    if (session.isRecording && session.autoRecord.stopAfterIdleSeconds && this.isIdle(session)) {
+      this.scheduleIdleStop(sessionId, session.autoRecord.stopAfterIdleSeconds);
+    } else {
+      this.cancelIdleStop(sessionId);
+    }
+
+    if (this.shouldStart(session)) {
+      await this.startRecording(session);
+    }
+  }
+
+  /**
+   * Start a recording for a session according to its policy
+   * @param {Object} session
+   */
+  async startRecording(session) {
+    const { sessionId, autoRecord } = session;
+    this.starting.add(sessionId);
+    try {
+      console.log(`[AutoRecordService] Auto-starting ${autoRecord.mode} recording for session ${sessionId} (start: ${autoRecord.start})`);
+      const egressId = await recordingService.startSessionRecording(sessionId, { mode: autoRecord.mode });
+      console.log(`[AutoRecordService] ✅ Auto-started recording for session ${sessionId}, egress: ${egressId}`);
+    } catch (error) {
+      // Retried on the next participant or track event
+      console.error(`[AutoRecordService] Failed to auto-start recording for session ${sessionId}:`, error.message);
+    } finally {
+      this.starting.delete(sessionId);
+    }
+  }
+
+  /**
+   * Stop the recording of a session once it has been idle for a while
+   * @param {string} sessionId
+   * @param {number} seconds
+   */
+  scheduleIdleStop(sessionId, seconds) {
+    if (this.idleTimers.has(sessionId)) {
+      return;
+    }
+
+    console.log(`[AutoRecordService] Session ${sessionId} is idle, stopping its recording in ${seconds}s`);
+    const timer = setTimeout(async () => {
+      this.idleTimers.delete(sessionId);
+
+      const session = sessionService.getSession(sessionId);
+      if (!session?.isRecording || !this.isIdle(session)) {
+        return;
+      }
+
+      try {
+        console.log(`[AutoRecordService] Session ${sessionId} was idle for ${seconds}s, stopping recording`);
+        await recordingService.stopSessionRecording(sessionId);
+      } catch (error) {
+        console.error(`[AutoRecordService] Failed to stop idle recording for session ${sessionId}:`, error.message);
+      }
+    }, seconds * 1000);
+
+    this.idleTimers.set(sessionId, timer);
+  }
+
+  /**
+   * Cancel a pending idle stop
+   * @param {string} sessionId
+   */
+  cancelIdleStop(sessionId) {
+    const timer = this.idleTimers.get(sessionId);
+    if (timer) {
+      clearTimeout(timer);
+      this.idleTimers.delete(sessionId);
+      console.log(`[AutoRecordService] Session ${sessionId} is active again, cancelled idle stop`);
+    }
+  }
+}
+
+module.exports = new AutoRecordService();
@@ -0,0 +1,143 @@
+// Recording Encoding Presets
+// Hosts pick a preset by name when creating a session or starting a recording; raw encoding
+// options are never taken from requests. Presets from RECORDING_PRESETS (JSON) are added to,
+// or replace, the built-in ones.
+//
+// LiveKit egress has no channel count option and always writes stereo, so `channels: 1`
+// is applied by post-processing (mono renditions).
+
+const { EncodingOptions, AudioCodec, EncodedFileType } = require('livekit-server-sdk');
+const config = require('../config');
+
+const BUILT_IN_PRESETS = {
+  'speech-low': {
+    label: 'Speech (low bitrate)',
+    codec: 'opus',
+    bitrate: 32, // kbps
+    sampleRate: 48000,
+    channels: 1,
+  },
+  standard: {
+    label: 'Standard (AAC 128 kbps)',
+    codec: 'aac',
+    bitrate: 128,
+    sampleRate: 44100,
+    channels: 2,
+  },
+  'podcast-hq': {
+    label: 'Podcast (high quality)',
+    codec: 'aac',
+    bitrate: 256,
+    sampleRate: 48000,
+    channels: 2,
+  },
+};
+
+const CODECS = {
+  aac: { audioCodec: AudioCodec.AAC, fileType: EncodedFileType.MP4, extension: 'm4a' },
+  opus: { audioCodec: AudioCodec.OPUS, fileType: EncodedFileType.OGG, extension: 'ogg' },
+};
+
+const SAMPLE_RATES = {
+  aac: [44100, 48000],
+  opus: [8000, 12000, 16000, 24000, 48000],
+};
+
+/**
+ * Validate a preset definition
+ * @param {string} name
+ * @param {Object} preset
+ * @returns {string|null} Error message, or null if the preset is valid
+ */
+function validatePreset(name, preset) {
+  if (!preset || typeof preset !== 'object') {
+    return `Preset ${name} must be an object`;
+  }
+  if (!CODECS[preset.codec]) {
+    return `Preset ${name}: codec must be one of: ${Object.keys(CODECS).join(', ')}`;
+  }
+  if (!Number.isInteger(preset.bitrate) || preset.bitrate < 8 || preset.bitrate > 512) {
+    return `Preset ${name}: bitrate must be between 8 and 512 kbps`;
+  }
+  if (!SAMPLE_RATES[preset.codec].includes(preset.sampleRate)) {
+    return `Preset ${name}: sampleRate for ${preset.codec} must be one of: ${SAMPLE_RATES[preset.codec].join(', ')}`;
+  }
+  if (![1, 2].includes(preset.channels)) {
+    return `Preset ${name}: channels must be 1 or 2`;
+  }
+  return null;
+}
+
+/**
+ * Load the allowlist: built-in presets plus valid presets from the configuration
+ * @returns {Object} name -> preset
+ */
+function loadPresets() {
+  const presets = { ...BUILT_IN_PRESETS };
+  for (const [name, preset] of Object.entries(config.recording.presets)) {
+    const error = validatePreset(name, preset);
+    if (error) {
+      console.warn(`⚠️  Ignoring recording preset: ${error}`);
+      continue;
+    }
+    presets[name] = { label: name, ...preset };
+  }
+  return presets;
+}
+
+const PRESETS = loadPresets();
+
+/**
+ * Check if a preset name is in the allowlist
+ * @param {string} name
+ * @returns {boolean}
+ */
+function isValidPreset(name) {
+  return Object.prototype.hasOwnProperty.call(PRESETS, name);
+}
+
+/**
+ * Get a preset by name, falling back to the default preset
+ * @param {string} [name]
+ * @returns {Object} { name, label, codec, bitrate, sampleRate, channels, extension }
+ */
+function getPreset(name) {
+  const presetName = name && isValidPreset(name) ? name : config.recording.defaultPreset;
+  const preset = PRESETS[presetName] || BUILT_IN_PRESETS.standard;
+  return { name: presetName, ...preset, extension: CODECS[preset.codec].extension };
+}
+
+/**
+ * List the presets hosts can pick
+ * @returns {Array<Object>}
+ */
+function listPresets() {
+  return Object.keys(PRESETS).map(name => ({
+    ...getPreset(name),
+    isDefault: name === config.recording.defaultPreset,
+  }));
+}
+
+/**
+ * Build the egress encoding options and file type of a preset
+ * @param {Object} preset - Result of getPreset
+ * @returns {Object} { encodingOptions, fileType }
+ */
+function getEgressEncoding(preset) {
+  return {
+    encodingOptions: new EncodingOptions({
+      audioCodec: CODECS[preset.codec].audioCodec,
+      audioBitrate: preset.bitrate,
+      audioFrequency: preset.sampleRate,
+    }),
+    fileType: CODECS[preset.codec].fileType,
+  };
+}
+
+module.exports = {
+  validatePreset,
+  isValidPreset,
+  getPreset,
+  listPresets,
+  getEgressEncoding,
+};
@@ -0,0 +1,184 @@
+// Invite Service - Signed, expiring invites that grant a role in a session
+// Every invite has an ID recorded in the store, so it can be revoked. Host and co-host
+// invites are single-use: once redeemed, only the identity that redeemed them may reuse them.
+
+const crypto = require('crypto');
+const config = require('../config');
+const { createStore } = require('./stores');
+const { isValidRole, MODERATOR_ROLES } = require('./roles');
+
+class InviteService {
+  constructor() {
+    this.store = createStore('invites'); // inviteId -> { id, sessionId, role, createdBy, expiresAt, redeemedBy, redeemedAt, revokedAt }
+  }
+
+  /**
+   * Sign a payload with HMAC-SHA256
+   * @param {string} encodedPayload - base64url payload
+   * @returns {string} base64url signature
+   */
+  sign(encodedPayload) {
+    return crypto.createHmac('sha256', config.auth.inviteSecret).update(encodedPayload).digest('base64url');
+  }
+
+  /**
+   * Create an invite for a session
+   * @param {string} sessionId
+   * @param {string} role - Role granted by the invite
+   * @param {Object} options
+   * @param {number} options.expiresIn - Lifetime in seconds
+   * @param {string} options.createdBy - Identity of the host creating the invite
+   * @returns {Object} { inviteId, invite, role, expiresAt }
+   */
+  createInvite(sessionId, role, { expiresIn = this.getMaxTtlSeconds(role), createdBy = null } = {}) {
+    if (!isValidRole(role)) {
+      throw new Error(`Unknown role: ${role}`);
+    }
+
+    const id = crypto.randomUUID();
+    const expiresAt = Math.floor(Date.now() / 1000) + expiresIn;
+    const encodedPayload = Buffer.from(JSON.stringify({
+      jti: id,
+      sid: sessionId,
+      role,
+      exp: expiresAt,
+      by: createdBy,
+    })).toString('base64url');
+
+    this.pruneExpired();
+    this.store.set(id, {
+      id,
+      sessionId,
+      role,
+      createdBy,
+      expiresAt: new Date(expiresAt * 1000),
+      redeemedBy: null,
+      redeemedAt: null,
+      revokedAt: null,
+    });
+    console.log(`[InviteService] Created ${role} invite ${id} for session ${sessionId} (expires in ${expiresIn}s)`);
+
+    return {
+      inviteId: id,
+      invite: `${encodedPayload}.${this.sign(encodedPayload)}`,
+      role,
+      expiresAt: new Date(expiresAt * 1000),
+    };
+  }
+
+  /**
+   * Forget invites that have expired
+   */
+  pruneExpired() {
+    const now = new Date();
+    for (const record of this.store.values()) {
+      if (new Date(record.expiresAt) < now) {
+        this.store.delete(record.id);
+      }
+    }
+  }
+
+  /**
+   * Get the longest lifetime an invite for a role may have
+   * Host and co-host invites hand out moderator rights: they are kept short
+   * @param {string} role
+   * @returns {number} Seconds
+   */
+  getMaxTtlSeconds(role) {
+    return MODERATOR_ROLES.includes(role) ? config.session.moderatorInviteTtlSeconds : config.session.inviteTtlSeconds;
+  }
+
+  /**
+   * Check if an invite is single-use
+   * @param {string} role
+   * @returns {boolean}
+   */
+  isSingleUse(role) {
+    return MODERATOR_ROLES.includes(role);
+  }
+
+  /**
+   * Verify an invite for a session
+   * @param {string} invite
+   * @param {string} sessionId
+   * @param {string} identity - Identity joining with the invite
+   * @returns {Object|null} { inviteId, sessionId, role, createdBy } or null if invalid, expired, revoked or used
+   */
+  verifyInvite(invite, sessionId, identity) {
+    const [encodedPayload, signature] = String(invite).split('.');
+    if (!encodedPayload || !signature) {
+      return null;
+    }
+
+    const expected = Buffer.from(this.sign(encodedPayload));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return null;
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+    } catch (error) {
+      return null;
+    }
+
+    if (payload.sid !== sessionId || payload.exp < Date.now() / 1000 || !isValidRole(payload.role)) {
+      return null;
+    }
+
+    const record = payload.jti ? this.store.get(payload.jti) : null;
+    if (!record || record.revokedAt) {
+      return null;
+    }
+    if (this.isSingleUse(record.role) && record.redeemedBy && record.redeemedBy !== identity) {
+      return null;
+    }
+
+    return { inviteId: record.id, sessionId: payload.sid, role: payload.role, createdBy: payload.by };
+  }
+
+  /**
+   * Record that an identity joined with an invite (binds single-use invites to it)
+   * @param {string} inviteId
+   * @param {string} identity
+   * @returns {boolean} false if the invite was revoked, or a single-use invite was redeemed by another identity meanwhile
+   */
+  redeemInvite(inviteId, identity) {
+    const record = this.store.get(inviteId);
+    if (!record || record.revokedAt) {
+      return false;
+    }
+    if (record.redeemedBy) {
+      return !this.isSingleUse(record.role) || record.redeemedBy === identity;
+    }
+
+    record.redeemedBy = identity;
+    record.redeemedAt = new Date();
+    this.store.set(inviteId, record);
+    console.log(`[InviteService] Invite ${inviteId} redeemed by ${identity}`);
+    return true;
+  }
+
+  /**
+   * Revoke an invite of a session
+   * @param {string} sessionId
+   * @param {string} inviteId
+   * @returns {Object|null} Revoked invite, or null if the session has no such invite
+   */
+  revokeInvite(sessionId, inviteId) {
+    const record = this.store.get(inviteId);
+    if (!record || record.sessionId !== sessionId) {
+      return null;
+    }
+
+    if (!record.revokedAt) {
+      record.revokedAt = new Date();
+      this.store.set(inviteId, record);
+      console.log(`[InviteService] Revoked invite ${inviteId} of session ${sessionId}`);
+    }
+    return record;
+  }
+}
+
+module.exports = new InviteService();
@@ -0,0 +1,63 @@
+// Job Queue - Runs background jobs on recordings one at a time
+// ffmpeg jobs are CPU and memory heavy, so each queue processes a single job at once
+
+class JobQueue {
+  /**
+   * @param {string} name - Log prefix of the owning service
+   * @param {Object} handlers
+   * @param {Function} handlers.run - async (recordingId) => void
+   * @param {Function} handlers.onError - async (recordingId, error) => void
+   */
+  constructor(name, { run, onError }) {
+    this.name = name;
+    this.run = run;
+    this.onError = onError;
+    this.queue = []; // recordingIds waiting to be processed
+    this.processing = false;
+  }
+
+  /**
+   * Check if a recording is waiting in the queue
+   * @param {string} recordingId
+   * @returns {boolean}
+   */
+  has(recordingId) {
+    return this.queue.includes(recordingId);
+  }
+
+  /**
+   * Add a recording to the queue and start processing if idle
+   * @param {string} recordingId
+   */
+  push(recordingId) {
+    this.queue.push(recordingId);
+    console.log(`[${this.name}] Queued recording ${recordingId} (${this.queue.length} in queue)`);
+    this.drain();
+  }
+
+  /**
+   * Process queued recordings one at a time
+   */
+  async drain() {
+    if (this.processing) {
+      return;
+    }
+
+    this.processing = true;
+    try {
+      while (this.queue.length > 0) {
+        const recordingId = this.queue.shift();
+        try {
+          await this.run(recordingId);
+        } catch (error) {
+          console.error(`[${this.name}] Failed to process recording ${recordingId}:`, error.message);
+          await this.onError(recordingId, error);
+        }
+      }
+    } finally {
+      this.processing = false;
+    }
+  }
+}
+
+module.exports = JobQueue;
@@ -0,0 +1,126 @@
+// Marker Service - Timestamped bookmarks participants add during a recording
+// Markers are stored on the recording with their offset in seconds from the session's
+// recordingStartedAt, and exported as chapters (JSON and ffmpeg's FFMETADATA format,
+// which post-processing embeds as ID3 chapters in MP3 renditions).
+
+const crypto = require('crypto');
+const sessionService = require('./sessionService');
+const recordingStorage = require('./recordingStorage');
+const speakerTimelineService = require('./speakerTimelineService');
+
+const MAX_LABEL_LENGTH = 200;
+
+class MarkerService {
+  /**
+   * Validate a marker label
+   * @param {*} label
+   * @returns {string|null} Error message, or null if the label is valid
+   */
+  validateLabel(label) {
+    if (typeof label !== 'string' || !label.trim()) {
+      return 'label is required';
+    }
+    if (label.length > MAX_LABEL_LENGTH) {
+      return `label must be at most ${MAX_LABEL_LENGTH} characters`;
+    }
+    return null;
+  }
+
+  /**
+   * Add a marker to the current recording of a session
+   * @param {string} sessionId
+   * @param {Object} marker
+   * @param {string} marker.label
+   * @param {string} marker.author - Identity of the participant adding the marker
+   * @returns {Promise<Object>} { recordingId, marker }
+   */
+  async addMarker(sessionId, { label, author }) {
+    const session = sessionService.getSession(sessionId);
+    if (!session?.isRecording || !session.recordingId) {
+      throw new Error(`Session ${sessionId} is not being recorded`);
+    }
+
+    const recording = await recordingStorage.getRecording(session.recordingId);
+    if (!recording) {
+      throw new Error(`Recording ${session.recordingId} not found`);
+    }
+
+    const at = new Date();
+    const marker = {
+      id: crypto.randomUUID(),
+      label: label.trim(),
+      author,
+      at,
+      offset: Math.max(0, Math.round(at - new Date(session.recordingStartedAt)) / 1000),
+    };
+
+    recording.markers = [...(recording.markers || []), marker];
+    await recordingStorage.updateRecording(recording.id, {});
+    console.log(`[MarkerService] ${author || 'admin'} marked "${marker.label}" at ${marker.offset}s in recording ${recording.id}`);
+
+    return { recordingId: recording.id, marker };
+  }
+
+  /**
+   * Build chapters from the markers of a recording
+   * Each chapter runs from its marker to the next one (or the end of the recording), pauses left out
+   * @param {Object} recording
+   * @returns {Array<Object>} { id, title, author, start, end } in seconds
+   */
+  buildChapters(recording) {
+    const markers = recording.markers || [];
+    if (markers.length === 0) {
+      return [];
+    }
+
+    const times = markers.map((marker) => {
+      // Pauses relative to the same recordingStartedAt as the marker's offset
+      const startedAt = new Date(marker.at) - marker.offset * 1000;
+      const pauses = (recording.pauses || []).map(pause => ({
+        start: (new Date(pause.pausedAt) - startedAt) / 1000,
+        end: pause.resumedAt ? (new Date(pause.resumedAt) - startedAt) / 1000 : Infinity,
+      }));
+      return { marker, start: speakerTimelineService.toRecordingTime(marker.offset, pauses) };
+    }).sort((a, b) => a.start - b.start);
+
+    const lastStart = times[times.length - 1].start;
+    const duration = Math.max(recording.duration ?? 0, lastStart + 1);
+
+    return times.map(({ marker, start }, index) => ({
+      id: marker.id,
+      title: marker.label,
+      author: marker.author,
+      start,
+      end: index + 1 < times.length ? times[index + 1].start : duration,
+    }));
+  }
+
+  /**
+   * Format chapters as an FFMETADATA file (input for ffmpeg's -map_chapters)
+   * @param {Array<Object>} chapters - Result of buildChapters
+   * @param {Object} options
+   * @param {string} options.title - Title of the file
+   * @param {number} options.shift - Seconds to subtract from every chapter (per-track files)
+   * @returns {string}
+   */
+  toFfmetadata(chapters, { title, shift = 0 } = {}) {
+    // Special characters are escaped with a backslash
+    const escape = value => String(value).replace(/[=;#\\\n]/g, match => `\\${match}`);
+    const lines = [';FFMETADATA1'];
+    if (title) {
+      lines.push(`title=${escape(title)}`);
+    }
+
+    for (const chapter of chapters) {
+      const start = Math.max(0, Math.round((chapter.start - shift) * 1000));
+      const end = Math.round((chapter.end - shift) * 1000);
+      if (end <= start) {
+        continue;
+      }
+      lines.push('', '[CHAPTER]', 'TIMEBASE=1/1000', `START=${start}`, `END=${end}`, `title=${escape(chapter.title)}`);
+    }
+    return lines.join('\n') + '\n';
+  }
+}
+
+module.exports = new MarkerService();
@@ -0,0 +1,189 @@
+// Moderation Service - Host actions on the participants of a session
+// Uses the RoomServiceClient of the RecordingService to act on the LiveKit room
+
+const sessionService = require('./sessionService');
+const recordingService = require('./recordingService');
+const speakerTimelineService = require('./speakerTimelineService');
+const autoRecordService = require('./autoRecordService');
+const sessionEventService = require('./sessionEventService');
+const { getRoleGrants, MODERATOR_ROLES } = require('./roles');
+
+class ModerationService {
+  get roomService() {
+    return recordingService.roomService;
+  }
+
+  /**
+   * Check if a LiveKit API error means the participant or room does not exist
+   * @param {Error} error
+   * @returns {boolean}
+   */
+  isNotFound(error) {
+    return error?.code === 'not_found' || error?.status === 404;
+  }
+
+  /**
+   * Get a session or throw
+   * @param {string} sessionId
+   * @returns {Object} Session object
+   */
+  requireSession(sessionId) {
+    const session = sessionService.getSession(sessionId);
+    if (!session) {
+      throw new Error(`Session ${sessionId} not found`);
+    }
+    return session;
+  }
+
+  /**
+   * Mute or unmute the audio tracks of a participant
+   * Unmuting requires remote unmute to be enabled on the LiveKit server
+   * @param {string} sessionId
+   * @param {string} identity - Participant identity
+   * @param {boolean} muted
+   * @returns {Promise<Object>} { identity, muted, trackSids }
+   */
+  async setParticipantMuted(sessionId, identity, muted) {
+    const session = this.requireSession(sessionId);
+    const participant = await this.roomService.getParticipant(session.roomName, identity);
+
+    const audioTracks = (participant.tracks || []).filter(track => recordingService.isAudioTrack(track));
+    for (const track of audioTracks) {
+      await this.roomService.mutePublishedTrack(session.roomName, identity, track.sid, muted);
+    }
+
+    sessionService.setMuted(sessionId, identity, muted);
+    sessionService.setTracksMuted(sessionId, identity, muted);
+    speakerTimelineService.recordEvent(sessionId, identity, muted ? 'muted' : 'unmuted');
+    await autoRecordService.evaluate(sessionId);
+    console.log(`[ModerationService] ${muted ? 'Muted' : 'Unmuted'} ${audioTracks.length} audio track(s) of ${identity} in ${session.roomName}`);
+
+    return {
+      identity,
+      muted,
+      trackSids: audioTracks.map(track => track.sid),
+    };
+  }
+
+  /**
+   * Disconnect a participant from the room and keep them from rejoining the session
+   * @param {string} sessionId
+   * @param {string} identity - Participant identity
+   */
+  async removeParticipant(sessionId, identity) {
+    const session = this.requireSession(sessionId);
+
+    // Already gone from the room: still keep them from rejoining
+    await this.disconnectParticipant(session, identity);
+
+    sessionService.banParticipant(sessionId, identity);
+    sessionEventService.publish(sessionId, 'participant.removed', { identity });
+    console.log(`[ModerationService] Removed ${identity} from ${session.roomName}`);
+  }
+
+  /**
+   * Disconnect a participant from the room (they may rejoin)
+   * @param {Object} session
+   * @param {string} identity - Participant identity
+   * @returns {Promise<boolean>} false if they were not connected
+   */
+  async disconnectParticipant(session, identity) {
+    try {
+      await this.roomService.removeParticipant(session.roomName, identity);
+      return true;
+    } catch (error) {
+      if (!this.isNotFound(error)) {
+        throw error;
+      }
+      return false;
+    }
+  }
+
+  /**
+   * Change the role of a participant and apply its permissions in the room
+   * The stored role also applies to the participant's next token
+   * Demoted hosts and co-hosts are disconnected instead: their token carries room admin grants,
+   * they get a new one with the new role when they rejoin
+   * @param {string} sessionId
+   * @param {string} identity - Participant identity
+   * @param {string} role
+   * @returns {Promise<Object>} { identity, role, permission, applied }
+   */
+  async setParticipantRole(sessionId, identity, role) {
+    const session = this.requireSession(sessionId);
+    const grants = getRoleGrants(role);
+    const permission = {
+      canPublish: grants.canPublish,
+      canSubscribe: grants.canSubscribe,
+      canPublishData: grants.canPublishData,
+      canUpdateMetadata: !!grants.canUpdateOwnMetadata,
+    };
+
+    const demoted = MODERATOR_ROLES.includes(sessionService.getRole(sessionId, identity)) && !MODERATOR_ROLES.includes(role);
+    sessionService.setRole(sessionId, identity, role);
+
+    if (demoted) {
+      const disconnected = await this.disconnectParticipant(session, identity);
+      console.log(`[ModerationService] Demoted ${identity} in ${session.roomName} to ${role}${disconnected ? ', disconnected' : ''}`);
+      return { identity, role, permission, applied: false };
+    }
+
+    // Participants that are not connected pick up the role when they rejoin
+    let applied = true;
+    try {
+      await this.roomService.updateParticipant(session.roomName, identity, {
+        attributes: { role },
+        permission,
+      });
+    } catch (error) {
+      if (!this.isNotFound(error)) {
+        throw error;
+      }
+      applied = false;
+    }
+
+    console.log(`[ModerationService] Set role of ${identity} in ${session.roomName} to ${role}${applied ? '' : ' (not connected)'}`);
+    return { identity, role, permission, applied };
+  }
+
+  /**
+   * End a session: stop its recording, delete the LiveKit room (disconnecting everyone)
+   * and mark the session as ended
+   * @param {string} sessionId
+   * @param {string} endedBy - Identity of the host ending the session
+   * @param {string} endReason - 'host', 'admin', 'expired' or 'idle'
+   * @returns {Promise<Object>} Updated session
+   */
+  async endSession(sessionId, endedBy = null, endReason = 'host') {
+    const session = this.requireSession(sessionId);
+    autoRecordService.cancelIdleStop(sessionId);
+
+    if (session.isRecording) {
+      try {
+        await recordingService.stopSessionRecording(sessionId);
+      } catch (error) {
+        // Deleting the room ends its egresses anyway
+        console.error(`[ModerationService] Failed to stop recording of session ${sessionId}:`, error.message);
+      }
+    }
+
+    try {
+      await this.roomService.deleteRoom(session.roomName);
+    } catch (error) {
+      if (!this.isNotFound(error)) {
+        throw error;
+      }
+    }
+
+    console.log(`[ModerationService] Deleted room ${session.roomName}`);
+    const ended = sessionService.endSession(sessionId, endedBy, endReason);
+    sessionEventService.publish(sessionId, 'session.ended', {
+      endedAt: ended.endedAt,
+      endedBy: ended.endedBy,
+      endReason: ended.endReason,
+    });
+    return ended;
+  }
+}
+
+module.exports = new ModerationService();
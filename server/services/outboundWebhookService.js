@@ -0,0 +1,600 @@
+// Outbound Webhook Service - Delivers events to registered subscriber URLs
+// Every event is queued as one delivery per matching subscription. Deliveries are stored
+// (see stores/), so they survive restarts, and retried with exponential backoff until
+// OUTBOUND_WEBHOOK_MAX_ATTEMPTS is reached; failed deliveries can be replayed by an admin.
+// Each subscription has its own queue, worked through in order; up to OUTBOUND_WEBHOOK_CONCURRENCY
+// subscriptions are delivered to in parallel, so a slow subscriber does not hold back the others.
+// Data that expires (presigned recording URLs) is rebuilt before every attempt, see registerDataRefresher.
+//
+// Requests are signed with the subscription's secret:
+//   X-Webhook-Id, X-Webhook-Event, X-Webhook-Timestamp (seconds)
+//   X-Webhook-Signature: v1=<hex HMAC-SHA256 of "<timestamp>.<body>">
+// The body is { id, type, createdAt, data }. The main backend (MAIN_BACKEND_URL) is a built-in
+// subscription to recording.completed that keeps its original contract: the body is the
+// notification payload itself and the secret is also sent as a Bearer token.
+//
+// Sessions created with a callbackUrl (see POST /api/sessions/create) get their recording.completed
+// events at that URL instead of MAIN_BACKEND_URL, with the same contract, signed with the
+// session's callbackSecret. Events published for a session echo its externalRef.
+
+const crypto = require('crypto');
+const config = require('../config');
+const { createStore } = require('./stores');
+
+const EVENT_TYPES = [
+  'session.created',
+  'session.ended',
+  'participant.joined',
+  'recording.started',
+  'recording.completed',
+  'recording.failed',
+];
+
+const DELIVERY_STATUSES = ['pending', 'delivered', 'failed'];
+
+const MAIN_BACKEND_SUBSCRIPTION_ID = 'main-backend';
+const SESSION_CALLBACK_PREFIX = 'session:';
+const MAX_EXTERNAL_REF_BYTES = 4096;
+const MAX_LOGGED_ATTEMPTS = 20;
+
+/**
+ * Validate a subscriber URL
+ * @param {string} url
+ * @param {string} name - Field name used in the error message
+ * @returns {string|null} Error message, or null if the URL is valid
+ */
+function validateUrl(url, name) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return `${name} must be a valid URL`;
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    return `${name} must use http or https`;
+  }
+  return null;
+}
+
+/**
+ * Validate a signing secret
+ * @param {string} secret
+ * @param {string} name - Field name used in the error message
+ * @returns {string|null} Error message, or null if the secret is valid
+ */
+function validateSecret(secret, name) {
+  if (typeof secret !== 'string' || secret.length < 16) {
+    return `${name} must be a string of at least 16 characters`;
+  }
+  return null;
+}
+
+class OutboundWebhookService {
+  constructor() {
+    this.subscriptions = createStore('webhookSubscriptions'); // id -> { id, url, events, secret, description, createdAt }
+    this.deliveries = createStore('webhookDeliveries'); // id -> delivery, see enqueue
+    this.dataRefreshers = new Map(); // event type -> async (data, context) => data
+    this.activeQueues = new Set(); // subscriptionIds whose deliveries are being attempted
+    this.timer = null;
+  }
+
+  /**
+   * Rebuild the parts of an event's data that expire (e.g. presigned URLs) before every delivery attempt
+   * @param {string} type - One of EVENT_TYPES
+   * @param {Function} refresh - async (data, context) => data, context is the one given to publish
+   */
+  registerDataRefresher(type, refresh) {
+    this.dataRefreshers.set(type, refresh);
+  }
+
+  /**
+   * Validate a subscription request
+   * @param {Object} subscription
+   * @returns {string|null} Error message, or null if the subscription is valid
+   */
+  validateSubscription({ url, events, secret } = {}) {
+    const urlError = validateUrl(url, 'url');
+    if (urlError) {
+      return urlError;
+    }
+    if (!Array.isArray(events) || events.length === 0) {
+      return `events must be a non-empty array of: ${EVENT_TYPES.join(', ')}`;
+    }
+    const unknown = events.filter(event => !EVENT_TYPES.includes(event));
+    if (unknown.length > 0) {
+      return `Unknown event type(s): ${unknown.join(', ')}. Must be one of: ${EVENT_TYPES.join(', ')}`;
+    }
+    if (secret !== undefined) {
+      return validateSecret(secret, 'secret');
+    }
+    return null;
+  }
+
+  /**
+   * Validate the callback options of a session (fields left undefined are not checked)
+   * @param {Object} callback
+   * @param {string} callback.callbackUrl
+   * @param {string} callback.callbackSecret
+   * @param {Object} callback.externalRef - Opaque object echoed in the session's events
+   * @returns {string|null} Error message, or null if the options are valid
+   */
+  validateCallback({ callbackUrl, callbackSecret, externalRef } = {}) {
+    if (callbackUrl !== undefined && callbackUrl !== null) {
+      const urlError = validateUrl(callbackUrl, 'callbackUrl');
+      if (urlError) {
+        return urlError;
+      }
+    }
+    if (callbackSecret !== undefined && callbackSecret !== null) {
+      const secretError = validateSecret(callbackSecret, 'callbackSecret');
+      if (secretError) {
+        return secretError;
+      }
+    }
+    if (externalRef !== undefined && externalRef !== null) {
+      if (typeof externalRef !== 'object' || Array.isArray(externalRef)) {
+        return 'externalRef must be an object';
+      }
+      if (Buffer.byteLength(JSON.stringify(externalRef)) > MAX_EXTERNAL_REF_BYTES) {
+        return `externalRef must not exceed ${MAX_EXTERNAL_REF_BYTES} bytes of JSON`;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Register a subscriber URL
+   * @param {Object} subscription
+   * @param {string} subscription.url
+   * @param {Array<string>} subscription.events - Event types to deliver
+   * @param {string} subscription.secret - Signing secret, generated if not given
+   * @param {string} subscription.description
+   * @returns {Object} Subscription, including its secret
+   */
+  createSubscription({ url, events, secret, description = null }) {
+    const subscription = {
+      id: crypto.randomUUID(),
+      url,
+      events: [...new Set(events)],
+      secret: secret || `whsec_${crypto.randomBytes(24).toString('hex')}`,
+      description,
+      createdAt: new Date(),
+    };
+    this.subscriptions.set(subscription.id, subscription);
+    console.log(`[OutboundWebhookService] Subscribed ${url} to ${subscription.events.join(', ')}`);
+    return subscription;
+  }
+
+  /**
+   * Get the built-in subscription of the main backend (null if MAIN_BACKEND_URL is not set)
+   * @returns {Object|null}
+   */
+  getMainBackendSubscription() {
+    const mainBackendUrl = config.mainBackend?.webhookUrl || config.mainBackend?.url;
+    if (!mainBackendUrl) {
+      return null;
+    }
+    return {
+      id: MAIN_BACKEND_SUBSCRIPTION_ID,
+      url: `${mainBackendUrl}/api/v1/webhooks/recording-complete`,
+      events: ['recording.completed'],
+      secret: config.mainBackend.webhookSecret || config.server.webhookSecret,
+      description: 'Main backend (MAIN_BACKEND_URL)',
+      builtIn: true,
+    };
+  }
+
+  /**
+   * Get the built-in subscription of a session's callbackUrl (null if the session has none)
+   * @param {string} sessionId
+   * @returns {Object|null}
+   */
+  getSessionCallbackSubscription(sessionId) {
+    // Required here: sessionService publishes events through this service
+    const sessionService = require('./sessionService');
+    // Archived sessions too: held, retried and replayed deliveries outlive the session
+    const session = sessionService.getSessionRecord(sessionId);
+    if (!session?.callbackUrl) {
+      return null;
+    }
+    return {
+      id: `${SESSION_CALLBACK_PREFIX}${sessionId}`,
+      url: session.callbackUrl,
+      events: ['recording.completed'],
+      secret: session.callbackSecret || config.mainBackend.webhookSecret || config.server.webhookSecret,
+      description: `Callback of session ${sessionId}`,
+      builtIn: true,
+    };
+  }
+
+  /**
+   * Get a subscription by ID
+   * @param {string} subscriptionId
+   * @returns {Object|null}
+   */
+  getSubscription(subscriptionId) {
+    if (subscriptionId === MAIN_BACKEND_SUBSCRIPTION_ID) {
+      return this.getMainBackendSubscription();
+    }
+    if (subscriptionId.startsWith(SESSION_CALLBACK_PREFIX)) {
+      return this.getSessionCallbackSubscription(subscriptionId.slice(SESSION_CALLBACK_PREFIX.length));
+    }
+    return this.subscriptions.get(subscriptionId);
+  }
+
+  /**
+   * List all subscriptions, the built-in one first
+   * @returns {Array<Object>}
+   */
+  listSubscriptions() {
+    const mainBackend = this.getMainBackendSubscription();
+    return [...(mainBackend ? [mainBackend] : []), ...this.subscriptions.values()];
+  }
+
+  /**
+   * Delete a subscription; its pending deliveries fail on their next attempt
+   * @param {string} subscriptionId
+   * @returns {boolean} Whether the subscription existed
+   */
+  deleteSubscription(subscriptionId) {
+    if (!this.subscriptions.has(subscriptionId)) {
+      return false;
+    }
+    this.subscriptions.delete(subscriptionId);
+    console.log(`[OutboundWebhookService] 🗑️ Deleted subscription ${subscriptionId}`);
+    return true;
+  }
+
+  /**
+   * Hide the secret of a subscription
+   * @param {Object} subscription
+   * @returns {Object}
+   */
+  toPublicSubscription({ secret, ...subscription }) {
+    return subscription;
+  }
+
+  /**
+   * Publish an event to every subscription of its type
+   * @param {string} type - One of EVENT_TYPES
+   * @param {Object} data - Event payload
+   * @param {Object} options
+   * @param {string} options.sessionId - Session the event belongs to: adds its externalRef and
+   *   sends the event to its callbackUrl instead of the main backend
+   * @param {Object} options.context - Stored with the deliveries for the data refresher (e.g. { recordingId })
+   * @returns {Object} Event { id, type, createdAt, data }
+   */
+  publish(type, data, { sessionId = null, context = null } = {}) {
+    if (!EVENT_TYPES.includes(type)) {
+      throw new Error(`Unknown webhook event type: ${type}`);
+    }
+
+    let subscriptions = this.listSubscriptions();
+    if (sessionId) {
+      const sessionService = require('./sessionService');
+      const session = sessionService.getSessionRecord(sessionId);
+      data = { ...data, sessionId, externalRef: session?.externalRef ?? null };
+
+      const callback = this.getSessionCallbackSubscription(sessionId);
+      if (callback) {
+        subscriptions = [callback, ...subscriptions.filter(s => s.id !== MAIN_BACKEND_SUBSCRIPTION_ID)];
+      }
+    }
+
+    const event = { id: crypto.randomUUID(), type, createdAt: new Date(), data };
+    subscriptions = subscriptions.filter(s => s.events.includes(type));
+    for (const subscription of subscriptions) {
+      this.enqueue(subscription, event, context);
+    }
+
+    if (subscriptions.length > 0) {
+      console.log(`[OutboundWebhookService] Queued ${type} for ${subscriptions.length} subscription(s)`);
+      setImmediate(() => this.processDue());
+    }
+    return event;
+  }
+
+  /**
+   * Queue the delivery of an event to a subscription
+   * @param {Object} subscription
+   * @param {Object} event
+   * @param {Object} context - See publish
+   * @returns {Object} Delivery
+   */
+  enqueue(subscription, event, context = null) {
+    // The main backend and session callbacks get the bare payload, other subscribers the event envelope
+    const body = subscription.builtIn ? event.data : event;
+    const delivery = {
+      id: crypto.randomUUID(),
+      subscriptionId: subscription.id,
+      url: subscription.url,
+      eventId: event.id,
+      event: event.type,
+      body: JSON.stringify(body), // The body of the last attempt
+      context,
+      status: 'pending', // pending, delivered, failed
+      attempts: 0,
+      nextAttemptAt: new Date(),
+      lastError: null,
+      log: [], // { at, statusCode, error, durationMs }
+      createdAt: new Date(),
+      deliveredAt: null,
+    };
+    this.deliveries.set(delivery.id, delivery);
+    return delivery;
+  }
+
+  /**
+   * Sign a request body
+   * @param {string} secret
+   * @param {number} timestamp - Seconds since the epoch
+   * @param {string} body
+   * @returns {string} Signature header value
+   */
+  sign(secret, timestamp, body) {
+    const hmac = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `v1=${hmac}`;
+  }
+
+  /**
+   * Delay before the next attempt: base * 2^(attempts - 1), capped
+   * @param {number} attempts - Attempts made so far
+   * @returns {number} Milliseconds
+   */
+  getBackoffMs(attempts) {
+    const { retryBaseSeconds, retryMaxSeconds } = config.outboundWebhooks;
+    return Math.min(retryBaseSeconds * Math.pow(2, attempts - 1), retryMaxSeconds) * 1000;
+  }
+
+  /**
+   * Build the body of a delivery attempt, with its expiring data refreshed
+   * @param {Object} delivery
+   * @param {Object} subscription
+   * @returns {Promise<string>}
+   */
+  async buildBody(delivery, subscription) {
+    const refresh = this.dataRefreshers.get(delivery.event);
+    if (!refresh) {
+      return delivery.body;
+    }
+
+    try {
+      const body = JSON.parse(delivery.body);
+      const data = await refresh(subscription.builtIn ? body : body.data, delivery.context || {});
+      return JSON.stringify(subscription.builtIn ? data : { ...body, data });
+    } catch (error) {
+      console.error(`[OutboundWebhookService] Failed to refresh ${delivery.event} delivery ${delivery.id}, sending it as queued:`, error.message);
+      return delivery.body;
+    }
+  }
+
+  /**
+   * Make one delivery attempt and record its outcome
+   * @param {Object} delivery
+   * @returns {Promise<Object>} Updated delivery
+   */
+  async attempt(delivery) {
+    const startedAt = Date.now();
+    const entry = { at: new Date(), statusCode: null, error: null, durationMs: 0 };
+    const subscription = this.getSubscription(delivery.subscriptionId);
+
+    if (!subscription) {
+      entry.error = 'Subscription no longer exists';
+    } else {
+      // The subscription may have changed since the delivery was queued (e.g. a session's callbackUrl)
+      delivery.url = subscription.url;
+      delivery.body = await this.buildBody(delivery, subscription);
+      const timestamp = Math.floor(startedAt / 1000);
+      const headers = {
+        'Content-Type': 'application/json',
+        'X-Webhook-Id': delivery.id,
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': this.sign(subscription.secret, timestamp, delivery.body),
+      };
+      if (subscription.builtIn) {
+        headers.Authorization = `Bearer ${subscription.secret}`;
+      }
+
+      try {
+        const response = await fetch(subscription.url, {
+          method: 'POST',
+          headers,
+          body: delivery.body,
+          signal: AbortSignal.timeout(config.outboundWebhooks.timeoutSeconds * 1000),
+        });
+        entry.statusCode = response.status;
+        if (!response.ok) {
+          const text = await response.text().catch(() => '');
+          entry.error = `${response.status} ${response.statusText}${text ? `: ${text.slice(0, 200)}` : ''}`;
+        }
+      } catch (error) {
+        entry.error = error.message;
+      }
+    }
+    entry.durationMs = Date.now() - startedAt;
+
+    delivery.attempts += 1;
+    delivery.log = [...delivery.log, entry].slice(-MAX_LOGGED_ATTEMPTS);
+    delivery.lastError = entry.error;
+
+    if (!entry.error) {
+      delivery.status = 'delivered';
+      delivery.deliveredAt = entry.at;
+      delivery.nextAttemptAt = null;
+      console.log(`[OutboundWebhookService] ✅ Delivered ${delivery.event} to ${delivery.url} (attempt ${delivery.attempts})`);
+    } else if (!subscription || delivery.attempts >= config.outboundWebhooks.maxAttempts) {
+      delivery.status = 'failed';
+      delivery.nextAttemptAt = null;
+      console.error(`[OutboundWebhookService] ❌ Giving up on ${delivery.event} to ${delivery.url} after ${delivery.attempts} attempt(s): ${entry.error}`);
+    } else {
+      delivery.nextAttemptAt = new Date(Date.now() + this.getBackoffMs(delivery.attempts));
+      console.warn(`[OutboundWebhookService] ⚠️ Delivery of ${delivery.event} to ${delivery.url} failed (attempt ${delivery.attempts}): ${entry.error}. Retrying at ${delivery.nextAttemptAt.toISOString()}`);
+    }
+
+    // The delivery may have been pruned meanwhile
+    if (this.deliveries.has(delivery.id)) {
+      this.deliveries.set(delivery.id, delivery);
+    }
+    return delivery;
+  }
+
+  /**
+   * Attempt the due deliveries of one subscription, oldest first
+   * Stops at the first failure: the subscriber is probably down, the rest is retried later
+   * @param {Array<Object>} deliveries
+   */
+  async processQueue(deliveries) {
+    for (const delivery of deliveries) {
+      const result = await this.attempt(delivery);
+      if (result.status !== 'delivered') {
+        return;
+      }
+    }
+  }
+
+  /**
+   * Attempt the deliveries that are due, one queue per subscription, up to OUTBOUND_WEBHOOK_CONCURRENCY
+   * queues at a time. Subscriptions whose queue is already running are skipped: their queue picks up
+   * new deliveries once it is done.
+   * @returns {Promise} Resolves when the queues started by this call are done
+   */
+  async processDue() {
+    const now = new Date();
+    const due = this.deliveries.values()
+      .filter(d => d.status === 'pending' && new Date(d.nextAttemptAt) <= now && !this.activeQueues.has(d.subscriptionId))
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+
+    const queues = new Map(); // subscriptionId -> due deliveries
+    for (const delivery of due) {
+      queues.set(delivery.subscriptionId, [...(queues.get(delivery.subscriptionId) || []), delivery]);
+    }
+
+    const started = [];
+    for (const [subscriptionId, deliveries] of queues) {
+      if (this.activeQueues.size >= config.outboundWebhooks.concurrency) {
+        break;
+      }
+
+      this.activeQueues.add(subscriptionId);
+      started.push((async () => {
+        try {
+          await this.processQueue(deliveries);
+        } catch (error) {
+          console.error(`[OutboundWebhookService] Error processing deliveries:`, error);
+        } finally {
+          this.activeQueues.delete(subscriptionId);
+        }
+        // Deliveries queued meanwhile, or subscriptions that waited for a free slot
+        this.processDue();
+      })());
+    }
+
+    await Promise.all(started);
+  }
+
+  /**
+   * Delete finished deliveries older than the configured retention
+   * @returns {number} Deleted deliveries
+   */
+  pruneDeliveries() {
+    const cutoff = Date.now() - config.outboundWebhooks.deliveryRetentionDays * 24 * 60 * 60 * 1000;
+    const expired = this.deliveries.values()
+      .filter(d => d.status !== 'pending' && new Date(d.createdAt).getTime() < cutoff);
+    for (const delivery of expired) {
+      this.deliveries.delete(delivery.id);
+    }
+    return expired.length;
+  }
+
+  /**
+   * List deliveries, newest first
+   * @param {Object} filters
+   * @param {string} filters.status
+   * @param {string} filters.event
+   * @param {string} filters.subscriptionId
+   * @param {number} filters.limit
+   * @returns {Array<Object>}
+   */
+  listDeliveries({ status, event, subscriptionId, limit = 100 } = {}) {
+    return this.deliveries.values()
+      .filter(d => (!status || d.status === status) && (!event || d.event === event) && (!subscriptionId || d.subscriptionId === subscriptionId))
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+      .slice(0, limit);
+  }
+
+  /**
+   * Check if a delivery status is valid
+   * @param {string} status
+   * @returns {boolean}
+   */
+  isValidDeliveryStatus(status) {
+    return DELIVERY_STATUSES.includes(status);
+  }
+
+  /**
+   * Get a delivery by ID
+   * @param {string} deliveryId
+   * @returns {Object|null}
+   */
+  getDelivery(deliveryId) {
+    return this.deliveries.get(deliveryId);
+  }
+
+  /**
+   * Queue a delivery again with a fresh set of attempts
+   * @param {string} deliveryId
+   * @returns {Object} Delivery
+   */
+  replayDelivery(deliveryId) {
+    const delivery = this.deliveries.get(deliveryId);
+    if (!delivery) {
+      throw new Error(`Delivery ${deliveryId} not found`);
+    }
+    if (delivery.status === 'pending') {
+      throw new Error(`Delivery ${deliveryId} is still pending`);
+    }
+
+    delivery.status = 'pending';
+    delivery.attempts = 0;
+    delivery.nextAttemptAt = new Date();
+    this.deliveries.set(delivery.id, delivery);
+    console.log(`[OutboundWebhookService] Replaying ${delivery.event} delivery ${delivery.id} to ${delivery.url}`);
+
+    setImmediate(() => this.processDue());
+    return delivery;
+  }
+
+  /**
+   * Start the delivery worker: attempts due deliveries and prunes old ones periodically
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    const tick = () => {
+      const pruned = this.pruneDeliveries();
+      if (pruned > 0) {
+        console.log(`[OutboundWebhookService] Pruned ${pruned} old deliveries`);
+      }
+      this.processDue();
+    };
+    this.timer = setInterval(tick, config.outboundWebhooks.pollIntervalSeconds * 1000);
+    this.timer.unref();
+    tick();
+
+    const pending = this.deliveries.values().filter(d => d.status === 'pending').length;
+    console.log(`[OutboundWebhookService] Started (${this.listSubscriptions().length} subscription(s), ${pending} pending deliveries)`);
+  }
+
+  /**
+   * Stop the delivery worker
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = new OutboundWebhookService();
@@ -0,0 +1,222 @@
+// Post-Processing Service - Derives renditions of completed recordings with ffmpeg
+// Each source file is downloaded from storage, run through the configured steps and every
+// rendition is uploaded next to it under renditions/. Jobs run one at a time (see jobQueue).
+//
+// Steps (see config.postProcessing):
+//   trimSilence: cut leading silence (composite files only, track offsets assume untrimmed files)
+//   normalizeLoudness: EBU R128 loudness normalization to loudnessTarget LUFS
+//   formats: one rendition per format (mp3, opus, wav)
+// Markers of the recording are embedded as chapters (ID3 chapters in MP3). Leading silence is
+// kept in that case, so the chapters stay aligned with the recording.
+// Renditions are downmixed to mono when the recording's encoding preset asks for one channel.
+
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const config = require('../config');
+const storageService = require('./storageService');
+const recordingStorage = require('./recordingStorage');
+const markerService = require('./markerService');
+const JobQueue = require('./jobQueue');
+
+const execFileAsync = promisify(execFile);
+
+const FORMATS = {
+  mp3: { extension: 'mp3', contentType: 'audio/mpeg', codecArgs: ['-c:a', 'libmp3lame', '-b:a', '128k'] },
+  opus: { extension: 'opus', contentType: 'audio/ogg', codecArgs: ['-c:a', 'libopus', '-b:a', '64k'] },
+  wav: { extension: 'wav', contentType: 'audio/wav', codecArgs: ['-c:a', 'pcm_s16le'] },
+};
+
+class PostProcessingService {
+  constructor() {
+    this.jobs = new JobQueue('PostProcessingService', {
+      run: recordingId => this.processRecording(recordingId),
+      onError: (recordingId, error) => recordingStorage.updateRecording(recordingId, {
+        postProcessing: { status: 'failed', startedAt: null, completedAt: new Date(), error: error.message },
+      }),
+    });
+  }
+
+  /**
+   * Get the configured rendition formats, ignoring unknown ones
+   * @returns {Array<string>}
+   */
+  getFormats() {
+    const formats = config.postProcessing.formats.filter(format => FORMATS[format]);
+    const unknown = config.postProcessing.formats.filter(format => !FORMATS[format]);
+    if (unknown.length > 0) {
+      console.warn(`[PostProcessingService] ⚠️ Ignoring unknown formats: ${unknown.join(', ')} (supported: ${Object.keys(FORMATS).join(', ')})`);
+    }
+    return formats;
+  }
+
+  /**
+   * Get the audio files of a completed recording: the composite file or the per-speaker tracks
+   * Unstitched segmented recordings are skipped: their main file is only the first segment
+   * Also used for waveforms (see waveformService)
+   * @param {Object} recording
+   * @returns {Array<Object>} { fileName, participantIdentity, trimSilence }
+   */
+  getSources(recording) {
+    if (recording.status !== 'complete') {
+      return [];
+    }
+
+    if (recording.mode === 'multitrack') {
+      return recording.tracks
+        .filter(t => t.fileUrl)
+        .map(t => ({ fileName: t.fileName, participantIdentity: t.participantIdentity, trimSilence: false }));
+    }
+
+    const segmentCount = recording.manifest?.segments.length || 0;
+    if (!recording.r2FileName || (segmentCount > 1 && !recording.stitched)) {
+      return [];
+    }
+    return [{ fileName: recording.r2FileName, participantIdentity: null, trimSilence: config.postProcessing.trimSilence }];
+  }
+
+  /**
+   * Build the ffmpeg audio filter chain for a source
+   * @param {Object} source
+   * @returns {Array<string>} Filters, in order
+   */
+  buildFilters(source) {
+    const filters = [];
+    if (source.trimSilence) {
+      filters.push(`silenceremove=start_periods=1:start_threshold=${config.postProcessing.silenceThresholdDb}dB`);
+    }
+    if (config.postProcessing.normalizeLoudness) {
+      filters.push(`loudnorm=I=${config.postProcessing.loudnessTarget}:TP=-1.5:LRA=11`);
+    }
+    return filters;
+  }
+
+  /**
+   * Get the object key of a rendition
+   * audios/<sid>/<id>.m4a.mp4 -> audios/<sid>/renditions/<id>.mp3
+   * @param {string} fileName - Object key of the source
+   * @param {string} format
+   * @returns {string}
+   */
+  getRenditionFileName(fileName, format) {
+    const baseName = path.posix.basename(fileName).split('.')[0];
+    return path.posix.join(path.posix.dirname(fileName), 'renditions', `${baseName}.${FORMATS[format].extension}`);
+  }
+
+  /**
+   * Queue a completed recording for post-processing (no-op if disabled)
+   * @param {string} recordingId
+   */
+  async enqueue(recordingId) {
+    if (!config.postProcessing.enabled || this.jobs.has(recordingId)) {
+      return;
+    }
+
+    await recordingStorage.updateRecording(recordingId, {
+      postProcessing: { status: 'pending', startedAt: null, completedAt: null, error: null },
+    });
+    this.jobs.push(recordingId);
+  }
+
+  /**
+   * Run the configured steps on every file of a recording and record the renditions
+   * @param {string} recordingId
+   * @returns {Promise<Object|null>} Updated recording, or null if it no longer exists
+   */
+  async processRecording(recordingId) {
+    const recording = await recordingStorage.getRecording(recordingId);
+    if (!recording) {
+      console.warn(`[PostProcessingService] Recording ${recordingId} not found, skipping`);
+      return null;
+    }
+
+    const startedAt = new Date();
+    const sources = this.getSources(recording);
+    const formats = this.getFormats();
+    const chapters = markerService.buildChapters(recording);
+    const storage = storageService.forRecording(recording);
+    await recordingStorage.updateRecording(recordingId, {
+      postProcessing: { status: 'processing', startedAt, completedAt: null, error: null },
+    });
+
+    const renditions = [];
+    const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'postprocess-'));
+    try {
+      for (const [index, source] of sources.entries()) {
+        const inputPath = path.join(workDir, `source-${index}${path.extname(source.fileName)}`);
+        await fs.writeFile(inputPath, await storage.getFile(source.fileName));
+
+        // Per-speaker tracks start at their offset in the recording
+        let metadataPath = null;
+        if (chapters.length > 0) {
+          const shift = recording.tracks.find(t => t.fileName === source.fileName)?.offset || 0;
+          metadataPath = path.join(workDir, `source-${index}.ffmetadata`);
+          await fs.writeFile(metadataPath, markerService.toFfmetadata(chapters, { title: recording.id, shift }));
+        }
+
+        const filters = this.buildFilters({ ...source, trimSilence: source.trimSilence && !metadataPath });
+        for (const format of formats) {
+          const outputPath = path.join(workDir, `source-${index}.${FORMATS[format].extension}`);
+          console.log(`[PostProcessingService] Rendering ${source.fileName} as ${format}${filters.length ? ` (${filters.join(', ')})` : ''}`);
+          await execFileAsync(config.recording.ffmpegPath, [
+            '-hide_banner', '-loglevel', 'error', '-y',
+            '-i', inputPath,
+            ...(metadataPath
+              ? ['-i', metadataPath, '-map', '0:a', '-map_metadata', '1', '-map_chapters', '1']
+              : ['-vn']),
+            ...(filters.length ? ['-af', filters.join(',')] : []),
+            ...(recording.encoding?.channels === 1 ? ['-ac', '1'] : []),
+            ...FORMATS[format].codecArgs,
+            outputPath,
+          ]);
+
+          const body = await fs.readFile(outputPath);
+          const fileName = this.getRenditionFileName(source.fileName, format);
+          const fileUrl = await storage.uploadFile(fileName, body, FORMATS[format].contentType);
+          renditions.push({
+            source: source.fileName,
+            participantIdentity: source.participantIdentity,
+            format,
+            fileName,
+            fileUrl,
+            size: body.length,
+            filters,
+            chapters: metadataPath ? chapters.length : 0,
+            createdAt: new Date(),
+          });
+        }
+      }
+    } finally {
+      await fs.rm(workDir, { recursive: true, force: true });
+    }
+
+    const saved = await recordingStorage.updateRecording(recordingId, {
+      renditions,
+      postProcessing: { status: 'complete', startedAt, completedAt: new Date(), error: null },
+    });
+    console.log(`[PostProcessingService] ✅ Recording ${recordingId}: ${renditions.length} rendition(s) from ${sources.length} file(s)`);
+    return saved;
+  }
+
+  /**
+   * Re-queue recordings whose post-processing was interrupted by a restart
+   */
+  async resumePending() {
+    if (!config.postProcessing.enabled) {
+      return;
+    }
+
+    const recordings = await recordingStorage.getAllRecordings({ status: 'complete' });
+    const pending = recordings.filter(r => ['pending', 'processing'].includes(r.postProcessing?.status));
+    for (const recording of pending) {
+      await this.enqueue(recording.id);
+    }
+    if (pending.length > 0) {
+      console.log(`[PostProcessingService] Resumed post-processing of ${pending.length} recording(s)`);
+    }
+  }
+}
+
+module.exports = new PostProcessingService();
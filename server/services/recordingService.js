@@ -3,12 +3,21 @@
 const { 
   RoomServiceClient, 
   EgressClient,
-  EncodedFileOutput,
-  S3Upload
 } = require('livekit-server-sdk');
 const config = require('../config');
 const sessionService = require('./sessionService');
 const recordingStorage = require('./recordingStorage');
+const segmentStitcher = require('./segmentStitcher');
+const postProcessingService = require('./postProcessingService');
+const waveformService = require('./waveformService');
+const speakerTimelineService = require('./speakerTimelineService');
+const transcriptionService = require('./transcriptionService');
+const storageService = require('./storageService');
+const outboundWebhookService = require('./outboundWebhookService');
+const sessionEventService = require('./sessionEventService');
+const encodingPresets = require('./encodingPresets');
+
+const RECORDING_MODES = ['composite', 'multitrack'];
 
 class RecordingService {
   constructor() {
@@ -22,23 +31,37 @@ class RecordingService {
       config.livekit.apiKey,
       config.livekit.apiSecret
     );
+
+    // Notifications held for a transcript go out once it is done
+    transcriptionService.onFinished = recordingId => this.sendHeldNotification(recordingId);
+
+    // Presigned URLs expire: sign them again for every delivery attempt (retries, replays)
+    outboundWebhookService.registerDataRefresher('recording.completed', async (data, { recordingId }) => {
+      const recording = recordingId ? await recordingStorage.getRecording(recordingId) : null;
+      return recording ? this.withSignedUrls(data, recording) : data;
+    });
   }
 
   /**
-   * Start recording using TrackEgress (simpler, no PulseAudio required)
-   * Records tracks directly from the room without needing Chrome/PulseAudio
+   * Start a multitrack recording using TrackCompositeEgress (simpler, no PulseAudio required)
+   * Starts one audio-only egress per participant audio track so every speaker ends up in
+   * their own file. All files are grouped under a single recording ID; tracks published
+   * after the recording started are picked up by handleTrackPublished.
    * 
    * @param {string} roomName - The room name to record
    * @param {string} sessionId - The session ID
-   * @returns {Promise<string>} Egress ID
+   * @param {Object} preset - Encoding preset (see encodingPresets.getPreset)
+   * @returns {Promise<string>} Egress ID of the first track egress
    */
-  async startRecordingWithTracks(roomName, sessionId) {
+  async startRecordingWithTracks(roomName, sessionId, preset = encodingPresets.getPreset()) {
     try {
-      console.log(`[RecordingService] Starting TrackEgress recording for room: ${roomName}, session: ${sessionId}`);
+      console.log(`[RecordingService] Starting multitrack recording for room: ${roomName}, session: ${sessionId}`);
 
-      // Validate R2 configuration
-      if (!config.r2.accessKeyId || !config.r2.secretAccessKey || !config.r2.bucket || !config.r2.endpoint) {
-        throw new Error('R2 configuration is missing. Please set R2_ACCESS_KEY, R2_SECRET_KEY, R2_BUCKET, and R2_ENDPOINT environment variables.');
+      // Validate the storage configuration (the session's tenant may have its own bucket)
+      const storageTenant = sessionService.getSession(sessionId)?.storageTenant || null;
+      const storage = storageService.getProvider(storageTenant);
+      if (!storage.isConfigured()) {
+        throw new Error(storage.getConfigurationError());
       }
 
       // Get participants and their audio tracks
@@ -50,13 +73,13 @@ class RecordingService {
       }
 
       // Find all audio tracks in the room
+      // Muted tracks are recorded too: they produce silence until unmuted, which keeps every stem aligned
       const audioTracks = [];
       for (const participant of participants) {
         const tracks = participant.tracks || [];
         for (const track of tracks) {
-          if (track.type === 0 && !track.muted) { // AUDIO type = 0
+          if (this.isAudioTrack(track)) {
             audioTracks.push({
-              roomName,
               participantIdentity: participant.identity,
               trackId: track.sid,
             });
@@ -65,73 +88,221 @@ class RecordingService {
       }
 
       if (audioTracks.length === 0) {
-        throw new Error(`No active audio tracks found in room ${roomName}. Please ensure participants are publishing audio.`);
+        throw new Error(`No audio tracks found in room ${roomName}. Please ensure participants are publishing audio.`);
       }
 
-      console.log(`[RecordingService] Found ${audioTracks.length} active audio track(s) to record`);
+      console.log(`[RecordingService] Found ${audioTracks.length} audio track(s) to record`);
 
-      const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-      const fileName = `audios/${sessionId}/${sessionId}-${timestamp}.m4a`;
+      const recordingId = `${sessionId}-${Date.now()}`;
+      await recordingStorage.createRecording({
+        id: recordingId,
+        sessionId,
+        mode: 'multitrack',
+        egressType: 'track_composite',
+        codec: preset.codec,
+        preset: preset.name,
+        encoding: this.toEncodingInfo(preset),
+        storageTenant,
+      });
+
+      const egressIds = [];
+      let lastError = null;
 
-      // Clean endpoint URL
-      let cleanEndpoint = config.r2.endpoint.trim();
-      if (cleanEndpoint.endsWith('/')) {
-        cleanEndpoint = cleanEndpoint.slice(0, -1);
+      for (const track of audioTracks) {
+        try {
+          const egressId = await this.startParticipantTrackEgress(roomName, sessionId, recordingId, track, preset, storage);
+          egressIds.push(egressId);
+        } catch (trackError) {
+          // One failing track should not prevent the other speakers from being recorded
+          lastError = trackError;
+          console.error(`[RecordingService] Failed to start egress for track ${track.trackId} (${track.participantIdentity}):`, trackError.message);
+        }
       }
-      const urlParts = cleanEndpoint.split('/');
-      if (urlParts.length > 3) {
-        cleanEndpoint = urlParts.slice(0, 3).join('/');
+
+      if (egressIds.length === 0) {
+        const error = lastError || new Error('No track egress could be started');
+        const failedRecording = await recordingStorage.updateRecording(recordingId, { status: 'failed', error: error.message, endedAt: new Date() });
+        this.publishRecordingFailed(failedRecording);
+        throw error;
       }
 
-      const r2Region = config.r2.region === 'auto' ? 'us-east-1' : config.r2.region;
+      await recordingStorage.updateRecording(recordingId, { egressId: egressIds[0] });
+      sessionService.setRecording(sessionId, egressIds[0], { mode: 'multitrack', recordingId });
+      await this.handleRecordingStarted(sessionId);
+      console.log(`✅ Multitrack recording ${recordingId} started with ${egressIds.length} track egress(es)`);
+      return egressIds[0];
+    } catch (error) {
+      console.error("START TRACK RECORDING ERROR:", error);
+      throw new Error(`Failed to start track recording: ${error.message}`);
+    }
+  }
 
-      // Create S3Upload instance for R2
-      const s3Upload = new S3Upload({
-        accessKey: config.r2.accessKeyId,
-        secret: config.r2.secretAccessKey,
-        region: r2Region,
-        bucket: config.r2.bucket,
-        endpoint: cleanEndpoint,
-        forcePathStyle: true,
-      });
+  /**
+   * Start a single audio-only TrackCompositeEgress for one participant track
+   * and add it to the multitrack recording
+   * @param {string} roomName
+   * @param {string} sessionId
+   * @param {string} recordingId - Multitrack recording the file belongs to
+   * @param {Object} track - { participantIdentity, trackId }
+   * @param {Object} preset - Encoding preset of the recording
+   * @param {Object} storage - Storage provider of the recording (see storageService)
+   * @returns {Promise<string>} Egress ID
+   */
+  async startParticipantTrackEgress(roomName, sessionId, recordingId, track, preset, storage) {
+    // One folder per recording, one file per participant track
+    const safeIdentity = track.participantIdentity.replace(/[^a-zA-Z0-9\-_]/g, '_');
+    const fileName = `audios/${sessionId}/${recordingId}/${safeIdentity}-${track.trackId}.${preset.extension}`;
+    const { encodingOptions, fileType } = encodingPresets.getEgressEncoding(preset);
 
-      // Create file output
-      const fileOutput = new EncodedFileOutput({
-        filepath: fileName,
-        output: {
-          case: 's3',
-          value: s3Upload,
-        },
-      });
+    console.log(`[RecordingService] Recording track ${track.trackId} from participant ${track.participantIdentity} to ${fileName}`);
 
-      // Record the first audio track (or you can record all tracks)
-      // For simplicity, we'll record the first track
-      const trackToRecord = audioTracks[0];
-      console.log(`[RecordingService] Recording track ${trackToRecord.trackId} from participant ${trackToRecord.participantIdentity}`);
-
-      // Start TrackCompositeEgress - records tracks directly without PulseAudio
-      // This records a single audio track
-      // Method signature: startTrackCompositeEgress(roomName, output, opts?)
-      // opts should have audioTrackId (camelCase) in TrackCompositeOptions
-      const info = await this.egressClient.startTrackCompositeEgress(
-        trackToRecord.roomName,
-        fileOutput, // EncodedFileOutput as second parameter
-        {
-          audioTrackId: trackToRecord.trackId, // TrackCompositeOptions with audioTrackId
-        }
-      );
+    // Method signature: startTrackCompositeEgress(roomName, output, opts?)
+    // opts should have audioTrackId (camelCase) in TrackCompositeOptions
+    const info = await this.egressClient.startTrackCompositeEgress(
+      roomName,
+      storage.createEgressOutput(fileName, fileType),
+      {
+        audioTrackId: track.trackId,
+        encodingOptions,
+      }
+    );
+
+    await recordingStorage.addTrack(recordingId, {
+      egressId: info.egressId,
+      participantIdentity: track.participantIdentity,
+      trackId: track.trackId,
+      fileName,
+      status: this.toRecordingStatus(info.status),
+      startedAt: new Date(),
+    });
+
+    console.log(`[RecordingService] ✅ Track egress started with ID: ${info.egressId}`);
+    return info.egressId;
+  }
+
+  /**
+   * Start recording a track that was published while a multitrack recording is running
+   * Called from the track_published webhook
+   * @param {string} roomName
+   * @param {string} participantIdentity
+   * @param {Object} track - TrackInfo from the webhook
+   */
+  async handleTrackPublished(roomName, participantIdentity, track) {
+    if (!track || !this.isAudioTrack(track)) {
+      return;
+    }
+
+    const session = sessionService.getSession(roomName);
+    if (!session || !session.isRecording || session.recordingMode !== 'multitrack') {
+      return;
+    }
+
+    const recording = await recordingStorage.getRecording(session.recordingId);
+    const alreadyRecording = recording?.tracks.some(t => t.trackId === track.sid && !t.endedAt);
+    if (!recording || alreadyRecording) {
+      return;
+    }
 
-      console.log("✅ TrackEgress started with ID:", info.egressId);
-      sessionService.setRecording(sessionId, info.egressId);
-      return info.egressId;
+    try {
+      console.log(`[RecordingService] New audio track ${track.sid} from ${participantIdentity} during multitrack recording ${session.recordingId}`);
+      await this.startParticipantTrackEgress(roomName, session.sessionId, session.recordingId, {
+        participantIdentity,
+        trackId: track.sid,
+      }, encodingPresets.getPreset(recording.preset), storageService.forRecording(recording));
     } catch (error) {
-      console.error("START TRACK RECORDING ERROR:", error);
-      throw new Error(`Failed to start track recording: ${error.message}`);
+      console.error(`[RecordingService] Failed to start egress for newly published track ${track.sid}:`, error);
+    }
+  }
+
+  /**
+   * Check if a recording mode is valid
+   * @param {string} mode
+   * @returns {boolean}
+   */
+  isValidMode(mode) {
+    return RECORDING_MODES.includes(mode);
+  }
+
+  /**
+   * Check whether a track (from the SDK or a webhook payload) is an audio track
+   * The SDK uses the TrackType enum (AUDIO = 0), raw webhook JSON uses the enum name
+   * @param {Object} track
+   * @returns {boolean}
+   */
+  isAudioTrack(track) {
+    return track.type === 0 || track.type === 'AUDIO';
+  }
+
+  /**
+   * Start the speaker timeline of a recording that was just started and announce it to subscribers
+   * @param {string} sessionId
+   */
+  async handleRecordingStarted(sessionId) {
+    speakerTimelineService.startTimeline(sessionId);
+    await this.publishRecordingState(sessionId);
+
+    const session = sessionService.getSession(sessionId);
+    outboundWebhookService.publish('recording.started', {
+      roomName: sessionId,
+      recordingId: session.recordingId,
+      mode: session.recordingMode,
+      startedAt: session.recordingStartedAt,
+    }, { sessionId });
+  }
+
+  /**
+   * Announce a recording that ended without any file to subscribers
+   * @param {Object} recording
+   */
+  publishRecordingFailed(recording) {
+    outboundWebhookService.publish('recording.failed', {
+      roomName: recording.sessionId,
+      recordingId: recording.id,
+      mode: recording.mode,
+      error: recording.error,
+    }, { sessionId: recording.sessionId });
+  }
+
+  /**
+   * Push the recording state of a session to its event stream (see sessionEventService)
+   * Called after every status transition; unlike getSessionRecordingStatus, LiveKit is not asked
+   * @param {string} sessionId
+   */
+  async publishRecordingState(sessionId) {
+    if (sessionEventService.getListenerCount(sessionId) === 0) {
+      return;
     }
+
+    const session = sessionService.getSession(sessionId);
+    const recording = session?.recordingId ? await recordingStorage.getRecording(session.recordingId) : null;
+    sessionEventService.publish(sessionId, 'recording.status', {
+      status: recording?.status || 'idle',
+      isRecording: !!session?.isRecording,
+      isPaused: !!session?.isPaused,
+      recordingId: recording?.id || null,
+      mode: recording?.mode || null,
+      startedAt: recording?.startedAt || null,
+      elapsedSeconds: recording ? this.getElapsedSeconds(recording) : 0,
+      lastError: recording?.error || null,
+    });
+  }
+
+  /**
+   * Stored summary of the encoding of a recording
+   * @param {Object} preset
+   * @returns {Object} { codec, bitrate, sampleRate, channels }
+   */
+  toEncodingInfo(preset) {
+    return {
+      codec: preset.codec,
+      bitrate: preset.bitrate,
+      sampleRate: preset.sampleRate,
+      channels: preset.channels,
+    };
   }
 
   /**
-   * Start recording a room (audio-only, M4A)
+   * Start recording a room (audio-only, encoded with the preset)
    * Uses RoomCompositeEgress to record the entire room
    * Based on official LiveKit examples from Slack
    * 
@@ -139,17 +310,56 @@ class RecordingService {
    * 
    * @param {string} roomName - The room name to record
    * @param {string} sessionId - The session ID
+   * @param {Object} preset - Encoding preset (see encodingPresets.getPreset)
    * @returns {Promise<string>} Egress ID
    */
-  async startRecording(roomName, sessionId) {
+  async startRecording(roomName, sessionId, preset = encodingPresets.getPreset()) {
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    // The extension follows the codec of the preset (.m4a for AAC, .ogg for Opus)
+    // Files are saved to the 'audios' directory in R2
+    const fileName = `audios/${sessionId}/${sessionId}-${timestamp}.${preset.extension}`;
+
+    const storageTenant = sessionService.getSession(sessionId)?.storageTenant || null;
+    const info = await this.startRoomCompositeEgress(roomName, fileName, preset, storageService.getProvider(storageTenant));
+
+    const recordingId = `${sessionId}-${Date.now()}`;
+    await recordingStorage.createRecording({
+      id: recordingId,
+      sessionId,
+      mode: 'composite',
+      egressType: 'room_composite',
+      egressId: info.egressId,
+      r2FileName: fileName,
+      codec: preset.codec,
+      preset: preset.name,
+      encoding: this.toEncodingInfo(preset),
+      storageTenant,
+      status: this.toRecordingStatus(info.status),
+    });
+
+    sessionService.setRecording(sessionId, info.egressId, { mode: 'composite', recordingId });
+    await this.handleRecordingStarted(sessionId);
+
+    return info.egressId;
+  }
+
+  /**
+   * Start an audio-only RoomCompositeEgress that writes to the recording's storage
+   * @param {string} roomName - The room name to record
+   * @param {string} fileName - Object key of the file
+   * @param {Object} preset - Encoding preset of the recording
+   * @param {Object} storage - Storage provider of the recording (see storageService)
+   * @returns {Promise<Object>} EgressInfo
+   */
+  async startRoomCompositeEgress(roomName, fileName, preset, storage) {
     try {
-      console.log(`Starting recording for room: ${roomName}, session: ${sessionId}`);
+      console.log(`Starting room composite egress for room: ${roomName}, file: ${fileName}`);
       console.log(`[RecordingService] LiveKit HTTP URL: ${config.livekit.httpUrl}`);
       console.log(`[RecordingService] LiveKit WebSocket URL: ${config.livekit.url}`);
 
-      // Validate R2 configuration
-      if (!config.r2.accessKeyId || !config.r2.secretAccessKey || !config.r2.bucket || !config.r2.endpoint) {
-        throw new Error('R2 configuration is missing. Please set R2_ACCESS_KEY, R2_SECRET_KEY, R2_BUCKET, and R2_ENDPOINT environment variables.');
+      // Validate the storage configuration
+      if (!storage.isConfigured()) {
+        throw new Error(storage.getConfigurationError());
       }
 
       // Verify room exists and has participants (RoomCompositeEgress REQUIRES active participants)
@@ -191,70 +401,26 @@ class RecordingService {
         throw new Error(`Failed to connect to LiveKit room ${roomName}. Please verify the LiveKit server is running and accessible. Error: ${roomError.message}`);
       }
 
-      const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-      // Use .m4a for audio-only recording (AAC encoding)
-      // Files are saved to the 'audios' directory in R2
-      const fileName = `audios/${sessionId}/${sessionId}-${timestamp}.m4a`;
-
-      // Clean endpoint URL (remove trailing slashes and any path)
-      // Endpoint should be: https://<account-id>.r2.cloudflarestorage.com
-      // NOT: https://<account-id>.r2.cloudflarestorage.com/bucket-name
-      let cleanEndpoint = config.r2.endpoint.trim();
-      if (cleanEndpoint.endsWith('/')) {
-        cleanEndpoint = cleanEndpoint.slice(0, -1);
-      }
-      // Remove any path after the domain (bucket name might be in path)
-      const urlParts = cleanEndpoint.split('/');
-      if (urlParts.length > 3) {
-        cleanEndpoint = urlParts.slice(0, 3).join('/');
-      }
-
-      // For Cloudflare R2, use 'us-east-1' region (many S3 clients don't support 'auto')
-      // The endpoint should be the base account endpoint without bucket name
-      const r2Region = config.r2.region === 'auto' ? 'us-east-1' : config.r2.region;
-
-      console.log(`[RecordingService] R2 Configuration:`);
-      console.log(`  Endpoint: ${cleanEndpoint}`);
-      console.log(`  Bucket: ${config.r2.bucket}`);
-      console.log(`  Region: ${r2Region}`);
-      console.log(`  Access Key: ${config.r2.accessKeyId ? config.r2.accessKeyId.substring(0, 8) + '...' : 'NOT SET'}`);
-
-      // Create S3Upload instance for R2 (S3-compatible)
-      const s3Upload = new S3Upload({
-        accessKey: config.r2.accessKeyId,
-        secret: config.r2.secretAccessKey,
-        region: r2Region,
-        bucket: config.r2.bucket,
-        endpoint: cleanEndpoint,
-        forcePathStyle: true, // R2 requires path-style URLs
-      });
-
-      // Create EncodedFileOutput with S3Upload in output.case structure
-      const fileOutput = new EncodedFileOutput({
-        filepath: fileName,
-        output: {
-          case: 's3',
-          value: s3Upload,
-        },
-      });
+      console.log(`[RecordingService] Storage: ${storage.name}${storage.bucket ? ` (bucket ${storage.bucket})` : ''}`);
+      const { encodingOptions, fileType } = encodingPresets.getEgressEncoding(preset);
+      console.log(`[RecordingService] Encoding preset: ${preset.name} (${preset.codec}, ${preset.bitrate} kbps, ${preset.sampleRate} Hz)`);
+      const fileOutput = storage.createEgressOutput(fileName, fileType);
 
       console.log("Starting room composite egress with audio-only layout...");
       console.log(`[RecordingService] ⚠️ IMPORTANT: Ensure your egress.yaml file has ws_url matching: ${config.livekit.url}`);
       console.log(`[RecordingService] If egress.yaml uses ws://127.0.0.1:7880 but your server is at ${config.livekit.url}, update egress.yaml and restart the egress container.`);
 
-      // Use the correct method signature: startRoomCompositeEgress(roomName, { file }, { layout })
+      // Use the correct method signature: startRoomCompositeEgress(roomName, { file }, { layout, encodingOptions })
       // This matches the official LiveKit examples
       const info = await this.egressClient.startRoomCompositeEgress(
         roomName,
         { file: fileOutput },
-        { layout: 'audio-only' }
+        { layout: 'audio-only', encodingOptions }
       );
 
       console.log("✅ Egress started with ID:", info.egressId);
 
-      sessionService.setRecording(sessionId, info.egressId);
-
-      return info.egressId;
+      return info;
     } catch (error) {
       console.error("START RECORDING ERROR:", error);
       console.error("Error details:", {
@@ -285,6 +451,7 @@ class RecordingService {
    * 3 = EGRESS_COMPLETE
    * 4 = EGRESS_FAILED
    * 5 = EGRESS_ABORTED
+   * 6 = EGRESS_LIMIT_REACHED
    */
   normalizeStatus(status) {
     if (typeof status === 'number') {
@@ -295,12 +462,47 @@ class RecordingService {
         3: 'EGRESS_COMPLETE',
         4: 'EGRESS_FAILED',
         5: 'EGRESS_ABORTED',
+        6: 'EGRESS_LIMIT_REACHED',
       };
       return statusMap[status] || `UNKNOWN_${status}`;
     }
     return status;
   }
 
+  /**
+   * Map an egress status to a recording lifecycle status
+   * (starting, active, ending, complete, failed)
+   * @param {number|string} status - Raw or normalized egress status
+   * @returns {string}
+   */
+  toRecordingStatus(status) {
+    switch (this.normalizeStatus(status)) {
+      case 'EGRESS_ACTIVE':
+        return 'active';
+      case 'EGRESS_ENDING':
+        return 'ending';
+      case 'EGRESS_COMPLETE':
+      case 'EGRESS_LIMIT_REACHED': // Stopped at the duration limit, the file is still uploaded
+        return 'complete';
+      case 'EGRESS_FAILED':
+      case 'EGRESS_ABORTED':
+        return 'failed';
+      default:
+        return 'starting';
+    }
+  }
+
+  /**
+   * Read the uploaded file size from egress info
+   * @param {Object} egressInfo
+   * @returns {number|null} Size in bytes
+   */
+  extractFileSize(egressInfo) {
+    const fileResult = egressInfo.fileResults?.[0] || egressInfo.file;
+    // SDK returns bigint, webhook JSON returns a string
+    return fileResult && fileResult.size ? Number(fileResult.size) : null;
+  }
+
   /**
    * Stop recording
    * @param {string} egressId - The egress ID to stop
@@ -311,7 +513,7 @@ class RecordingService {
       console.log(`[RecordingService] Stopping recording: ${egressId}`);
       
       // Check egress status first
-      const egressList = await this.egressClient.listEgress([egressId]);
+      const egressList = await this.egressClient.listEgress({ egressId });
       if (egressList.length === 0) {
         console.warn(`[RecordingService] Egress ${egressId} not found`);
         return;
@@ -377,7 +579,7 @@ class RecordingService {
       if (error.status === 412 || error.code === 'failed_precondition') {
         console.warn(`[RecordingService] Egress cannot be stopped (likely already failed). Checking status...`);
         try {
-          const egressList = await this.egressClient.listEgress([egressId]);
+          const egressList = await this.egressClient.listEgress({ egressId });
           if (egressList.length > 0) {
             const egress = egressList[0];
             const status = this.normalizeStatus(egress.status);
@@ -405,7 +607,7 @@ class RecordingService {
    */
   async getRecordingStatus(egressId) {
     try {
-      const egress = await this.egressClient.listEgress([egressId]);
+      const egress = await this.egressClient.listEgress({ egressId });
       return egress.length > 0 ? egress[0] : null;
     } catch (error) {
       console.error(`[RecordingService] Error getting recording status:`, error);
@@ -413,6 +615,366 @@ class RecordingService {
     }
   }
 
+  /**
+   * Recorded time of a recording so far
+   * Leaves out the pauses (an open pause lasts until now)
+   * @param {Object} recording
+   * @returns {number} Seconds
+   */
+  getElapsedSeconds(recording) {
+    if (recordingStorage.isFinalStatus(recording.status)) {
+      return recording.duration;
+    }
+
+    const now = Date.now();
+    const pausedMs = (recording.pauses || []).reduce((total, pause) =>
+      total + (new Date(pause.resumedAt || now) - new Date(pause.pausedAt)), 0);
+    return Math.max(0, Math.floor((now - new Date(recording.startedAt) - pausedMs) / 1000));
+  }
+
+  /**
+   * Get the live status of the current (or most recent) recording of a session
+   * Combines the stored recording with what LiveKit reports for its running egresses
+   * @param {string} sessionId
+   * @returns {Promise<Object>} Status summary ('idle' if the session was never recorded)
+   */
+  async getSessionRecordingStatus(sessionId) {
+    const session = sessionService.getSession(sessionId);
+    const recording = session?.recordingId ? await recordingStorage.getRecording(session.recordingId) : null;
+    if (!recording) {
+      return {
+        status: 'idle',
+        isRecording: false,
+        isPaused: false,
+        recordingId: null,
+        egresses: [],
+      };
+    }
+
+    const isFinal = recordingStorage.isFinalStatus(recording.status);
+    // Files the recording is made of: tracks, segments, or the single composite file
+    const parts = recording.mode === 'multitrack'
+      ? recording.tracks
+      : recording.segments?.length > 0
+        ? recording.segments
+        : [{ egressId: recording.egressId, endedAt: recording.endedAt, size: recording.size, error: recording.error }];
+
+    // Ask LiveKit about the egresses that are still recording or uploading
+    const egresses = [];
+    for (const part of parts.filter(p => !isFinal && !p.endedAt && p.egressId)) {
+      const info = await this.getRecordingStatus(part.egressId);
+      egresses.push({
+        egressId: part.egressId,
+        participantIdentity: part.participantIdentity,
+        status: info ? this.normalizeStatus(info.status) : 'UNKNOWN',
+        bytesWritten: info ? this.extractFileSize(info) : null,
+        error: info?.error || null,
+      });
+    }
+
+    const elapsedSeconds = this.getElapsedSeconds(recording);
+
+    const bytesWritten = isFinal
+      ? recording.size
+      : parts.reduce((total, p) => total + (p.endedAt ? p.size || 0 : 0), 0) +
+        egresses.reduce((total, e) => total + (e.bytesWritten || 0), 0);
+
+    const lastError = egresses.map(e => e.error).filter(Boolean).pop() ||
+      recording.error ||
+      parts.map(p => p.error).filter(Boolean).pop() ||
+      null;
+
+    return {
+      status: recording.status, // 'ending' while LiveKit finalizes and uploads the file to R2
+      isRecording: !!session.isRecording,
+      isPaused: !!session.isPaused,
+      recordingId: recording.id,
+      mode: recording.mode,
+      egressStatus: egresses[0]?.status || recording.egressStatus || null,
+      startedAt: recording.startedAt,
+      elapsedSeconds,
+      bytesWritten: bytesWritten || null,
+      lastError,
+      recordingUrl: recording.r2FileUrl,
+      egresses,
+    };
+  }
+
+  /**
+   * Queue the background jobs of a completed recording (post-processing, waveforms, transcription)
+   * @param {string} recordingId
+   */
+  async queueBackgroundJobs(recordingId) {
+    await postProcessingService.enqueue(recordingId);
+    await waveformService.enqueue(recordingId);
+    await transcriptionService.enqueue(recordingId);
+  }
+
+  /**
+   * List the R2 object keys of a recording (composite file, tracks, segments, stitched file, renditions and waveforms)
+   * @param {Object} recording
+   * @returns {Array<string>}
+   */
+  getRecordingFiles(recording) {
+    const files = [
+      recording.r2FileName,
+      ...(recording.tracks || []).map(t => t.fileName),
+      ...(recording.segments || []).map(s => s.fileName),
+      ...(recording.renditions || []).map(r => r.fileName),
+      ...(recording.waveforms || []).map(w => w.fileName),
+    ];
+    return [...new Set(files.filter(Boolean))];
+  }
+
+  /**
+   * Delete a finished recording: its R2 files and its metadata
+   * Metadata is kept if a file could not be deleted, so the deletion can be retried
+   * @param {string} recordingId
+   * @returns {Promise<Object>} { recordingId, files }
+   */
+  async deleteRecording(recordingId) {
+    const recording = await recordingStorage.getRecording(recordingId);
+    if (!recording) {
+      throw new Error(`Recording ${recordingId} not found`);
+    }
+    if (!recordingStorage.isFinalStatus(recording.status)) {
+      throw new Error(`Recording ${recordingId} is still ${recording.status}`);
+    }
+
+    const files = this.getRecordingFiles(recording);
+    const storage = storageService.forRecording(recording);
+    if (files.length > 0 && !storage.isConfigured()) {
+      throw new Error(`${storage.getConfigurationError()} Cannot delete recording files.`);
+    }
+
+    for (const file of files) {
+      await storage.deleteFile(file);
+    }
+    await recordingStorage.deleteRecording(recordingId);
+    speakerTimelineService.deleteTimeline(recordingId);
+
+    console.log(`[RecordingService] 🗑️ Deleted recording ${recordingId} and ${files.length} file(s)`);
+    return { recordingId, files };
+  }
+
+  /**
+   * Start recording a session
+   * Uses RoomCompositeEgress by default and falls back to multitrack TrackEgress if it fails
+   * @param {string} sessionId
+   * @param {Object} options
+   * @param {string} options.mode - 'composite' (default) or 'multitrack'
+   * @param {string} options.preset - Encoding preset name (defaults to the session's preset)
+   * @returns {Promise<string>} Egress ID
+   */
+  async startSessionRecording(sessionId, { mode = 'composite', preset } = {}) {
+    const session = sessionService.getSession(sessionId);
+    if (!session) {
+      throw new Error(`Session ${sessionId} not found`);
+    }
+    if (preset && !encodingPresets.isValidPreset(preset)) {
+      throw new Error(`Unknown recording preset: ${preset}`);
+    }
+
+    const encoding = encodingPresets.getPreset(preset || session.recordingPreset);
+    console.log(`[RecordingService] Starting ${mode} recording for session: ${sessionId}, room: ${session.roomName}, preset: ${encoding.name}`);
+    if (mode === 'multitrack') {
+      // One file per participant audio track (isolated speaker stems)
+      return this.startRecordingWithTracks(session.roomName, sessionId, encoding);
+    }
+
+    // RoomCompositeEgress records the entire room with all participants
+    try {
+      return await this.startRecording(session.roomName, sessionId, encoding);
+    } catch (roomError) {
+      console.warn(`[RecordingService] RoomCompositeEgress failed, falling back to TrackEgress: ${roomError.message}`);
+      const egressId = await this.startRecordingWithTracks(session.roomName, sessionId, encoding);
+      console.warn(`[RecordingService] ⚠️ Using multitrack TrackEgress fallback - one file per participant`);
+      return egressId;
+    }
+  }
+
+  /**
+   * Stop the current recording of a session
+   * Stops the composite egress, or every track egress of a multitrack recording
+   * @param {string} sessionId
+   * @returns {Promise<void>}
+   */
+  async stopSessionRecording(sessionId) {
+    const session = sessionService.getSession(sessionId);
+    if (!session) {
+      throw new Error(`Session ${sessionId} not found`);
+    }
+
+    const recording = session.recordingId ? await recordingStorage.getRecording(session.recordingId) : null;
+    const isMultitrack = recording?.mode === 'multitrack';
+    const isSegmented = recording?.segments?.length > 0;
+    // A paused recording has no egress running
+    const egressIds = isMultitrack
+      ? recording.tracks.filter(t => !t.endedAt).map(t => t.egressId)
+      : [session.recordingEgressId].filter(Boolean);
+
+    // Mark the recording as ending before stopping, so completions that arrive
+    // while we are still stopping the other egresses can finalize it
+    // (file processing continues in background)
+    sessionService.clearRecording(sessionId);
+    if (recording && !recordingStorage.isFinalStatus(recording.status)) {
+      await recordingStorage.updateRecording(recording.id, { status: 'ending' });
+    }
+    await this.publishRecordingState(sessionId);
+
+    for (const egressId of egressIds) {
+      await this.stopRecording(egressId);
+    }
+
+    if (isMultitrack) {
+      // Track egresses that were already complete have been handled inline
+      await this.finalizeMultitrackRecording(recording.id);
+    } else if (isSegmented) {
+      await this.finalizeSegmentedRecording(recording.id);
+    }
+  }
+
+  /**
+   * Pause the recording of a session
+   * Stops the current egress; the file becomes a segment of the recording
+   * @param {string} sessionId
+   * @returns {Promise<Object>} Updated recording
+   */
+  async pauseSessionRecording(sessionId) {
+    const session = sessionService.getSession(sessionId);
+    const recording = session?.recordingId ? await recordingStorage.getRecording(session.recordingId) : null;
+    if (!session?.isRecording || session.isPaused || !recording) {
+      throw new Error('No active recording to pause');
+    }
+    if (recording.mode !== 'composite') {
+      throw new Error('Only composite recordings can be paused');
+    }
+
+    const egressId = session.recordingEgressId;
+    const now = new Date();
+
+    // The first pause turns the recording into a segmented one
+    const segments = recording.segments?.length > 0 ? recording.segments : [{
+      index: 0,
+      egressId: recording.egressId,
+      fileName: recording.r2FileName,
+      startedAt: recording.startedAt,
+      status: recording.status,
+      fileUrl: null,
+      size: null,
+      error: null,
+      endedAt: null,
+    }];
+
+    // Update state before stopping, so the segment completion sees the recording as paused
+    sessionService.updateSession(sessionId, { isPaused: true, recordingEgressId: null });
+    const pausedRecording = await recordingStorage.updateRecording(recording.id, {
+      status: 'paused',
+      segments,
+      pauses: [...(recording.pauses || []), { pausedAt: now, resumedAt: null }],
+    });
+
+    console.log(`[RecordingService] ⏸️ Pausing recording ${recording.id} of session ${sessionId} (segment ${segments.length - 1})`);
+    await this.publishRecordingState(sessionId);
+    await this.stopRecording(egressId);
+
+    return pausedRecording;
+  }
+
+  /**
+   * Resume a paused recording of a session
+   * Starts a new egress that records the next segment
+   * @param {string} sessionId
+   * @returns {Promise<Object>} Updated recording
+   */
+  async resumeSessionRecording(sessionId) {
+    const session = sessionService.getSession(sessionId);
+    const recording = session?.recordingId ? await recordingStorage.getRecording(session.recordingId) : null;
+    if (!session?.isPaused || recording?.status !== 'paused') {
+      throw new Error('No paused recording to resume');
+    }
+
+    // Segments are encoded like the rest of the recording
+    const preset = encodingPresets.getPreset(recording.preset);
+    const index = recording.segments.length;
+    const fileName = `audios/${sessionId}/${recording.id}/segment-${index}.${preset.extension}`;
+    const info = await this.startRoomCompositeEgress(session.roomName, fileName, preset, storageService.forRecording(recording));
+
+    const now = new Date();
+    const pauses = recording.pauses.map((pause, i) =>
+      i === recording.pauses.length - 1 ? { ...pause, resumedAt: now } : pause
+    );
+
+    await recordingStorage.addSegment(recording.id, {
+      index,
+      egressId: info.egressId,
+      fileName,
+      startedAt: now,
+      status: this.toRecordingStatus(info.status),
+    });
+    const resumedRecording = await recordingStorage.updateRecording(recording.id, { status: 'active', pauses });
+    sessionService.updateSession(sessionId, { isPaused: false, recordingEgressId: info.egressId });
+
+    console.log(`[RecordingService] ▶️ Resumed recording ${recording.id} of session ${sessionId} (segment ${index}, egress ${info.egressId})`);
+    await this.publishRecordingState(sessionId);
+    return resumedRecording;
+  }
+
+  /**
+   * Extract the uploaded file name from egress info
+   * Note: fileName already includes the 'audios/' prefix (e.g., 'audios/taskId/taskId-timestamp.m4a')
+   * @param {Object} egressInfo - EgressInfo from the SDK or a webhook payload
+   * @param {Object} storage - Storage provider the egress wrote to, maps egress paths to keys
+   * @returns {string|null}
+   */
+  extractFileName(egressInfo, storage = storageService.getProvider()) {
+    const filePath = this.extractFilePath(egressInfo);
+    return filePath ? storage.toKey(filePath) : null;
+  }
+
+  /**
+   * Extract the file path reported by egress
+   * @param {Object} egressInfo
+   * @returns {string|null}
+   */
+  extractFilePath(egressInfo) {
+    // 1. Check the request's fileOutputs (most reliable for failed egresses)
+    // Webhook JSON has roomComposite/trackComposite, SDK EgressInfo has request.value
+    const request = egressInfo.roomComposite || egressInfo.trackComposite || egressInfo.request?.value;
+    if (request && request.fileOutputs && request.fileOutputs.length > 0) {
+      return request.fileOutputs[0].filepath;
+    }
+
+    // 2. Check fileResults array (for failed egresses that still have file info)
+    if (egressInfo.fileResults && egressInfo.fileResults.length > 0) {
+      return egressInfo.fileResults[0].filename;
+    }
+
+    // 3. Check egressInfo.file (standard location)
+    if (egressInfo.file) {
+      return egressInfo.file.filename || egressInfo.file.filepath || egressInfo.file.location || egressInfo.file.name || null;
+    }
+
+    return null;
+  }
+
+  /**
+   * Build the URL of an uploaded recording file
+   * @param {string} fileName - Object key (may be .m4a.mp4)
+   * @param {Object} egressInfo
+   * @param {Object} storage - Storage provider of the recording
+   * @returns {string|null}
+   */
+  buildFileUrl(fileName, egressInfo = {}, storage = storageService.getProvider()) {
+    // If LiveKit provides a direct URL, use it as-is (don't modify the extension)
+    if (egressInfo.file && egressInfo.file.url) {
+      return egressInfo.file.url;
+    }
+
+    // Public bucket URL or custom domain, or the provider's default URL scheme
+    return storage.getPublicUrl(fileName);
+  }
+
   /**
    * Handle recording completion (called from webhook)
    * @param {string} egressId
@@ -434,9 +996,30 @@ class RecordingService {
       
       console.log(`[RecordingService] Egress info:`, JSON.stringify(egressInfo, null, 2));
 
-      // Find session by egress ID
+      // Per-participant track egresses are grouped into one multitrack recording
+      const recording = await recordingStorage.findByEgressId(egressId);
+      if (recording && recording.mode === 'multitrack') {
+        await this.handleTrackRecordingComplete(recording, egressId, egressInfo, status, isFailed);
+        return;
+      }
+
+      // Segments of a paused-and-resumed recording are completed together
+      if (recording && recording.segments?.length > 0) {
+        await this.handleSegmentComplete(recording, egressId, egressInfo, status, isFailed);
+        return;
+      }
+
+      // Webhook and polling may both report the same egress
+      if (recording && recordingStorage.isFinalStatus(recording.status)) {
+        console.log(`[RecordingService] Recording ${recording.id} already ${recording.status}, ignoring duplicate completion for ${egressId}`);
+        return;
+      }
+
+      // Find session by recording (archived sessions keep their callback and externalRef), then by egress ID
       const sessions = sessionService.getAllSessions();
-      let session = sessions.find(s => s.recordingEgressId === egressId);
+      let session = recording
+        ? sessionService.getSessionRecord(recording.sessionId)
+        : sessions.find(s => s.recordingEgressId === egressId);
 
       if (!session) {
         // Try to find session by room name as fallback
@@ -449,7 +1032,7 @@ class RecordingService {
             // Update the session's egress ID if it doesn't match
             if (session.recordingEgressId !== egressId) {
               console.log(`[RecordingService] Updating session egress ID from ${session.recordingEgressId} to ${egressId}`);
-              session.recordingEgressId = egressId;
+              session = sessionService.updateSession(session.sessionId, { recordingEgressId: egressId });
             }
           }
         }
@@ -467,58 +1050,17 @@ class RecordingService {
       // Extract file information from egress info
       // LiveKit automatically uploads the file to R2 when egress ends
       // For failed egresses, the file may still be uploaded but egress status is failed
+      const storage = storageService.forRecording(recording);
+      const fileName = this.extractFileName(egressInfo, storage) || (isFailed ? null : recording?.r2FileName);
       let fileUrl = null;
-      let fileName = null;
-      
-      // First, try to get fileName from various sources (order matters)
-      // Note: fileName already includes the 'audios/' prefix (e.g., 'audios/taskId/taskId-timestamp.m4a')
-      // 1. Check roomComposite.fileOutputs (most reliable for failed egresses)
-      if (egressInfo.roomComposite && egressInfo.roomComposite.fileOutputs && egressInfo.roomComposite.fileOutputs.length > 0) {
-        fileName = egressInfo.roomComposite.fileOutputs[0].filepath;
-        console.log(`[RecordingService] File name from roomComposite.fileOutputs: ${fileName}`);
-        console.log(`[RecordingService] File path already includes 'audios/' prefix: ${fileName.startsWith('audios/') ? 'Yes' : 'No'}`);
-      }
-      
-      // 2. Check fileResults array (for failed egresses that still have file info)
-      if (!fileName && egressInfo.fileResults && egressInfo.fileResults.length > 0) {
-        fileName = egressInfo.fileResults[0].filename;
-        console.log(`[RecordingService] File name from fileResults: ${fileName}`);
-      }
-      
-      // 3. Check egressInfo.file (standard location)
-      if (!fileName && egressInfo.file) {
-        fileName = egressInfo.file.filename || egressInfo.file.filepath || egressInfo.file.location || egressInfo.file.name;
-        if (fileName) {
-          console.log(`[RecordingService] File name from egress.file: ${fileName}`);
-        }
-      }
       
       // Note: LiveKit may save files with .m4a.mp4 extension
       // We should keep the actual file extension as it exists in R2
       // Do NOT remove .mp4 extension - the file in R2 has .m4a.mp4, so we need to use that
-      if (fileName && fileName.endsWith('.m4a.mp4')) {
-        console.log(`[RecordingService] File has .m4a.mp4 extension (keeping as-is): ${fileName}`);
-      }
-      
-      // Now construct fileUrl if we have fileName
       if (fileName) {
-        // If LiveKit provides a direct URL, use it as-is (don't modify the extension)
-        if (egressInfo.file && egressInfo.file.url) {
-          fileUrl = egressInfo.file.url;
-          console.log(`[RecordingService] Using direct URL from LiveKit: ${fileUrl}`);
-        } else if (config.r2.publicUrl) {
-          // Use configured public URL (R2 public bucket URL or custom domain)
-          // fileName already includes 'audios/' prefix - use it as-is (may be .m4a.mp4)
-          const baseUrl = config.r2.publicUrl.replace(/\/$/, '');
-          fileUrl = `${baseUrl}/${fileName}`;
-          console.log(`[RecordingService] Constructed fileUrl from R2 public URL: ${fileUrl}`);
-          console.log(`[RecordingService] Final URL structure: ${baseUrl}/audios/...`);
-        } else if (config.r2.bucket && config.r2.endpoint) {
-          // Fallback: Construct R2 URL based on endpoint
-          const r2Domain = config.r2.endpoint.replace('https://', '').replace('http://', '').split('/')[0];
-          fileUrl = `https://${config.r2.bucket}.${r2Domain}/${fileName}`;
-          console.log(`[RecordingService] Constructed fileUrl from R2 endpoint: ${fileUrl}`);
-        }
+        console.log(`[RecordingService] File name from egress info: ${fileName}`);
+        fileUrl = this.buildFileUrl(fileName, egressInfo, storage);
+        console.log(`[RecordingService] File URL: ${fileUrl || 'N/A'}`);
       }
       
       // Also check stream info (for stream-based egress)
@@ -527,27 +1069,35 @@ class RecordingService {
       }
 
       // Calculate duration
-      const startedAt = session.recordingStartedAt || new Date();
+      const startedAt = recording?.startedAt || session.recordingStartedAt || new Date();
       const endedAt = new Date();
-      const duration = Math.floor((endedAt - startedAt) / 1000); // Duration in seconds
+      const duration = Math.floor((endedAt - new Date(startedAt)) / 1000); // Duration in seconds
 
       // Store recording metadata (even for failed recordings)
       const recordingData = {
+        id: recording?.id,
         sessionId: session.sessionId,
+        mode: 'composite',
+        egressType: recording?.egressType || 'room_composite',
         startedAt: startedAt,
         endedAt: endedAt,
         duration: duration,
         r2FileUrl: fileUrl,
         r2FileName: fileName,
+        size: this.extractFileSize(egressInfo),
         egressId: egressId,
-        status: status,
+        egressStatus: status,
+        status: isFailed ? 'failed' : 'complete',
         error: isFailed ? (egressInfo.error || egressInfo.errorReason || 'Unknown error') : null,
       };
       
       const savedRecording = await recordingStorage.saveRecording(recordingData);
 
-      // Clear recording status from session (even if failed)
-      sessionService.clearRecording(session.sessionId);
+      // Clear recording status from session (even if failed), unless a new recording was started since
+      if (session.recordingEgressId === egressId) {
+        sessionService.clearRecording(session.sessionId);
+      }
+      await this.publishRecordingState(session.sessionId);
 
       if (isFailed) {
         console.log(`[RecordingService] ⚠️ Recording failed - metadata saved`);
@@ -563,183 +1113,631 @@ class RecordingService {
       }
       console.log(`[RecordingService] Recording metadata saved with ID: ${savedRecording.id}`);
 
-      // Notify main backend about recording completion (if configured)
-      const mainBackendUrl = config.mainBackend?.webhookUrl || config.mainBackend?.url;
-      if (mainBackendUrl && fileUrl) {
-        const webhookUrl = `${mainBackendUrl}/api/v1/webhooks/recording-complete`;
-        const webhookSecret = config.mainBackend.webhookSecret || config.server.webhookSecret;
-        
-        console.log(`[RecordingService] Notifying main backend: ${webhookUrl}`);
-        console.log(`[RecordingService] Room name (sessionId): ${session.sessionId}`);
-        console.log(`[RecordingService] File URL: ${fileUrl}`);
-        
-        // Retry logic for webhook notification (up to 3 attempts)
-        let lastError = null;
-        for (let attempt = 1; attempt <= 3; attempt++) {
-          try {
-            const controller = new AbortController();
-            const timeoutId = setTimeout(() => controller.abort(), 30000); // 30 second timeout
-            
-            const response = await fetch(webhookUrl, {
-              method: 'POST',
-              headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${webhookSecret}`,
-              },
-              body: JSON.stringify({
-                roomName: session.sessionId, // roomName is the sessionId
-                recordingUrl: fileUrl,
-                fileName: fileName,
-                duration: duration,
-              }),
-              signal: controller.signal,
-            });
-            
-            clearTimeout(timeoutId);
-
-            if (response.ok) {
-              const result = await response.json();
-              console.log(`[RecordingService] ✅ Notified main backend about recording completion (attempt ${attempt})`);
-              console.log(`[RecordingService] Main backend response:`, result);
-              lastError = null;
-              break; // Success, exit retry loop
-            } else {
-              const errorText = await response.text().catch(() => 'No error details');
-              lastError = { status: response.status, statusText: response.statusText, body: errorText };
-              console.warn(`[RecordingService] ⚠️ Failed to notify main backend (attempt ${attempt}/${3}): ${response.status} ${response.statusText}`);
-              console.warn(`[RecordingService] Error details:`, errorText);
-              
-              // If it's a 404, the route doesn't exist - don't retry
-              if (response.status === 404) {
-                console.error(`[RecordingService] ❌ Route not found. Ensure the backend is deployed with the latest code including /api/v1/webhooks/recording-complete route.`);
-                break;
-              }
-              
-              // Wait before retrying (exponential backoff)
-              if (attempt < 3) {
-                const delay = Math.min(1000 * Math.pow(2, attempt - 1), 5000); // 1s, 2s, 4s max
-                console.log(`[RecordingService] Retrying in ${delay}ms...`);
-                await new Promise(resolve => setTimeout(resolve, delay));
-              }
-            }
-          } catch (webhookError) {
-            lastError = webhookError;
-            console.error(`[RecordingService] Error notifying main backend (attempt ${attempt}/${3}):`, webhookError.message || webhookError);
-            
-            // Wait before retrying (exponential backoff)
-            if (attempt < 3) {
-              const delay = Math.min(1000 * Math.pow(2, attempt - 1), 5000); // 1s, 2s, 4s max
-              console.log(`[RecordingService] Retrying in ${delay}ms...`);
-              await new Promise(resolve => setTimeout(resolve, delay));
-            }
-          }
+      if (!isFailed && fileName) {
+        await this.queueBackgroundJobs(savedRecording.id);
+      }
+
+      if (!fileUrl) {
+        if (isFailed) {
+          this.publishRecordingFailed(savedRecording);
         }
-        
-        if (lastError) {
-          console.error(`[RecordingService] ❌ Failed to notify main backend after 3 attempts. Last error:`, lastError);
-          // Don't fail the recording completion if webhook fails
+        console.warn(`[RecordingService] ⚠️ No file URL - skipping webhook notification`);
+        console.warn(`[RecordingService] Debug info: fileName=${fileName || 'none'}, status=${status}, isFailed=${isFailed}`);
+        console.warn(`[RecordingService] Egress info keys:`, Object.keys(egressInfo));
+        if (egressInfo.roomComposite) {
+          console.warn(`[RecordingService] roomComposite.fileOutputs:`, JSON.stringify(egressInfo.roomComposite.fileOutputs, null, 2));
         }
-      } else {
-        if (!mainBackendUrl) {
-          console.warn(`[RecordingService] ⚠️ MAIN_BACKEND_URL not configured - skipping webhook notification`);
-        }
-        if (!fileUrl) {
-          console.warn(`[RecordingService] ⚠️ No file URL - skipping webhook notification`);
-          console.warn(`[RecordingService] Debug info: fileName=${fileName || 'none'}, status=${status}, isFailed=${isFailed}`);
-          console.warn(`[RecordingService] Egress info keys:`, Object.keys(egressInfo));
-          if (egressInfo.roomComposite) {
-            console.warn(`[RecordingService] roomComposite.fileOutputs:`, JSON.stringify(egressInfo.roomComposite.fileOutputs, null, 2));
-          }
-          if (egressInfo.fileResults) {
-            console.warn(`[RecordingService] fileResults:`, JSON.stringify(egressInfo.fileResults, null, 2));
-          }
+        if (egressInfo.fileResults) {
+          console.warn(`[RecordingService] fileResults:`, JSON.stringify(egressInfo.fileResults, null, 2));
         }
+        return;
       }
-      
-      // For failed egresses, still try to notify if we have a fileUrl
-      // The file might be uploaded even if egress status is failed
-      if (isFailed && fileUrl && mainBackendUrl) {
+
+      // Notify main backend about recording completion
+      // For failed egresses, still notify: the file might be uploaded even if egress status is failed
+      if (isFailed) {
         console.log(`[RecordingService] ⚠️ Recording failed but file URL exists. Notifying main backend...`);
-        const webhookUrl = `${mainBackendUrl}/api/v1/webhooks/recording-complete`;
-        const webhookSecret = config.mainBackend.webhookSecret || config.server.webhookSecret;
-        
-        console.log(`[RecordingService] Notifying main backend (failed recording with file): ${webhookUrl}`);
-        console.log(`[RecordingService] Room name (sessionId): ${session.sessionId}`);
-        console.log(`[RecordingService] File URL: ${fileUrl}`);
-        
-        // Retry logic for webhook notification (up to 3 attempts)
-        let lastError = null;
-        for (let attempt = 1; attempt <= 3; attempt++) {
-          try {
-            const controller = new AbortController();
-            const timeoutId = setTimeout(() => controller.abort(), 30000); // 30 second timeout
-            
-            const response = await fetch(webhookUrl, {
-              method: 'POST',
-              headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${webhookSecret}`,
-              },
-              body: JSON.stringify({
-                roomName: session.sessionId,
-                recordingUrl: fileUrl,
-                fileName: fileName,
-                duration: duration,
-                status: 'COMPLETED', // Mark as completed since file exists
-              }),
-              signal: controller.signal,
-            });
-            
-            clearTimeout(timeoutId);
-
-            if (response.ok) {
-              const result = await response.json();
-              console.log(`[RecordingService] ✅ Notified main backend about recording (file exists despite failed status) (attempt ${attempt})`);
-              console.log(`[RecordingService] Main backend response:`, result);
-              lastError = null;
-              break; // Success, exit retry loop
-            } else {
-              const errorText = await response.text().catch(() => 'No error details');
-              lastError = { status: response.status, statusText: response.statusText, body: errorText };
-              console.warn(`[RecordingService] ⚠️ Failed to notify main backend (attempt ${attempt}/${3}): ${response.status} ${response.statusText}`);
-              console.warn(`[RecordingService] Error details:`, errorText);
-              
-              // If it's a 404, the route doesn't exist - don't retry
-              if (response.status === 404) {
-                console.error(`[RecordingService] ❌ Route not found. Ensure the backend is deployed with the latest code including /api/v1/webhooks/recording-complete route.`);
-                break;
-              }
-              
-              // Wait before retrying (exponential backoff)
-              if (attempt < 3) {
-                const delay = Math.min(1000 * Math.pow(2, attempt - 1), 5000); // 1s, 2s, 4s max
-                console.log(`[RecordingService] Retrying in ${delay}ms...`);
-                await new Promise(resolve => setTimeout(resolve, delay));
-              }
-            }
-          } catch (webhookError) {
-            lastError = webhookError;
-            console.error(`[RecordingService] Error notifying main backend (attempt ${attempt}/${3}):`, webhookError.message || webhookError);
-            
-            // Wait before retrying (exponential backoff)
-            if (attempt < 3) {
-              const delay = Math.min(1000 * Math.pow(2, attempt - 1), 5000); // 1s, 2s, 4s max
-              console.log(`[RecordingService] Retrying in ${delay}ms...`);
-              await new Promise(resolve => setTimeout(resolve, delay));
-            }
-          }
-        }
-        
-        if (lastError) {
-          console.error(`[RecordingService] ❌ Failed to notify main backend after 3 attempts. Last error:`, lastError);
-        }
       }
+      await this.notifyRecordingComplete(savedRecording.id, {
+        roomName: session.sessionId, // roomName is the sessionId
+        recordingUrl: fileUrl,
+        fileName: fileName,
+        duration: duration,
+        ...(isFailed ? { status: 'COMPLETED' } : {}), // Mark as completed since file exists
+      });
     } catch (error) {
       console.error(`[RecordingService] Error handling recording completion:`, error);
       console.error(`[RecordingService] Error stack:`, error.stack);
     }
   }
 
+  /**
+   * Handle completion of one track egress of a multitrack recording
+   * @param {Object} recording
+   * @param {string} egressId
+   * @param {Object} egressInfo
+   * @param {string} status - Normalized egress status
+   * @param {boolean} isFailed
+   */
+  async handleTrackRecordingComplete(recording, egressId, egressInfo, status, isFailed) {
+    const track = recording.tracks.find(t => t.egressId === egressId);
+    if (track.endedAt) {
+      console.log(`[RecordingService] Track egress ${egressId} already handled, ignoring duplicate completion`);
+      return;
+    }
+
+    // A failed egress only has a file if LiveKit reported one
+    const storage = storageService.forRecording(recording);
+    const fileName = this.extractFileName(egressInfo, storage) || (isFailed ? null : track.fileName);
+    const fileUrl = fileName ? this.buildFileUrl(fileName, egressInfo, storage) : null;
+
+    await recordingStorage.updateTrack(recording.id, egressId, {
+      status: isFailed ? 'failed' : 'complete',
+      egressStatus: status,
+      fileName: fileName || track.fileName,
+      fileUrl,
+      size: this.extractFileSize(egressInfo),
+      error: isFailed ? (egressInfo.error || egressInfo.errorReason || 'Unknown error') : null,
+      endedAt: new Date(),
+    });
+
+    console.log(`[RecordingService] Track egress ${egressId} (${track.participantIdentity}) finished with ${status}: ${fileUrl || 'no file'}`);
+
+    await this.finalizeMultitrackRecording(recording.id);
+  }
+
+  /**
+   * Complete a multitrack recording once it has been stopped and all of its track egresses have finished
+   * @param {string} recordingId
+   * @returns {Promise<Object|null>} Completed recording, or null if not ready yet
+   */
+  async finalizeMultitrackRecording(recordingId) {
+    const recording = await recordingStorage.getRecording(recordingId);
+
+    // Still recording (more tracks may be published) or already finalized
+    if (!recording || recording.status !== 'ending') {
+      return null;
+    }
+
+    const pending = recording.tracks.filter(t => !t.endedAt);
+    if (pending.length > 0) {
+      console.log(`[RecordingService] Multitrack recording ${recordingId} waiting for ${pending.length} track egress(es)`);
+      return null;
+    }
+
+    const startedAt = new Date(Math.min(...recording.tracks.map(t => new Date(t.startedAt).getTime())));
+    const endedAt = new Date(Math.max(...recording.tracks.map(t => new Date(t.endedAt).getTime())));
+    const duration = Math.floor((endedAt - startedAt) / 1000);
+
+    for (const track of recording.tracks) {
+      track.offset = (new Date(track.startedAt) - startedAt) / 1000; // Seconds from the start of the recording
+    }
+    const completedTracks = recording.tracks.filter(t => t.fileUrl);
+
+    // No await before this update, so a concurrent completion sees the final status
+    const savedRecording = await recordingStorage.updateRecording(recordingId, {
+      status: completedTracks.length > 0 ? 'complete' : 'failed',
+      error: completedTracks.length > 0 ? null : 'No track produced a file',
+      startedAt,
+      endedAt,
+      duration,
+      size: completedTracks.reduce((total, t) => total + (t.size || 0), 0) || null,
+    });
+
+    console.log(`[RecordingService] ✅ Multitrack recording ${savedRecording.id} saved with ${completedTracks.length}/${recording.tracks.length} track file(s)`);
+    await this.publishRecordingState(recording.sessionId);
+
+    if (completedTracks.length === 0) {
+      console.warn(`[RecordingService] ⚠️ No track files - skipping webhook notification`);
+      this.publishRecordingFailed(savedRecording);
+      return savedRecording;
+    }
+
+    await this.queueBackgroundJobs(savedRecording.id);
+
+    await this.notifyRecordingComplete(savedRecording.id, {
+      roomName: recording.sessionId,
+      recordingId: savedRecording.id,
+      mode: 'multitrack',
+      // First track for backends that only understand a single file
+      recordingUrl: completedTracks[0].fileUrl,
+      fileName: completedTracks[0].fileName,
+      duration,
+      tracks: completedTracks.map(t => ({
+        participantIdentity: t.participantIdentity,
+        recordingUrl: t.fileUrl,
+        fileName: t.fileName,
+        offset: t.offset,
+      })),
+    });
+
+    return savedRecording;
+  }
+
+  /**
+   * Handle completion of one segment egress of a paused-and-resumed recording
+   * @param {Object} recording
+   * @param {string} egressId
+   * @param {Object} egressInfo
+   * @param {string} status - Normalized egress status
+   * @param {boolean} isFailed
+   */
+  async handleSegmentComplete(recording, egressId, egressInfo, status, isFailed) {
+    const segment = recording.segments.find(s => s.egressId === egressId);
+    if (segment.endedAt) {
+      console.log(`[RecordingService] Segment egress ${egressId} already handled, ignoring duplicate completion`);
+      return;
+    }
+
+    const storage = storageService.forRecording(recording);
+    const fileName = this.extractFileName(egressInfo, storage) || (isFailed ? null : segment.fileName);
+    const fileUrl = fileName ? this.buildFileUrl(fileName, egressInfo, storage) : null;
+
+    await recordingStorage.updateSegment(recording.id, egressId, {
+      status: isFailed ? 'failed' : 'complete',
+      egressStatus: status,
+      fileName: fileName || segment.fileName,
+      fileUrl,
+      size: this.extractFileSize(egressInfo),
+      error: isFailed ? (egressInfo.error || egressInfo.errorReason || 'Unknown error') : null,
+      endedAt: new Date(),
+    });
+
+    console.log(`[RecordingService] Segment ${segment.index} of recording ${recording.id} finished with ${status}: ${fileUrl || 'no file'}`);
+
+    // The current segment ended without a pause or stop (e.g. the egress failed): end the recording
+    const current = await recordingStorage.getRecording(recording.id);
+    if (current.status === 'active' || current.status === 'starting') {
+      console.warn(`[RecordingService] ⚠️ Segment egress ${egressId} ended unexpectedly, ending recording ${recording.id}`);
+      await recordingStorage.updateRecording(recording.id, { status: 'ending' });
+      const session = sessionService.getSession(recording.sessionId);
+      if (session?.recordingEgressId === egressId) {
+        sessionService.clearRecording(session.sessionId);
+      }
+      await this.publishRecordingState(recording.sessionId);
+    }
+
+    await this.finalizeSegmentedRecording(recording.id);
+  }
+
+  /**
+   * Complete a paused-and-resumed recording once it has been stopped and all of its segments have finished
+   * Builds the segment manifest and, if enabled, concatenates the segments into one file
+   * @param {string} recordingId
+   * @returns {Promise<Object|null>} Completed recording, or null if not ready yet
+   */
+  async finalizeSegmentedRecording(recordingId) {
+    const recording = await recordingStorage.getRecording(recordingId);
+
+    // Still recording or paused (may be resumed) or already finalized
+    if (!recording || recording.status !== 'ending') {
+      return null;
+    }
+
+    const pending = recording.segments.filter(s => !s.endedAt);
+    if (pending.length > 0) {
+      console.log(`[RecordingService] Segmented recording ${recordingId} waiting for ${pending.length} segment egress(es)`);
+      return null;
+    }
+
+    // Offsets are positions in the stitched recording, which leaves out the pauses
+    let offset = 0;
+    const segments = [];
+    for (const segment of recording.segments.filter(s => s.fileUrl)) {
+      const duration = (new Date(segment.endedAt) - new Date(segment.startedAt)) / 1000;
+      segments.push({
+        index: segment.index,
+        fileName: segment.fileName,
+        recordingUrl: segment.fileUrl,
+        startedAt: segment.startedAt,
+        endedAt: segment.endedAt,
+        duration,
+        offset: Math.round(offset * 1000) / 1000,
+      });
+      offset += duration;
+    }
+    const duration = Math.floor(offset);
+    const manifest = {
+      recordingId,
+      sessionId: recording.sessionId,
+      duration,
+      segments,
+      pauses: recording.pauses,
+    };
+
+    // No await before this update, so a concurrent completion sees the final status
+    let savedRecording = await recordingStorage.updateRecording(recordingId, {
+      status: segments.length > 0 ? 'complete' : 'failed',
+      error: segments.length > 0 ? null : 'No segment produced a file',
+      endedAt: recording.segments[recording.segments.length - 1].endedAt,
+      duration,
+      manifest,
+      // First segment for consumers that only understand a single file, until stitched
+      r2FileName: segments[0]?.fileName || null,
+      r2FileUrl: segments[0]?.recordingUrl || null,
+      size: recording.segments.reduce((total, s) => total + (s.size || 0), 0) || null,
+    });
+
+    console.log(`[RecordingService] ✅ Segmented recording ${recordingId} saved with ${segments.length}/${recording.segments.length} segment file(s), ${duration}s recorded`);
+    await this.publishRecordingState(recording.sessionId);
+
+    if (segments.length === 0) {
+      console.warn(`[RecordingService] ⚠️ No segment files - skipping webhook notification`);
+      this.publishRecordingFailed(savedRecording);
+      return savedRecording;
+    }
+
+    let stitched = false;
+    if (config.recording.stitchSegments && segments.length > 1) {
+      try {
+        const file = await segmentStitcher.stitch(recording, segments);
+        savedRecording = await recordingStorage.updateRecording(recordingId, {
+          r2FileName: file.fileName,
+          r2FileUrl: file.fileUrl,
+          size: file.size,
+          stitched: true,
+        });
+        stitched = true;
+      } catch (error) {
+        // The manifest still lets the main backend assemble the recording
+        console.error(`[RecordingService] Failed to stitch segments of recording ${recordingId}:`, error.message);
+      }
+    }
+
+    await this.queueBackgroundJobs(recordingId);
+
+    await this.notifyRecordingComplete(recordingId, {
+      roomName: recording.sessionId,
+      recordingId,
+      mode: 'composite',
+      recordingUrl: savedRecording.r2FileUrl,
+      fileName: savedRecording.r2FileName,
+      duration,
+      stitched: stitched || segments.length === 1,
+      segments,
+      pauses: recording.pauses,
+    });
+
+    return savedRecording;
+  }
+
+  /**
+   * Handle egress started event (called from webhook)
+   * Moves the recording (or multitrack track) to the active state
+   * @param {Object} egressInfo
+   */
+  async handleEgressStarted(egressInfo) {
+    const recording = await recordingStorage.findByEgressId(egressInfo.egressId);
+    if (!recording) {
+      return;
+    }
+    const wasStarting = recording.status === 'starting';
+
+    if (recording.mode === 'multitrack') {
+      const track = recording.tracks.find(t => t.egressId === egressInfo.egressId);
+      if (track.status === 'starting') {
+        await recordingStorage.updateTrack(recording.id, track.egressId, { status: 'active' });
+      }
+      if (recording.status === 'starting') {
+        await recordingStorage.updateRecording(recording.id, { status: 'active' });
+      }
+    } else {
+      const segment = recording.segments?.find(s => s.egressId === egressInfo.egressId);
+      if (segment?.status === 'starting') {
+        await recordingStorage.updateSegment(recording.id, segment.egressId, { status: 'active' });
+      }
+      if (recording.status === 'starting') {
+        await recordingStorage.updateRecording(recording.id, { status: 'active' });
+      }
+    }
+
+    if (wasStarting) {
+      await this.publishRecordingState(recording.sessionId);
+    }
+  }
+
+  /**
+   * Replace the file URLs of a notification payload with presigned URLs
+   * Recordings are private, so the main backend gets URLs that expire (see SIGNED_URL_TTL_SECONDS)
+   * @param {Object} payload - Payload with fileName/recordingUrl, and optionally tracks[] or segments[]
+   * @param {Object} recording - Recording the files belong to
+   * @returns {Promise<Object>} Payload with signed URLs (unchanged if the storage is not configured)
+   */
+  async withSignedUrls(payload, recording) {
+    const storage = storageService.forRecording(recording);
+    if (!storage.isConfigured()) {
+      return payload;
+    }
+
+    // Providers that cannot sign (local storage) keep the stored URL
+    const sign = async (item) => item.fileName
+      ? { ...item, recordingUrl: (await storage.getSignedUrl(item.fileName)) || item.recordingUrl }
+      : item;
+
+    try {
+      const signed = await sign(payload);
+      if (payload.tracks) {
+        signed.tracks = await Promise.all(payload.tracks.map(sign));
+      }
+      if (payload.segments) {
+        signed.segments = await Promise.all(payload.segments.map(sign));
+      }
+      signed.urlExpiresAt = new Date(Date.now() + config.objectStorage.signedUrlTtlSeconds * 1000);
+      return signed;
+    } catch (error) {
+      console.error(`[RecordingService] Failed to sign recording URLs, sending stored URLs:`, error.message);
+      return payload;
+    }
+  }
+
+  /**
+   * Add the transcript (or why there is none) of a recording to a notification payload
+   * @param {Object} payload
+   * @param {Object} recording
+   * @returns {Object}
+   */
+  withTranscript(payload, recording) {
+    if (recording?.transcription?.status === 'complete') {
+      return { ...payload, transcript: recording.transcript };
+    }
+    if (recording?.transcription?.status === 'failed') {
+      return { ...payload, transcript: null, transcriptionError: recording.transcription.error };
+    }
+    return payload;
+  }
+
+  /**
+   * Publish recording.completed (delivered to the main backend and other subscribers)
+   * While the recording is being transcribed, the notification is stored and sent with the transcript
+   * @param {string} recordingId
+   * @param {Object} payload
+   * @returns {Promise<boolean>} Whether the notification was published now
+   */
+  async notifyRecordingComplete(recordingId, payload) {
+    const recording = await recordingStorage.getRecording(recordingId);
+    sessionEventService.publish(recording.sessionId, 'recording.completed', {
+      recordingId,
+      mode: recording.mode,
+      duration: recording.duration,
+      fileName: recording.r2FileName || payload.fileName || null,
+    });
+
+    if (['pending', 'processing'].includes(recording?.transcription?.status)) {
+      await recordingStorage.updateRecording(recordingId, { heldNotification: payload });
+      console.log(`[RecordingService] Holding notification for recording ${recordingId} until its transcript is ready`);
+      return false;
+    }
+
+    return this.publishRecordingCompleted(payload, recording);
+  }
+
+  /**
+   * Send the notification held for a recording's transcript
+   * @param {string} recordingId
+   * @returns {Promise<boolean>} Whether a notification was published
+   */
+  async sendHeldNotification(recordingId) {
+    const recording = await recordingStorage.getRecording(recordingId);
+    if (!recording?.heldNotification) {
+      return false;
+    }
+
+    const payload = recording.heldNotification;
+    await recordingStorage.updateRecording(recordingId, { heldNotification: null });
+    return this.publishRecordingCompleted(payload, recording);
+  }
+
+  /**
+   * Queue the recording.completed event with the transcript and presigned URLs
+   * The event goes to the session's callbackUrl if it has one, and carries its externalRef
+   * Deliveries are retried by outboundWebhookService, so the event is not lost if a subscriber is down
+   * @param {Object} payload
+   * @param {Object} recording
+   * @returns {Promise<boolean>}
+   */
+  async publishRecordingCompleted(payload, recording) {
+    const data = await this.withSignedUrls(this.withTranscript(payload, recording), recording);
+    console.log(`[RecordingService] Publishing recording.completed for room ${data.roomName}: ${data.recordingUrl}`);
+    outboundWebhookService.publish('recording.completed', data, {
+      sessionId: recording.sessionId,
+      context: { recordingId: recording.id },
+    });
+    return true;
+  }
+
+  /**
+   * Reconcile in-flight egresses after a server restart
+   * Matches active and ending egresses back to sessions by room name, re-arms completion
+   * polling and processes egresses that completed while the server was down
+   * @returns {Promise<void>}
+   */
+  async reconcileEgresses() {
+    console.log(`[RecordingService] Reconciling in-flight egresses...`);
+
+    let activeEgresses;
+    try {
+      // active: true returns starting, active and ending egresses
+      activeEgresses = await this.egressClient.listEgress({ active: true });
+    } catch (error) {
+      console.error(`[RecordingService] Could not list egresses for reconciliation:`, error.message);
+      return;
+    }
+
+    const activeIds = new Set(activeEgresses.map(e => e.egressId));
+    console.log(`[RecordingService] Found ${activeEgresses.length} in-flight egress(es)`);
+
+    for (const egress of activeEgresses) {
+      try {
+        await this.reconcileActiveEgress(egress);
+      } catch (error) {
+        console.error(`[RecordingService] Error reconciling egress ${egress.egressId}:`, error);
+      }
+    }
+
+    // Recordings that were in flight when the server stopped but whose egresses are no longer active
+    const unfinished = (await recordingStorage.getAllRecordings()).filter(r => !recordingStorage.isFinalStatus(r.status));
+    for (const recording of unfinished) {
+      try {
+        await this.reconcileRecording(recording, activeIds);
+      } catch (error) {
+        console.error(`[RecordingService] Error reconciling recording ${recording.id}:`, error);
+      }
+    }
+
+    console.log(`[RecordingService] ✅ Egress reconciliation finished`);
+  }
+
+  /**
+   * Re-attach an in-flight egress to its session and recording
+   * Egresses of rooms this service knows nothing about (other deployments sharing the
+   * LiveKit project) are left alone
+   * @param {Object} egress - EgressInfo
+   */
+  async reconcileActiveEgress(egress) {
+    const status = this.normalizeStatus(egress.status);
+
+    let recording = await recordingStorage.findByEgressId(egress.egressId);
+    if (!recording && !sessionService.getSession(egress.roomName)) {
+      console.log(`[RecordingService] Skipping egress ${egress.egressId} of room ${egress.roomName}: no session or recording of this service`);
+      return;
+    }
+
+    // Match back to the session by room name (sessionId = roomName)
+    let session = sessionService.createOrGetSession(recording?.sessionId || egress.roomName);
+    if (!session) {
+      console.log(`[RecordingService] Skipping egress ${egress.egressId}: session ${recording.sessionId} is archived`);
+      return;
+    }
+    if (!recording) {
+      recording = await this.adoptEgress(session, egress);
+      session = sessionService.getSession(session.sessionId);
+    }
+
+    console.log(`[RecordingService] Egress ${egress.egressId} (${status}) belongs to recording ${recording.id} in session ${session.sessionId}`);
+
+    if (status === 'EGRESS_ENDING' || recording.status === 'ending') {
+      // Stop was requested before the restart: wait for the file to be uploaded
+      this.startPollingForCompletion(egress.egressId);
+      return;
+    }
+
+    if (!session.isRecording) {
+      sessionService.updateSession(session.sessionId, {
+        isRecording: true,
+        // The egress of the current segment, if the recording was paused and resumed
+        recordingEgressId: recording.segments?.length > 0 ? egress.egressId : recording.egressId,
+        recordingStartedAt: recording.startedAt,
+        recordingMode: recording.mode,
+        recordingId: recording.id,
+      });
+      console.log(`[RecordingService] Restored recording state of session ${session.sessionId}`);
+    }
+  }
+
+  /**
+   * Create recording metadata for an egress that is unknown to recordingStorage
+   * (e.g. the in-memory store was lost on restart)
+   * @param {Object} session
+   * @param {Object} egress - EgressInfo
+   * @returns {Promise<Object>} Recording the egress was added to
+   */
+  async adoptEgress(session, egress) {
+    const storageTenant = session.storageTenant || null;
+    const fileName = this.extractFileName(egress, storageService.getProvider(storageTenant));
+    // startedAt is in nanoseconds (bigint from the SDK) and 0 while the egress is still starting
+    const startedAtMs = egress.startedAt ? Number(BigInt(egress.startedAt) / 1000000n) : 0;
+    const startedAt = startedAtMs > 0 ? new Date(startedAtMs) : new Date();
+    const isTrackEgress = egress.request?.case === 'trackComposite' || !!egress.trackComposite;
+
+    if (!isTrackEgress) {
+      const recording = await recordingStorage.createRecording({
+        sessionId: session.sessionId,
+        mode: 'composite',
+        egressType: 'room_composite',
+        egressId: egress.egressId,
+        r2FileName: fileName,
+        storageTenant,
+        status: this.toRecordingStatus(egress.status),
+        startedAt,
+      });
+      sessionService.updateSession(session.sessionId, { recordingId: recording.id, recordingEgressId: egress.egressId });
+      return recording;
+    }
+
+    // Track egresses of the same room are grouped into one multitrack recording
+    let recording = session.recordingId ? await recordingStorage.getRecording(session.recordingId) : null;
+    if (!recording || recording.mode !== 'multitrack' || recordingStorage.isFinalStatus(recording.status)) {
+      recording = await recordingStorage.createRecording({
+        sessionId: session.sessionId,
+        mode: 'multitrack',
+        egressType: 'track_composite',
+        egressId: egress.egressId,
+        storageTenant,
+        status: 'active',
+        startedAt,
+      });
+      sessionService.updateSession(session.sessionId, { recordingId: recording.id, recordingEgressId: egress.egressId });
+    }
+
+    // File names are <identity>-<trackId>.<extension>
+    const trackId = egress.request?.value?.audioTrackId || egress.trackComposite?.audioTrackId || null;
+    const baseName = fileName ? fileName.split('/').pop() : '';
+    const participantIdentity = trackId && baseName.includes(`-${trackId}`)
+      ? baseName.slice(0, baseName.indexOf(`-${trackId}`))
+      : 'unknown';
+
+    await recordingStorage.addTrack(recording.id, {
+      egressId: egress.egressId,
+      participantIdentity,
+      trackId,
+      fileName,
+      status: this.toRecordingStatus(egress.status),
+      startedAt,
+    });
+    return recording;
+  }
+
+  /**
+   * Process a recording whose egresses finished while the server was down
+   * @param {Object} recording
+   * @param {Set<string>} activeIds - Egress IDs that are still in flight
+   */
+  async reconcileRecording(recording, activeIds) {
+    const egressIds = recording.mode === 'multitrack'
+      ? recording.tracks.filter(t => !t.endedAt).map(t => t.egressId)
+      : recording.segments?.length > 0
+        ? recording.segments.filter(s => !s.endedAt).map(s => s.egressId)
+        : [recording.egressId];
+    const finishedIds = egressIds.filter(egressId => egressId && !activeIds.has(egressId));
+
+    if (recording.mode === 'multitrack' && finishedIds.length === egressIds.length && recording.status !== 'ending') {
+      // Every track egress is gone, so the recording ended while the server was down
+      await recordingStorage.updateRecording(recording.id, { status: 'ending' });
+      const session = sessionService.getSession(recording.sessionId);
+      if (session && session.recordingId === recording.id && session.isRecording) {
+        sessionService.clearRecording(session.sessionId);
+      }
+    }
+
+    for (const egressId of finishedIds) {
+      const [egress] = await this.egressClient.listEgress({ egressId });
+      console.log(`[RecordingService] Egress ${egressId} of recording ${recording.id} finished while the server was down`);
+      await this.handleRecordingComplete(egressId, egress || {
+        egressId,
+        roomName: recording.sessionId,
+        status: 'EGRESS_FAILED',
+        error: 'Egress not found after server restart',
+      });
+    }
+
+    if (recording.mode === 'multitrack') {
+      // Covers a restart between the last track completion and finalization
+      await this.finalizeMultitrackRecording(recording.id);
+    } else if (recording.segments?.length > 0) {
+      await this.finalizeSegmentedRecording(recording.id);
+    }
+  }
+
   /**
    * Poll for recording completion (fallback if webhook doesn't arrive)
    * @param {string} egressId
@@ -755,7 +1753,7 @@ class RecordingService {
       pollCount++;
       
       try {
-        const egressList = await this.egressClient.listEgress([egressId]);
+        const egressList = await this.egressClient.listEgress({ egressId });
         if (egressList.length === 0) {
           console.warn(`[RecordingService] Egress ${egressId} not found during polling`);
           clearInterval(pollIntervalId);
@@ -1,42 +1,230 @@
 // Recording Metadata Storage
-// In-memory storage (can be replaced with database)
+// Recordings are kept in a pluggable store (in-memory, JSON file or SQLite, see STORAGE_DRIVER)
+
+const { createStore } = require('./stores');
+
+// Recording lifecycle: starting -> active (<-> paused) -> ending -> complete | failed
+const RECORDING_STATUSES = ['starting', 'active', 'paused', 'ending', 'complete', 'failed'];
 
 class RecordingStorage {
   constructor() {
-    // In-memory storage for recordings
-    // In production, replace with a proper database (PostgreSQL, MongoDB, etc.)
-    this.recordings = new Map();
+    this.store = createStore('recordings');
   }
 
   /**
-   * Save recording metadata
+   * Check if a status is a valid recording status
+   * @param {string} status
+   * @returns {boolean}
+   */
+  isValidStatus(status) {
+    return RECORDING_STATUSES.includes(status);
+  }
+
+  /**
+   * Check if a recording status is final
+   * @param {string} status
+   * @returns {boolean}
+   */
+  isFinalStatus(status) {
+    return status === 'complete' || status === 'failed';
+  }
+
+  /**
+   * Create a recording entry when an egress is started
    * @param {Object} recordingData
-   * @returns {Promise<Object>} Saved recording
+   * @param {string} recordingData.id - Recording ID
+   * @param {string} recordingData.sessionId
+   * @param {string} recordingData.mode - 'composite' or 'multitrack'
+   * @param {string} recordingData.egressType - 'room_composite' or 'track_composite'
+   * @param {string} recordingData.egressId - Egress ID (first track egress for multitrack)
+   * @param {string} recordingData.r2FileName - Object key of the file (composite only)
+   * @param {string} recordingData.codec - Audio codec of the file(s)
+   * @returns {Promise<Object>} Created recording
    */
-  async saveRecording(recordingData) {
+  async createRecording(recordingData) {
+    const now = new Date();
     const recording = {
-      id: recordingData.sessionId + '-' + Date.now(),
+      id: recordingData.id || recordingData.sessionId + '-' + Date.now(),
       sessionId: recordingData.sessionId,
-      startedAt: recordingData.startedAt,
-      endedAt: recordingData.endedAt,
-      duration: recordingData.duration, // in seconds
-      r2FileUrl: recordingData.r2FileUrl,
-      egressId: recordingData.egressId,
-      createdAt: new Date(),
+      status: recordingData.status || 'starting',
+      mode: recordingData.mode || 'composite',
+      egressType: recordingData.egressType || null,
+      egressId: recordingData.egressId || null,
+      startedAt: recordingData.startedAt || now,
+      endedAt: null,
+      duration: null, // in seconds
+      r2FileName: recordingData.r2FileName || null,
+      r2FileUrl: null,
+      size: null, // in bytes
+      codec: recordingData.codec || null,
+      preset: recordingData.preset || null, // Encoding preset name, see encodingPresets
+      encoding: recordingData.encoding || null, // { codec, bitrate, sampleRate, channels }
+      storageTenant: recordingData.storageTenant || null, // Tenant whose storage holds the files, see storageService
+      tracks: [], // Per-participant files (multitrack mode)
+      segments: [], // Ordered files between pauses (composite mode, once paused)
+      pauses: [], // { pausedAt, resumedAt }
+      manifest: null, // How the segments make up the recording, set when it completes
+      markers: [], // { id, label, author, at, offset }, see markerService
+      renditions: [], // Derived files (transcoded, normalized), see postProcessingService
+      postProcessing: null, // { status, startedAt, completedAt, error }
+      waveforms: [], // Peak data per audio file, see waveformService
+      waveformGeneration: null, // { status, startedAt, completedAt, error }
+      transcript: null, // { provider, language, segments: [{ start, end, speaker, text }] }
+      transcription: null, // { status, startedAt, completedAt, error }
+      heldNotification: null, // Main backend notification waiting for the transcript
+      error: null,
+      createdAt: now,
+      updatedAt: now,
     };
 
-    this.recordings.set(recording.id, recording);
-    console.log(`[RecordingStorage] Saved recording: ${recording.id}`);
+    this.store.set(recording.id, recording);
+    console.log(`[RecordingStorage] Created recording: ${recording.id} (${recording.mode})`);
+    return recording;
+  }
+
+  /**
+   * Update recording fields
+   * @param {string} recordingId
+   * @param {Object} changes
+   * @returns {Promise<Object|null>} Updated recording
+   */
+  async updateRecording(recordingId, changes) {
+    const recording = this.store.get(recordingId);
+    if (!recording) {
+      console.warn(`[RecordingStorage] Recording ${recordingId} not found when updating`);
+      return null;
+    }
+
+    Object.assign(recording, changes, { updatedAt: new Date() });
+    this.store.set(recordingId, recording);
     return recording;
   }
 
+  /**
+   * Add a per-participant track to a multitrack recording
+   * @param {string} recordingId
+   * @param {Object} track - { egressId, participantIdentity, trackId, fileName, startedAt }
+   * @returns {Promise<Object|null>} Updated recording
+   */
+  async addTrack(recordingId, track) {
+    const recording = this.store.get(recordingId);
+    if (!recording) {
+      throw new Error(`Recording ${recordingId} not found`);
+    }
+
+    recording.tracks.push({
+      status: 'starting',
+      fileUrl: null,
+      size: null,
+      error: null,
+      endedAt: null,
+      ...track,
+    });
+    return this.updateRecording(recordingId, {});
+  }
+
+  /**
+   * Update a track of a multitrack recording
+   * @param {string} recordingId
+   * @param {string} egressId - Egress ID of the track
+   * @param {Object} changes
+   * @returns {Promise<Object|null>} Updated track
+   */
+  async updateTrack(recordingId, egressId, changes) {
+    const recording = this.store.get(recordingId);
+    const track = recording?.tracks.find(t => t.egressId === egressId);
+    if (!track) {
+      return null;
+    }
+
+    Object.assign(track, changes);
+    await this.updateRecording(recordingId, {});
+    return track;
+  }
+
+  /**
+   * Add a segment to a paused-and-resumed composite recording
+   * @param {string} recordingId
+   * @param {Object} segment - { index, egressId, fileName, startedAt }
+   * @returns {Promise<Object|null>} Updated recording
+   */
+  async addSegment(recordingId, segment) {
+    const recording = this.store.get(recordingId);
+    if (!recording) {
+      throw new Error(`Recording ${recordingId} not found`);
+    }
+
+    recording.segments = [...(recording.segments || []), {
+      status: 'starting',
+      fileUrl: null,
+      size: null,
+      error: null,
+      endedAt: null,
+      ...segment,
+    }];
+    return this.updateRecording(recordingId, {});
+  }
+
+  /**
+   * Update a segment of a composite recording
+   * @param {string} recordingId
+   * @param {string} egressId - Egress ID of the segment
+   * @param {Object} changes
+   * @returns {Promise<Object|null>} Updated segment
+   */
+  async updateSegment(recordingId, egressId, changes) {
+    const recording = this.store.get(recordingId);
+    const segment = recording?.segments?.find(s => s.egressId === egressId);
+    if (!segment) {
+      return null;
+    }
+
+    Object.assign(segment, changes);
+    await this.updateRecording(recordingId, {});
+    return segment;
+  }
+
+  /**
+   * Save recording metadata
+   * Updates the recording if it already exists, creates it otherwise
+   * @param {Object} recordingData
+   * @returns {Promise<Object>} Saved recording
+   */
+  async saveRecording(recordingData) {
+    const { id, ...changes } = recordingData;
+    let recording = id ? this.store.get(id) : null;
+    if (!recording) {
+      recording = await this.createRecording(recordingData);
+    }
+
+    recording = await this.updateRecording(recording.id, changes);
+    console.log(`[RecordingStorage] Saved recording: ${recording.id} (${recording.status})`);
+    return recording;
+  }
+
+  /**
+   * Find the recording an egress belongs to
+   * Matches the recording's egress or any of its track or segment egresses
+   * @param {string} egressId
+   * @returns {Promise<Object|null>}
+   */
+  async findByEgressId(egressId) {
+    return this.store.values().find(r =>
+      r.egressId === egressId ||
+      r.tracks.some(t => t.egressId === egressId) ||
+      (r.segments || []).some(s => s.egressId === egressId)
+    ) || null;
+  }
+
   /**
    * Get recording by session ID
    * @param {string} sessionId
+   * @param {Object} filter
+   * @param {string} [filter.status] - Only recordings with this status
    * @returns {Promise<Array>} Array of recordings for the session
    */
-  async getRecordingsBySession(sessionId) {
-    const allRecordings = Array.from(this.recordings.values());
+  async getRecordingsBySession(sessionId, { status } = {}) {
+    const allRecordings = await this.getAllRecordings({ status });
     return allRecordings.filter(r => r.sessionId === sessionId);
   }
 
@@ -46,15 +234,18 @@ class RecordingStorage {
    * @returns {Promise<Object|null>}
    */
   async getRecording(recordingId) {
-    return this.recordings.get(recordingId) || null;
+    return this.store.get(recordingId);
   }
 
   /**
    * Get all recordings
+   * @param {Object} filter
+   * @param {string} [filter.status] - Only recordings with this status
    * @returns {Promise<Array>}
    */
-  async getAllRecordings() {
-    return Array.from(this.recordings.values());
+  async getAllRecordings({ status } = {}) {
+    const allRecordings = this.store.values();
+    return status ? allRecordings.filter(r => r.status === status) : allRecordings;
   }
 
   /**
@@ -62,7 +253,7 @@ class RecordingStorage {
    * @param {string} recordingId
    */
   async deleteRecording(recordingId) {
-    this.recordings.delete(recordingId);
+    this.store.delete(recordingId);
     console.log(`[RecordingStorage] Deleted recording: ${recordingId}`);
   }
 }
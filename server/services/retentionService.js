@@ -0,0 +1,177 @@
+// Retention Service - Deletes old recordings and their stored files on a schedule
+// Rules (see config.retention, each one optional):
+//   maxAgeDays: delete recordings that ended more than this many days ago
+//   keepLastPerSession: keep only the newest K recordings of each session
+// Only finished (complete or failed) recordings are ever deleted.
+
+const config = require('../config');
+const recordingStorage = require('./recordingStorage');
+const recordingService = require('./recordingService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class RetentionService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Validate retention rules
+   * @param {Object} rules - { maxAgeDays, keepLastPerSession }
+   * @returns {string|null} Error message, or null if the rules are valid
+   */
+  validateRules({ maxAgeDays, keepLastPerSession } = {}) {
+    if (maxAgeDays !== undefined && maxAgeDays !== null &&
+        (typeof maxAgeDays !== 'number' || !(maxAgeDays >= 0))) {
+      return 'maxAgeDays must be a non-negative number of days';
+    }
+    if (keepLastPerSession !== undefined && keepLastPerSession !== null &&
+        (!Number.isInteger(keepLastPerSession) || keepLastPerSession < 0)) {
+      return 'keepLastPerSession must be a non-negative integer';
+    }
+    return null;
+  }
+
+  /**
+   * Get the configured rules, overridden by the given ones
+   * @param {Object} overrides - { maxAgeDays, keepLastPerSession }
+   * @returns {Object} { maxAgeDays, keepLastPerSession }
+   */
+  resolveRules(overrides = {}) {
+    return {
+      maxAgeDays: overrides.maxAgeDays ?? config.retention.maxAgeDays,
+      keepLastPerSession: overrides.keepLastPerSession ?? config.retention.keepLastPerSession,
+    };
+  }
+
+  /**
+   * Find the recordings the rules would delete
+   * @param {Object} rules - { maxAgeDays, keepLastPerSession }
+   * @param {Date} now
+   * @returns {Promise<Object>} { checked, matched: [{ recording, reason }] }
+   */
+  async findExpired({ maxAgeDays, keepLastPerSession }, now = new Date()) {
+    const recordings = (await recordingStorage.getAllRecordings())
+      .filter(r => recordingStorage.isFinalStatus(r.status));
+    const matched = new Map(); // recordingId -> { recording, reason }
+
+    if (typeof maxAgeDays === 'number') {
+      const cutoff = now.getTime() - maxAgeDays * DAY_MS;
+      for (const recording of recordings) {
+        const endedAt = new Date(recording.endedAt || recording.createdAt).getTime();
+        if (endedAt < cutoff) {
+          matched.set(recording.id, { recording, reason: `older than ${maxAgeDays} day(s)` });
+        }
+      }
+    }
+
+    if (Number.isInteger(keepLastPerSession)) {
+      const bySession = new Map();
+      for (const recording of recordings) {
+        bySession.set(recording.sessionId, [...(bySession.get(recording.sessionId) || []), recording]);
+      }
+
+      for (const sessionRecordings of bySession.values()) {
+        sessionRecordings
+          .sort((a, b) => new Date(b.startedAt) - new Date(a.startedAt))
+          .slice(keepLastPerSession)
+          .filter(recording => !matched.has(recording.id))
+          .forEach(recording => matched.set(recording.id, {
+            recording,
+            reason: `more than ${keepLastPerSession} recording(s) in session`,
+          }));
+      }
+    }
+
+    return { checked: recordings.length, matched: [...matched.values()] };
+  }
+
+  /**
+   * Apply the retention rules once
+   * @param {Object} options
+   * @param {boolean} [options.dryRun] - Only report what would be deleted (default: config.retention.dryRun)
+   * @param {number} [options.maxAgeDays] - Overrides the configured rule
+   * @param {number} [options.keepLastPerSession] - Overrides the configured rule
+   * @returns {Promise<Object>} Report { dryRun, rules, checked, matched, deleted, errors }
+   */
+  async run({ dryRun = config.retention.dryRun, ...overrides } = {}) {
+    const rules = this.resolveRules(overrides);
+    const { checked, matched } = await this.findExpired(rules);
+
+    const report = {
+      dryRun,
+      rules,
+      ranAt: new Date(),
+      checked,
+      matched: matched.map(({ recording, reason }) => ({
+        recordingId: recording.id,
+        sessionId: recording.sessionId,
+        status: recording.status,
+        endedAt: recording.endedAt,
+        reason,
+        files: recordingService.getRecordingFiles(recording),
+      })),
+      deleted: [],
+      errors: [],
+    };
+
+    if (!dryRun) {
+      for (const { recordingId } of report.matched) {
+        try {
+          await recordingService.deleteRecording(recordingId);
+          report.deleted.push(recordingId);
+        } catch (error) {
+          console.error(`[RetentionService] Failed to delete recording ${recordingId}:`, error.message);
+          report.errors.push({ recordingId, error: error.message });
+        }
+      }
+    }
+
+    console.log(`[RetentionService] ${dryRun ? 'Dry run: ' : ''}${report.matched.length} of ${checked} recording(s) matched, ${report.deleted.length} deleted, ${report.errors.length} error(s)`);
+    return report;
+  }
+
+  /**
+   * Run the retention rules periodically if enabled
+   */
+  start() {
+    const { enabled, maxAgeDays, keepLastPerSession, intervalMinutes } = config.retention;
+    if (!enabled || this.timer) {
+      return;
+    }
+    if (maxAgeDays === null && keepLastPerSession === null) {
+      console.warn('⚠️  Recording retention is enabled but no rule is configured');
+      return;
+    }
+
+    const tick = async () => {
+      if (this.running) {
+        return;
+      }
+      this.running = true;
+      try {
+        await this.run();
+      } catch (error) {
+        console.error('[RetentionService] Retention run failed:', error);
+      } finally {
+        this.running = false;
+      }
+    };
+
+    this.timer = setInterval(tick, intervalMinutes * 60 * 1000);
+    this.timer.unref();
+    console.log(`[RetentionService] Applying retention rules every ${intervalMinutes} minute(s)`);
+    tick();
+  }
+
+  /**
+   * Stop the periodic retention runs
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = new RetentionService();
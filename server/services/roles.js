@@ -0,0 +1,67 @@
+// Participant Roles
+// Each role maps to the LiveKit VideoGrant its access token is issued with
+
+const ROLES = ['host', 'cohost', 'speaker', 'listener'];
+
+// Roles a participant may pick when joining; the other roles require a signed invite
+// (or DEFAULT_PARTICIPANT_ROLE), so listeners cannot make themselves speakers of a panel
+const SELF_SELECTABLE_ROLES = ['listener'];
+
+// Roles allowed to moderate other participants
+const MODERATOR_ROLES = ['host', 'cohost'];
+
+const ROLE_GRANTS = {
+  host: {
+    canPublish: true,
+    canSubscribe: true,
+    canPublishData: true,
+    canUpdateOwnMetadata: true,
+    roomAdmin: true,
+    roomRecord: true,
+  },
+  cohost: {
+    canPublish: true,
+    canSubscribe: true,
+    canPublishData: true,
+    canUpdateOwnMetadata: true,
+  },
+  speaker: {
+    canPublish: true,
+    canSubscribe: true,
+    canPublishData: true,
+  },
+  listener: {
+    canPublish: false, // Audience members can listen and chat but not speak
+    canSubscribe: true,
+    canPublishData: true,
+  },
+};
+
+/**
+ * Check if a role name is valid
+ * @param {string} role
+ * @returns {boolean}
+ */
+function isValidRole(role) {
+  return ROLES.includes(role);
+}
+
+/**
+ * Get the VideoGrant settings for a role (without the room)
+ * @param {string} role
+ * @returns {Object}
+ */
+function getRoleGrants(role) {
+  if (!isValidRole(role)) {
+    throw new Error(`Unknown role: ${role}`);
+  }
+  return { ...ROLE_GRANTS[role] };
+}
+
+module.exports = {
+  ROLES,
+  SELF_SELECTABLE_ROLES,
+  MODERATOR_ROLES,
+  isValidRole,
+  getRoleGrants,
+};
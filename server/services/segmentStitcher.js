@@ -0,0 +1,60 @@
+// Segment Stitcher - Concatenates the segments of a paused-and-resumed recording with ffmpeg
+// Segments are downloaded from storage, joined without re-encoding and the result is uploaded next to them
+
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const config = require('../config');
+const storageService = require('./storageService');
+
+const execFileAsync = promisify(execFile);
+
+class SegmentStitcher {
+  /**
+   * Concatenate segment files into one file
+   * @param {Object} recording - Recording with sessionId and id
+   * @param {Array} segments - Ordered segments with fileName
+   * @returns {Promise<Object>} { fileName, fileUrl, size }
+   */
+  async stitch(recording, segments) {
+    const storage = storageService.forRecording(recording);
+    const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'stitch-'));
+    try {
+      const inputs = [];
+      for (const segment of segments) {
+        const inputPath = path.join(workDir, `segment-${segment.index}${path.extname(segment.fileName)}`);
+        await fs.writeFile(inputPath, await storage.getFile(segment.fileName));
+        inputs.push(inputPath);
+      }
+
+      // ffmpeg concat demuxer list (paths are generated, so no quoting issues)
+      const listPath = path.join(workDir, 'segments.txt');
+      await fs.writeFile(listPath, inputs.map(input => `file '${input}'`).join('\n'));
+
+      // Segments share the codec of the recording's preset: Ogg for Opus, M4A otherwise
+      const isOgg = segments.some(segment => segment.fileName.endsWith('.ogg'));
+      const extension = isOgg ? 'ogg' : 'm4a';
+      const outputPath = path.join(workDir, `stitched.${extension}`);
+      console.log(`[SegmentStitcher] Concatenating ${inputs.length} segment(s) of recording ${recording.id}`);
+      await execFileAsync(config.recording.ffmpegPath, [
+        '-hide_banner', '-loglevel', 'error',
+        '-f', 'concat', '-safe', '0', '-i', listPath,
+        '-c', 'copy', ...(isOgg ? [] : ['-movflags', '+faststart']),
+        outputPath,
+      ]);
+
+      const body = await fs.readFile(outputPath);
+      const fileName = `audios/${recording.sessionId}/${recording.id}/${recording.id}.${extension}`;
+      const fileUrl = await storage.uploadFile(fileName, body, isOgg ? 'audio/ogg' : 'audio/mp4');
+      console.log(`[SegmentStitcher] ✅ Uploaded stitched recording: ${fileName}`);
+
+      return { fileName, fileUrl, size: body.length };
+    } finally {
+      await fs.rm(workDir, { recursive: true, force: true });
+    }
+  }
+}
+
+module.exports = new SegmentStitcher();
@@ -0,0 +1,73 @@
+// Session Event Service - Pushes live session state to connected clients
+// GET /api/sessions/:sessionId/events subscribes to a session and streams its events as
+// Server-Sent Events. Events are not stored: a client that reconnects gets a fresh snapshot.
+//
+// Event types:
+//   participant.joined, participant.left  { identity, participantCount }
+//   participant.removed                   { identity } (ends the removed participant's own stream)
+//   room.started, room.finished           { at }
+//   creator.changed                       { creatorIdentity }
+//   session.ended                         { endedAt, endedBy, endReason }
+//   recording.status                      { status, isRecording, isPaused, recordingId, mode, startedAt, elapsedSeconds, lastError }
+//   recording.completed                   { recordingId, mode, duration, fileName }
+
+class SessionEventService {
+  constructor() {
+    this.listeners = new Map(); // sessionId -> Set of listener functions
+    this.nextEventId = 1;
+  }
+
+  /**
+   * Listen to the events of a session
+   * @param {string} sessionId
+   * @param {Function} listener - Called with { id, type, data }
+   * @returns {Function} Stops listening
+   */
+  subscribe(sessionId, listener) {
+    if (!this.listeners.has(sessionId)) {
+      this.listeners.set(sessionId, new Set());
+    }
+    this.listeners.get(sessionId).add(listener);
+
+    return () => {
+      const listeners = this.listeners.get(sessionId);
+      if (!listeners) {
+        return;
+      }
+      listeners.delete(listener);
+      if (listeners.size === 0) {
+        this.listeners.delete(sessionId);
+      }
+    };
+  }
+
+  /**
+   * Push an event to the listeners of a session
+   * @param {string} sessionId
+   * @param {string} type - Event type (see above)
+   * @param {Object} data
+   * @returns {Object} Event { id, type, data }
+   */
+  publish(sessionId, type, data) {
+    const event = { id: this.nextEventId++, type, data };
+    for (const listener of this.listeners.get(sessionId) || []) {
+      try {
+        listener(event);
+      } catch (error) {
+        console.error(`[SessionEventService] Listener of session ${sessionId} failed on ${type}:`, error);
+      }
+    }
+    return event;
+  }
+
+  /**
+   * Count the clients listening to a session
+   * @param {string} sessionId
+   * @returns {number}
+   */
+  getListenerCount(sessionId) {
+    return this.listeners.get(sessionId)?.size || 0;
+  }
+}
+
+module.exports = new SessionEventService();
@@ -1,11 +1,67 @@
 // Session Management Service
-// In-memory storage (can be replaced with database)
+// Sessions are kept in a pluggable store (in-memory, JSON file or SQLite, see STORAGE_DRIVER)
+// Status of a session (derived, see getStatus):
+//   scheduled: scheduledFor is in the future and nobody is in the room
+//   open:      can be joined, nobody is in the room
+//   live:      participants are in the room
+//   ended:     ended by a host, an admin or the sweeper (see sessionSweeperService)
+// Ended sessions are eventually moved to an archive store: they can no longer be joined,
+// but the recordings of their participants stay accessible.
+
+const { createStore } = require('./stores');
+const outboundWebhookService = require('./outboundWebhookService');
+
+const SESSION_STATUSES = ['scheduled', 'open', 'live', 'ended'];
 
 class SessionService {
   constructor() {
-    // In-memory storage for sessions
-    // In production, replace with a proper database (PostgreSQL, MongoDB, etc.)
-    this.sessions = new Map();
+    this.store = createStore('sessions');
+    this.archive = createStore('archivedSessions'); // sessionId -> ended session, with archivedAt
+  }
+
+  /**
+   * Persist a session after it has been changed
+   * @param {Object} session
+   * @returns {Object} Session object
+   */
+  saveSession(session) {
+    session.updatedAt = new Date(); // Last activity, see sessionSweeperService
+    return this.store.set(session.sessionId, session);
+  }
+
+  /**
+   * Check if a session status is valid
+   * @param {string} status
+   * @returns {boolean}
+   */
+  isValidStatus(status) {
+    return SESSION_STATUSES.includes(status);
+  }
+
+  /**
+   * Validate the schedule options of a new session
+   * @param {Object} options - { scheduledFor, ttlSeconds }
+   * @returns {string|null} Error message, or null if the options are valid
+   */
+  validateSchedule({ scheduledFor, ttlSeconds } = {}) {
+    if (scheduledFor !== undefined && scheduledFor !== null &&
+        (typeof scheduledFor !== 'string' || Number.isNaN(Date.parse(scheduledFor)))) {
+      return 'scheduledFor must be an ISO 8601 date';
+    }
+    if (ttlSeconds !== undefined && ttlSeconds !== null && (!Number.isInteger(ttlSeconds) || ttlSeconds < 0)) {
+      return 'ttlSeconds must be a non-negative integer (0: never expires)';
+    }
+    return null;
+  }
+
+  /**
+   * Compute when a session expires
+   * @param {number} ttlSeconds - 0 or null: never
+   * @param {Date} from - Creation or scheduled time
+   * @returns {Date|null}
+   */
+  computeExpiresAt(ttlSeconds, from) {
+    return ttlSeconds ? new Date(from.getTime() + ttlSeconds * 1000) : null;
   }
 
   /**
@@ -22,53 +78,173 @@ class SessionService {
   }
 
   /**
-   * Create a new session
-   * @param {string} creatorIdentity - The identity of the user creating the session
+   * Build the object of a new session (not saved)
+   * @param {string} sessionId
+   * @param {string} creatorIdentity
+   * @param {Object} options - See createSession
    * @returns {Object} Session object
    */
-  createSession(creatorIdentity = null) {
-    const sessionId = this.generateSessionId();
-    const session = {
+  buildSession(sessionId, creatorIdentity = null, {
+    autoRecord = null,
+    recordingPreset = null,
+    storageTenant = null,
+    callback = {},
+    scheduledFor = null,
+    ttlSeconds = null,
+  } = {}) {
+    const config = require('../config');
+    const createdAt = new Date();
+    return {
       sessionId,
       roomName: sessionId, // Use sessionId as room name
-      createdAt: new Date(),
+      createdAt,
       creatorIdentity: creatorIdentity, // Track who created the session
+      scheduledFor: scheduledFor, // Planned start, null if the session can start right away
+      expiresAt: this.computeExpiresAt(ttlSeconds ?? config.session.ttlSeconds, scheduledFor || createdAt), // null: never
       participants: [],
+      roles: {}, // identity -> role (host, cohost, speaker, listener)
+      mutedParticipants: [], // Identities muted by a moderator
+      removedParticipants: [], // Identities removed by a moderator (may not rejoin)
+      endedAt: null, // Set when a host, an admin or the sweeper ends the session
+      endedBy: null,
+      endReason: null, // 'host', 'admin', 'expired' or 'idle'
+      audioTracks: {}, // identity -> SIDs of the audio tracks they publish
+      tracks: {}, // identity -> tracks they publish: [{ sid, type, source, name, muted, publishedAt }]
+      ingresses: {}, // ingressId -> { participantIdentity, inputType, startedAt } of running ingresses
+      roomStartedAt: null, // When LiveKit opened the room (room_started)
+      roomFinishedAt: null, // When LiveKit closed the room (room_finished), null while it is open
+      autoRecord: autoRecord, // Auto-record policy, null for manual recording only
+      recordingPreset: recordingPreset, // Encoding preset name, null for the default preset
+      storageTenant: storageTenant, // null for the default storage
+      callbackUrl: callback.callbackUrl || null, // Gets recording notifications instead of MAIN_BACKEND_URL
+      callbackSecret: callback.callbackSecret || null, // Signs them (defaults to MAIN_BACKEND_WEBHOOK_SECRET)
+      externalRef: callback.externalRef || null, // Opaque object of the main backend, echoed in notifications
       isRecording: false,
+      isPaused: false, // Recording paused: no egress is running until it is resumed
       recordingEgressId: null,
       recordingStartedAt: null,
+      recordingMode: null, // 'composite' (mixed room) or 'multitrack' (one file per speaker)
+      recordingId: null, // Current (or most recent) recording in recordingStorage
     };
+  }
 
-    this.sessions.set(sessionId, session);
-    console.log(`[SessionService] Created session: ${sessionId} by ${creatorIdentity || 'unknown'}`);
+  /**
+   * Create a new session
+   * @param {string} creatorIdentity - The identity of the user creating the session
+   * @param {Object} options
+   * @param {Object} options.autoRecord - Auto-record policy (see autoRecordService)
+   * @param {string} options.recordingPreset - Encoding preset of the session's recordings (see encodingPresets)
+   * @param {string} options.storageTenant - Tenant whose storage the recordings go to (see storageService)
+   * @param {Object} options.callback - { callbackUrl, callbackSecret, externalRef } (see outboundWebhookService)
+   * @param {Date} options.scheduledFor - When the session is planned to start (optional)
+   * @param {number} options.ttlSeconds - Expiry, counted from scheduledFor or creation (default: SESSION_TTL_SECONDS, 0: never)
+   * @returns {Object} Session object
+   */
+  createSession(creatorIdentity = null, options = {}) {
+    const session = this.buildSession(this.generateSessionId(), creatorIdentity, options);
+    this.saveSession(session);
+    console.log(`[SessionService] Created session: ${session.sessionId} by ${creatorIdentity || 'unknown'}`);
+    this.publishSessionCreated(session);
     return session;
   }
 
   /**
    * Create or get a session with a specific ID
+   * Archived sessions are never re-created (late webhooks of their room would revive them)
    * @param {string} sessionId - The session ID to use
    * @param {string} creatorIdentity - Optional creator identity
-   * @returns {Object} Session object
+   * @param {Object} callback - { callbackUrl, callbackSecret, externalRef } of a new session
+   * @returns {Object|null} Session object, or null if the session is archived
    */
-  createOrGetSession(sessionId, creatorIdentity = null) {
+  createOrGetSession(sessionId, creatorIdentity = null, callback = {}) {
     let session = this.getSession(sessionId);
     if (!session) {
-      session = {
-        sessionId,
-        roomName: sessionId, // Use sessionId as room name
-        createdAt: new Date(),
-        creatorIdentity: creatorIdentity,
-        participants: [],
-        isRecording: false,
-        recordingEgressId: null,
-        recordingStartedAt: null,
-      };
-      this.sessions.set(sessionId, session);
+      if (this.getArchivedSession(sessionId)) {
+        return null;
+      }
+
+      session = this.buildSession(sessionId, creatorIdentity, { callback });
+      this.saveSession(session);
       console.log(`[SessionService] Created session with ID: ${sessionId}`);
+      this.publishSessionCreated(session);
     }
     return session;
   }
 
+  /**
+   * Set the callback options of a session (fields left undefined are kept)
+   * @param {string} sessionId
+   * @param {Object} callback - { callbackUrl, callbackSecret, externalRef }
+   * @returns {Object|null} Updated session, or null if not found
+   */
+  setCallback(sessionId, { callbackUrl, callbackSecret, externalRef } = {}) {
+    const changes = Object.fromEntries(
+      Object.entries({ callbackUrl, callbackSecret, externalRef })
+        .filter(([, value]) => value !== undefined)
+        .map(([key, value]) => [key, value || null])
+    );
+    if (Object.keys(changes).length === 0) {
+      return this.getSession(sessionId);
+    }
+
+    console.log(`[SessionService] Updated callback of session ${sessionId}`);
+    return this.updateSession(sessionId, changes);
+  }
+
+  /**
+   * Announce a new session to webhook subscribers
+   * @param {Object} session
+   */
+  publishSessionCreated(session) {
+    outboundWebhookService.publish('session.created', {
+      roomName: session.roomName,
+      creatorIdentity: session.creatorIdentity,
+      createdAt: session.createdAt,
+    }, { sessionId: session.sessionId });
+  }
+
+  /**
+   * Announce the end of a session to webhook subscribers
+   * @param {Object} session
+   */
+  publishSessionEnded(session) {
+    outboundWebhookService.publish('session.ended', {
+      roomName: session.roomName,
+      endedAt: session.endedAt,
+      endedBy: session.endedBy,
+      endReason: session.endReason,
+    }, { sessionId: session.sessionId });
+  }
+
+  /**
+   * Get the status of a session: scheduled, open, live or ended
+   * @param {Object} session
+   * @param {Date} now
+   * @returns {string}
+   */
+  getStatus(session, now = new Date()) {
+    if (session.endedAt) {
+      return 'ended';
+    }
+    if (session.participants.length > 0) {
+      return 'live';
+    }
+    if (session.scheduledFor && new Date(session.scheduledFor) > now) {
+      return 'scheduled';
+    }
+    return 'open';
+  }
+
+  /**
+   * Check if a session is past its expiry
+   * @param {Object} session
+   * @param {Date} now
+   * @returns {boolean}
+   */
+  isExpired(session, now = new Date()) {
+    return !!session.expiresAt && new Date(session.expiresAt) <= now;
+  }
+
   /**
    * Check if a user is the creator of a session
    * @param {string} sessionId
@@ -80,13 +256,88 @@ class SessionService {
     return session && session.creatorIdentity === identity;
   }
 
+  /**
+   * Get the role of a participant
+   * The creator is always a host. Archived sessions keep their roles
+   * @param {string} sessionId
+   * @param {string} identity
+   * @returns {string|null} Role, or null if the identity never joined
+   */
+  getRole(sessionId, identity) {
+    const session = this.getSessionRecord(sessionId);
+    if (!session || !identity) {
+      return null;
+    }
+    if (session.creatorIdentity === identity) {
+      return 'host';
+    }
+    return session.roles?.[identity] || null;
+  }
+
+  /**
+   * Set the role of a participant
+   * @param {string} sessionId
+   * @param {string} identity
+   * @param {string} role
+   */
+  setRole(sessionId, identity, role) {
+    const session = this.getSession(sessionId);
+    if (!session) {
+      throw new Error(`Session ${sessionId} not found`);
+    }
+
+    session.roles = { ...session.roles, [identity]: role };
+    this.saveSession(session);
+    console.log(`[SessionService] Set role of ${identity} in session ${sessionId} to ${role}`);
+  }
+
+  /**
+   * Check if an identity ever joined a session (got a token for it, or is in the room)
+   * @param {string} sessionId
+   * @param {string} identity
+   * @returns {boolean}
+   */
+  hasJoined(sessionId, identity) {
+    const session = this.getSession(sessionId);
+    return !!session && (session.participants.includes(identity) || Object.hasOwn(session.roles || {}, identity));
+  }
+
+  /**
+   * Check if a user is a host of a session (the creator or a participant with the host role)
+   * @param {string} sessionId
+   * @param {string} identity
+   * @returns {boolean}
+   */
+  isHost(sessionId, identity) {
+    return this.getRole(sessionId, identity) === 'host';
+  }
+
   /**
    * Get session by ID
    * @param {string} sessionId
    * @returns {Object|null} Session object or null if not found
    */
   getSession(sessionId) {
-    return this.sessions.get(sessionId) || null;
+    return this.store.get(sessionId);
+  }
+
+  /**
+   * Get an archived session by ID
+   * @param {string} sessionId
+   * @returns {Object|null} Session object or null if not found
+   */
+  getArchivedSession(sessionId) {
+    return this.archive.get(sessionId);
+  }
+
+  /**
+   * Get a session by ID, including archived ones
+   * For lookups that outlive the session, e.g. access to its recordings
+   * @param {string} sessionId
+   * @returns {Object|null} Session object or null if not found
+   */
+  getSessionRecord(sessionId) {
+    return this.getSession(sessionId) || this.getArchivedSession(sessionId);
   }
 
   /**
@@ -95,7 +346,7 @@ class SessionService {
    * @returns {boolean}
    */
   sessionExists(sessionId) {
-    return this.sessions.has(sessionId);
+    return this.store.has(sessionId);
   }
 
   /**
@@ -111,6 +362,7 @@ class SessionService {
 
     if (!session.participants.includes(participantIdentity)) {
       session.participants.push(participantIdentity);
+      this.saveSession(session);
       console.log(`[SessionService] Added participant ${participantIdentity} to session ${sessionId}`);
     }
 
@@ -130,11 +382,267 @@ class SessionService {
     }
 
     session.participants = session.participants.filter(p => p !== participantIdentity);
+    if (session.audioTracks) {
+      delete session.audioTracks[participantIdentity];
+    }
+    if (session.tracks) {
+      delete session.tracks[participantIdentity];
+    }
+    this.saveSession(session);
     console.log(`[SessionService] Removed participant ${participantIdentity} from session ${sessionId}`);
 
     return session;
   }
 
+  /**
+   * Record that a moderator muted or unmuted a participant
+   * @param {string} sessionId
+   * @param {string} participantIdentity
+   * @param {boolean} muted
+   */
+  setMuted(sessionId, participantIdentity, muted) {
+    const session = this.getSession(sessionId);
+    if (!session) {
+      throw new Error(`Session ${sessionId} not found`);
+    }
+
+    const others = (session.mutedParticipants || []).filter(p => p !== participantIdentity);
+    session.mutedParticipants = muted ? [...others, participantIdentity] : others;
+    this.saveSession(session);
+    console.log(`[SessionService] ${muted ? 'Muted' : 'Unmuted'} participant ${participantIdentity} in session ${sessionId}`);
+  }
+
+  /**
+   * Remove a participant on behalf of a moderator and keep them from rejoining
+   * @param {string} sessionId
+   * @param {string} participantIdentity
+   */
+  banParticipant(sessionId, participantIdentity) {
+    const session = this.removeParticipant(sessionId, participantIdentity);
+    if (!session) {
+      return;
+    }
+
+    const removed = session.removedParticipants || [];
+    if (!removed.includes(participantIdentity)) {
+      session.removedParticipants = [...removed, participantIdentity];
+      this.saveSession(session);
+    }
+  }
+
+  /**
+   * Check if a participant was removed from a session by a moderator
+   * @param {string} sessionId
+   * @param {string} participantIdentity
+   * @returns {boolean}
+   */
+  isRemoved(sessionId, participantIdentity) {
+    const session = this.getSessionRecord(sessionId);
+    return !!session?.removedParticipants?.includes(participantIdentity);
+  }
+
+  /**
+   * Mark a session as ended
+   * @param {string} sessionId
+   * @param {string} endedBy - Identity of the host who ended it
+   * @param {string} endReason - 'host', 'admin', 'expired' or 'idle'
+   * @returns {Object|null} Updated session
+   */
+  endSession(sessionId, endedBy = null, endReason = 'host') {
+    const session = this.getSession(sessionId);
+    if (!session) {
+      console.warn(`[SessionService] Session ${sessionId} not found when ending it`);
+      return null;
+    }
+
+    session.endedAt = new Date();
+    session.endedBy = endedBy;
+    session.endReason = endReason;
+    session.participants = [];
+    session.mutedParticipants = [];
+    session.audioTracks = {};
+    session.tracks = {};
+    session.ingresses = {};
+    this.saveSession(session);
+    console.log(`[SessionService] Ended session ${sessionId} (${endReason}${endedBy ? `, by ${endedBy}` : ''})`);
+    this.publishSessionEnded(session);
+    return session;
+  }
+
+  /**
+   * Track an audio track being published or unpublished by a participant
+   * @param {string} sessionId
+   * @param {string} participantIdentity
+   * @param {string} trackSid
+   * @param {boolean} published
+   */
+  setAudioTrack(sessionId, participantIdentity, trackSid, published) {
+    const session = this.getSession(sessionId);
+    if (!session) {
+      throw new Error(`Session ${sessionId} not found`);
+    }
+
+    const audioTracks = session.audioTracks || {};
+    const trackSids = (audioTracks[participantIdentity] || []).filter(sid => sid !== trackSid);
+    if (published) {
+      trackSids.push(trackSid);
+    }
+
+    if (trackSids.length > 0) {
+      audioTracks[participantIdentity] = trackSids;
+    } else {
+      delete audioTracks[participantIdentity];
+    }
+    session.audioTracks = audioTracks;
+    this.saveSession(session);
+  }
+
+  /**
+   * Track a track (of any type) being published by a participant
+   * @param {string} sessionId
+   * @param {string} participantIdentity
+   * @param {Object} track - { sid, type, source, name, muted }
+   */
+  setPublishedTrack(sessionId, participantIdentity, track) {
+    const session = this.getSession(sessionId);
+    if (!session) {
+      throw new Error(`Session ${sessionId} not found`);
+    }
+
+    const tracks = session.tracks || {};
+    const others = (tracks[participantIdentity] || []).filter(t => t.sid !== track.sid);
+    tracks[participantIdentity] = [...others, { ...track, publishedAt: new Date() }];
+    session.tracks = tracks;
+    this.saveSession(session);
+  }
+
+  /**
+   * Forget a track unpublished by a participant
+   * @param {string} sessionId
+   * @param {string} participantIdentity
+   * @param {string} trackSid
+   */
+  removePublishedTrack(sessionId, participantIdentity, trackSid) {
+    const session = this.getSession(sessionId);
+    if (!session?.tracks?.[participantIdentity]) {
+      return;
+    }
+
+    const remaining = session.tracks[participantIdentity].filter(t => t.sid !== trackSid);
+    if (remaining.length > 0) {
+      session.tracks[participantIdentity] = remaining;
+    } else {
+      delete session.tracks[participantIdentity];
+    }
+    this.saveSession(session);
+  }
+
+  /**
+   * Update the mute state of the audio tracks of a participant
+   * LiveKit sends no webhook for mute changes: clients and moderators report them
+   * @param {string} sessionId
+   * @param {string} participantIdentity
+   * @param {boolean} muted
+   */
+  setTracksMuted(sessionId, participantIdentity, muted) {
+    const session = this.getSession(sessionId);
+    if (!session?.tracks?.[participantIdentity]) {
+      return;
+    }
+
+    session.tracks[participantIdentity] = session.tracks[participantIdentity].map(track =>
+      track.type === 'audio' ? { ...track, muted } : track
+    );
+    this.saveSession(session);
+  }
+
+  /**
+   * Track an ingress (RTMP, WHIP or URL input) publishing into the room of a session
+   * @param {string} sessionId
+   * @param {string} ingressId
+   * @param {Object|null} ingress - { participantIdentity, inputType, startedAt }, null once it ended
+   */
+  setIngress(sessionId, ingressId, ingress) {
+    const session = this.getSession(sessionId);
+    if (!session) {
+      throw new Error(`Session ${sessionId} not found`);
+    }
+
+    const ingresses = session.ingresses || {};
+    if (ingress) {
+      ingresses[ingressId] = ingress;
+    } else {
+      delete ingresses[ingressId];
+    }
+    session.ingresses = ingresses;
+    this.saveSession(session);
+    console.log(`[SessionService] Ingress ${ingressId} ${ingress ? 'started' : 'ended'} in session ${sessionId}`);
+  }
+
+  /**
+   * Record that LiveKit opened the room of a session
+   * @param {string} sessionId
+   * @param {Date} startedAt
+   * @returns {Object|null} Updated session
+   */
+  markRoomStarted(sessionId, startedAt) {
+    const session = this.updateSession(sessionId, { roomStartedAt: startedAt, roomFinishedAt: null });
+    if (session) {
+      console.log(`[SessionService] Room of session ${sessionId} started`);
+    }
+    return session;
+  }
+
+  /**
+   * Close out a session whose room LiveKit finished (everyone left, or the room was deleted)
+   * Nobody is in the room anymore: participants, tracks and ingresses are cleared.
+   * The session itself stays open (unlike endSession): joining it again opens a new room.
+   * @param {string} sessionId
+   * @param {Date} finishedAt
+   * @returns {Object|null} Updated session
+   */
+  markRoomFinished(sessionId, finishedAt) {
+    const session = this.updateSession(sessionId, {
+      roomFinishedAt: finishedAt,
+      participants: [],
+      audioTracks: {},
+      tracks: {},
+      ingresses: {},
+    });
+    if (session) {
+      console.log(`[SessionService] Room of session ${sessionId} finished`);
+    }
+    return session;
+  }
+
+  /**
+   * Get the number of participants publishing audio in a session
+   * @param {string} sessionId
+   * @returns {number}
+   */
+  getSpeakerCount(sessionId) {
+    const session = this.getSession(sessionId);
+    return session?.audioTracks ? Object.keys(session.audioTracks).length : 0;
+  }
+
+  /**
+   * Get the number of participants who can be heard: publishing an audio track that is not muted
+   * Participants whose tracks have no known mute state count as audible
+   * @param {string} sessionId
+   * @returns {number}
+   */
+  getAudibleSpeakerCount(sessionId) {
+    const session = this.getSession(sessionId);
+    if (!session?.audioTracks) {
+      return 0;
+    }
+
+    return Object.keys(session.audioTracks).filter(identity => {
+      const audioTracks = (session.tracks?.[identity] || []).filter(track => track.type === 'audio');
+      return audioTracks.length === 0 || audioTracks.some(track => !track.muted);
+    }).length;
+  }
+
   /**
    * Get participant count for a session
    * @param {string} sessionId
@@ -149,17 +657,24 @@ class SessionService {
    * Mark session as recording
    * @param {string} sessionId
    * @param {string} egressId
+   * @param {Object} options
+   * @param {string} options.mode - 'composite' or 'multitrack'
+   * @param {string} options.recordingId - Recording ID in recordingStorage
    */
-  setRecording(sessionId, egressId) {
+  setRecording(sessionId, egressId, { mode = 'composite', recordingId = null } = {}) {
     const session = this.getSession(sessionId);
     if (!session) {
       throw new Error(`Session ${sessionId} not found`);
     }
 
     session.isRecording = true;
+    session.isPaused = false;
     session.recordingEgressId = egressId;
     session.recordingStartedAt = new Date();
-    console.log(`[SessionService] Started recording for session ${sessionId}, egress: ${egressId}`);
+    session.recordingMode = mode;
+    session.recordingId = recordingId;
+    this.saveSession(session);
+    console.log(`[SessionService] Started ${mode} recording for session ${sessionId}, egress: ${egressId}`);
   }
 
   /**
@@ -174,7 +689,9 @@ class SessionService {
     }
 
     session.isRecording = false;
+    session.isPaused = false;
     session.recordingEgressId = null;
+    this.saveSession(session);
     console.log(`[SessionService] Stopped recording for session ${sessionId}`);
   }
 
@@ -183,16 +700,82 @@ class SessionService {
    * @param {string} sessionId
    */
   deleteSession(sessionId) {
-    this.sessions.delete(sessionId);
+    this.store.delete(sessionId);
     console.log(`[SessionService] Deleted session: ${sessionId}`);
   }
 
+  /**
+   * Move an ended session to the archive
+   * @param {string} sessionId
+   * @returns {Object|null} Archived session, or null if not found
+   */
+  archiveSession(sessionId) {
+    const session = this.getSession(sessionId);
+    if (!session) {
+      console.warn(`[SessionService] Session ${sessionId} not found when archiving it`);
+      return null;
+    }
+    if (!session.endedAt) {
+      throw new Error(`Session ${sessionId} has not ended`);
+    }
+
+    const archived = this.archive.set(sessionId, { ...session, archivedAt: new Date() });
+    this.deleteSession(sessionId);
+    console.log(`[SessionService] Archived session: ${sessionId}`);
+    return archived;
+  }
+
+  /**
+   * Get all archived sessions
+   * @returns {Array}
+   */
+  getArchivedSessions() {
+    return this.archive.values();
+  }
+
   /**
    * Get all sessions (for debugging/admin)
    * @returns {Array}
    */
   getAllSessions() {
-    return Array.from(this.sessions.values());
+    return this.store.values();
+  }
+
+  /**
+   * Find sessions matching a filter
+   * @param {Object} filter
+   * @param {boolean} [filter.isRecording] - Only sessions that are (not) recording
+   * @param {string} [filter.participant] - Only sessions this identity is currently in
+   * @param {string} [filter.creatorIdentity] - Only sessions created by this identity
+   * @param {string} [filter.status] - Only sessions with this status (see getStatus)
+   * @param {boolean} [filter.archived] - Search the archived sessions instead
+   * @returns {Array}
+   */
+  findSessions({ isRecording, participant, creatorIdentity, status, archived = false } = {}) {
+    const now = new Date();
+    const sessions = archived ? this.getArchivedSessions() : this.getAllSessions();
+    return sessions.filter(session =>
+      (isRecording === undefined || session.isRecording === isRecording) &&
+      (participant === undefined || session.participants.includes(participant)) &&
+      (creatorIdentity === undefined || session.creatorIdentity === creatorIdentity) &&
+      (status === undefined || this.getStatus(session, now) === status)
+    );
+  }
+
+  /**
+   * Update session fields and persist them
+   * @param {string} sessionId
+   * @param {Object} changes
+   * @returns {Object|null} Updated session
+   */
+  updateSession(sessionId, changes) {
+    const session = this.getSession(sessionId);
+    if (!session) {
+      return null;
+    }
+
+    Object.assign(session, changes);
+    return this.saveSession(session);
   }
 }
 
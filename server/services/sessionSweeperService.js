@@ -0,0 +1,149 @@
+// Session Sweeper Service - Ends and archives sessions on a schedule
+// Each run (see config.sessionSweeper):
+//   - ends sessions past their expiresAt, and open sessions nobody was in for idleTimeoutMinutes:
+//     their recording is stopped and their LiveKit room deleted (see moderationService.endSession)
+//   - archives sessions that ended more than archiveAfterMinutes ago, once their recording is
+//     finished (egress webhooks that arrive after the end still find the session until then)
+
+const config = require('../config');
+const sessionService = require('./sessionService');
+const recordingStorage = require('./recordingStorage');
+const moderationService = require('./moderationService');
+
+const MINUTE_MS = 60 * 1000;
+
+class SessionSweeperService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Find the sessions to end
+   * @param {Date} now
+   * @returns {Array} [{ session, reason }], reason is 'expired' or 'idle'
+   */
+  findStale(now = new Date()) {
+    const { idleTimeoutMinutes } = config.sessionSweeper;
+    const stale = [];
+
+    for (const session of sessionService.getAllSessions()) {
+      const status = sessionService.getStatus(session, now);
+      if (status === 'ended') {
+        continue;
+      }
+
+      if (sessionService.isExpired(session, now)) {
+        stale.push({ session, reason: 'expired' });
+      } else if (idleTimeoutMinutes > 0 && status === 'open') {
+        // Idle since the last change (e.g. the last participant leaving), or since its scheduled start
+        const lastActivity = Math.max(
+          new Date(session.updatedAt || session.createdAt).getTime(),
+          session.scheduledFor ? new Date(session.scheduledFor).getTime() : 0
+        );
+        if (now.getTime() - lastActivity >= idleTimeoutMinutes * MINUTE_MS) {
+          stale.push({ session, reason: 'idle' });
+        }
+      }
+    }
+
+    return stale;
+  }
+
+  /**
+   * Find the ended sessions to archive
+   * @param {Date} now
+   * @returns {Promise<Array>} Sessions
+   */
+  async findArchivable(now = new Date()) {
+    const cutoff = now.getTime() - config.sessionSweeper.archiveAfterMinutes * MINUTE_MS;
+    const archivable = [];
+
+    for (const session of sessionService.getAllSessions()) {
+      if (!session.endedAt || new Date(session.endedAt).getTime() > cutoff || session.isRecording) {
+        continue;
+      }
+
+      const recording = session.recordingId ? await recordingStorage.getRecording(session.recordingId) : null;
+      if (recording && !recordingStorage.isFinalStatus(recording.status)) {
+        continue;
+      }
+      archivable.push(session);
+    }
+
+    return archivable;
+  }
+
+  /**
+   * End stale sessions and archive ended ones once
+   * @param {Date} now
+   * @returns {Promise<Object>} Report { ranAt, ended: [{ sessionId, reason }], archived, errors }
+   */
+  async run(now = new Date()) {
+    const report = { ranAt: now, ended: [], archived: [], errors: [] };
+
+    for (const { session, reason } of this.findStale(now)) {
+      try {
+        await moderationService.endSession(session.sessionId, null, reason);
+        report.ended.push({ sessionId: session.sessionId, reason });
+      } catch (error) {
+        console.error(`[SessionSweeperService] Failed to end session ${session.sessionId}:`, error.message);
+        report.errors.push({ sessionId: session.sessionId, error: error.message });
+      }
+    }
+
+    for (const session of await this.findArchivable(now)) {
+      try {
+        sessionService.archiveSession(session.sessionId);
+        report.archived.push(session.sessionId);
+      } catch (error) {
+        console.error(`[SessionSweeperService] Failed to archive session ${session.sessionId}:`, error.message);
+        report.errors.push({ sessionId: session.sessionId, error: error.message });
+      }
+    }
+
+    if (report.ended.length > 0 || report.archived.length > 0 || report.errors.length > 0) {
+      console.log(`[SessionSweeperService] ${report.ended.length} session(s) ended, ${report.archived.length} archived, ${report.errors.length} error(s)`);
+    }
+    return report;
+  }
+
+  /**
+   * Sweep sessions periodically if enabled
+   */
+  start() {
+    const { enabled, intervalMinutes } = config.sessionSweeper;
+    if (!enabled || this.timer) {
+      return;
+    }
+
+    const tick = async () => {
+      if (this.running) {
+        return;
+      }
+      this.running = true;
+      try {
+        await this.run();
+      } catch (error) {
+        console.error('[SessionSweeperService] Sweep failed:', error);
+      } finally {
+        this.running = false;
+      }
+    };
+
+    this.timer = setInterval(tick, intervalMinutes * MINUTE_MS);
+    this.timer.unref();
+    console.log(`[SessionSweeperService] Sweeping sessions every ${intervalMinutes} minute(s)`);
+    tick();
+  }
+
+  /**
+   * Stop the periodic sweeps
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = new SessionSweeperService();
@@ -0,0 +1,251 @@
+// Speaker Timeline Service - Captures who spoke when during a recording
+// Events come from webhooks (join, leave, audio published/unpublished), host mutes and
+// active-speaker reports of the clients. Each event is stored with its offset in seconds
+// from the session's recordingStartedAt; pauses are left out when the timeline is built.
+//
+// Event types: joined, left, audio_published, audio_unpublished, muted, unmuted,
+//              speaking_started, speaking_stopped
+
+const { createStore } = require('./stores');
+const sessionService = require('./sessionService');
+
+const EVENT_TYPES = [
+  'joined', 'left',
+  'audio_published', 'audio_unpublished',
+  'muted', 'unmuted',
+  'speaking_started', 'speaking_stopped',
+];
+
+// Interval kinds: the event opening an interval and the events closing it
+const INTERVALS = {
+  presence: { open: ['joined'], close: ['left'] },
+  audio: { open: ['audio_published', 'unmuted'], close: ['audio_unpublished', 'muted', 'left'] },
+  speaking: { open: ['speaking_started'], close: ['speaking_stopped', 'muted', 'audio_unpublished', 'left'] },
+};
+
+class SpeakerTimelineService {
+  constructor() {
+    this.store = createStore('speakerTimelines'); // recordingId -> { recordingId, sessionId, recordingStartedAt, events }
+    this.speaking = new Map(); // sessionId -> Set of identities reported as speaking
+  }
+
+  /**
+   * Start the timeline of a recording that was just started
+   * Participants already in the room are recorded as joined (and publishing audio) at offset 0
+   * @param {string} sessionId
+   */
+  startTimeline(sessionId) {
+    const session = sessionService.getSession(sessionId);
+    if (!session?.recordingId) {
+      return;
+    }
+
+    const { recordingId, recordingStartedAt } = session;
+    const events = [];
+    for (const identity of session.participants) {
+      events.push({ identity, type: 'joined', at: recordingStartedAt, offset: 0 });
+      if (session.audioTracks?.[identity]?.length > 0) {
+        const muted = (session.mutedParticipants || []).includes(identity);
+        events.push({ identity, type: muted ? 'muted' : 'audio_published', at: recordingStartedAt, offset: 0 });
+      }
+    }
+
+    this.speaking.delete(sessionId);
+    this.store.set(recordingId, { recordingId, sessionId, recordingStartedAt, events });
+    console.log(`[SpeakerTimelineService] Started timeline of recording ${recordingId} with ${session.participants.length} participant(s)`);
+  }
+
+  /**
+   * Record an event of a participant in the current recording of a session (no-op when not recording)
+   * @param {string} sessionId
+   * @param {string} identity
+   * @param {string} type - One of EVENT_TYPES
+   * @param {Date} at
+   */
+  recordEvent(sessionId, identity, type, at = new Date()) {
+    if (!EVENT_TYPES.includes(type)) {
+      throw new Error(`Unknown speaker event type: ${type}`);
+    }
+
+    const session = sessionService.getSession(sessionId);
+    const timeline = session?.isRecording && session.recordingId ? this.store.get(session.recordingId) : null;
+    if (!timeline) {
+      return;
+    }
+
+    const offset = Math.max(0, Math.round(at - new Date(timeline.recordingStartedAt)) / 1000);
+    timeline.events.push({ identity, type, at, offset });
+    this.store.set(timeline.recordingId, timeline);
+
+    // A participant who leaves or stops publishing is no longer speaking
+    if (['left', 'audio_unpublished', 'muted'].includes(type)) {
+      this.speaking.get(sessionId)?.delete(identity);
+    }
+  }
+
+  /**
+   * Apply an active-speaker report of a client
+   * Only changes are recorded, so the same report from several clients is stored once
+   * @param {string} sessionId
+   * @param {Array<string>} activeSpeakers - Identities currently speaking
+   * @param {Date} at
+   */
+  reportActiveSpeakers(sessionId, activeSpeakers, at = new Date()) {
+    const session = sessionService.getSession(sessionId);
+    if (!session?.isRecording) {
+      return;
+    }
+
+    const previous = this.speaking.get(sessionId) || new Set();
+    const current = new Set(activeSpeakers.filter(identity => session.participants.includes(identity)));
+
+    for (const identity of previous) {
+      if (!current.has(identity)) {
+        this.recordEvent(sessionId, identity, 'speaking_stopped', at);
+      }
+    }
+    for (const identity of current) {
+      if (!previous.has(identity)) {
+        this.recordEvent(sessionId, identity, 'speaking_started', at);
+      }
+    }
+    this.speaking.set(sessionId, current);
+  }
+
+  /**
+   * Get the raw timeline of a recording
+   * @param {string} recordingId
+   * @returns {Object|null}
+   */
+  getTimeline(recordingId) {
+    return this.store.get(recordingId);
+  }
+
+  /**
+   * Delete the timeline of a recording
+   * @param {string} recordingId
+   */
+  deleteTimeline(recordingId) {
+    this.store.delete(recordingId);
+  }
+
+  /**
+   * Map an offset from recordingStartedAt to a position in the recording, leaving out pauses
+   * Offsets inside a pause map to the position the recording was paused at
+   * @param {number} offset - Seconds from recordingStartedAt
+   * @param {Array<Object>} pauses - { start, end } in seconds from recordingStartedAt
+   * @returns {number}
+   */
+  toRecordingTime(offset, pauses) {
+    let paused = 0;
+    for (const pause of pauses) {
+      if (offset >= pause.end) {
+        paused += pause.end - pause.start;
+      } else if (offset > pause.start) {
+        paused += offset - pause.start;
+      }
+    }
+    return Math.round((offset - paused) * 1000) / 1000;
+  }
+
+  /**
+   * Build the per-participant intervals of a recording
+   * @param {Object} recording
+   * @returns {Object|null} { recordingId, recordingStartedAt, duration, participants, events }, null without timeline
+   */
+  buildTimeline(recording) {
+    const timeline = this.store.get(recording.id);
+    if (!timeline) {
+      return null;
+    }
+
+    const startedAt = new Date(timeline.recordingStartedAt);
+    const toOffset = date => (new Date(date) - startedAt) / 1000;
+    const pauses = (recording.pauses || []).map(pause => ({
+      start: toOffset(pause.pausedAt),
+      end: pause.resumedAt ? toOffset(pause.resumedAt) : Infinity,
+    }));
+    const events = timeline.events.map(event => ({
+      ...event,
+      time: this.toRecordingTime(event.offset, pauses),
+    }));
+
+    const lastEvent = events.length > 0 ? events[events.length - 1].time : 0;
+    const duration = recording.duration ?? lastEvent;
+
+    const byIdentity = new Map();
+    for (const event of events) {
+      byIdentity.set(event.identity, [...(byIdentity.get(event.identity) || []), event]);
+    }
+
+    const participants = [...byIdentity.entries()].map(([identity, identityEvents]) => {
+      const intervals = {};
+      for (const [kind, { open, close }] of Object.entries(INTERVALS)) {
+        intervals[kind] = [];
+        let start = null;
+        for (const event of identityEvents) {
+          if (start === null && open.includes(event.type)) {
+            start = event.time;
+          } else if (start !== null && close.includes(event.type)) {
+            if (event.time > start) {
+              intervals[kind].push({ start, end: event.time });
+            }
+            start = null;
+          }
+        }
+        // Still open when the recording ended
+        if (start !== null && duration > start) {
+          intervals[kind].push({ start, end: duration });
+        }
+      }
+      return { identity, ...intervals };
+    });
+
+    return {
+      recordingId: recording.id,
+      recordingStartedAt: timeline.recordingStartedAt,
+      duration,
+      participants,
+      events: events.map(({ identity, type, at, time }) => ({ identity, type, at, time })),
+    };
+  }
+
+  /**
+   * Format seconds as a WebVTT timestamp (hh:mm:ss.ttt)
+   * @param {number} seconds
+   * @returns {string}
+   */
+  formatVttTime(seconds) {
+    const ms = Math.round(seconds * 1000);
+    const pad = (value, length = 2) => String(value).padStart(length, '0');
+    return `${pad(Math.floor(ms / 3600000))}:${pad(Math.floor(ms / 60000) % 60)}:${pad(Math.floor(ms / 1000) % 60)}.${pad(ms % 1000, 3)}`;
+  }
+
+  /**
+   * Build WebVTT speaker cues from a timeline
+   * Uses the reported speaking intervals, or the unmuted audio intervals if no client reported any
+   * @param {Object} timeline - Result of buildTimeline
+   * @returns {string}
+   */
+  toWebVtt(timeline) {
+    const hasSpeaking = timeline.participants.some(p => p.speaking.length > 0);
+    const cues = timeline.participants
+      .flatMap(p => (hasSpeaking ? p.speaking : p.audio).map(interval => ({ identity: p.identity, ...interval })))
+      .sort((a, b) => a.start - b.start || a.end - b.end);
+
+    // Voice tags cannot contain '>' and cue text cannot contain '<' or '&'
+    const escape = text => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    const lines = ['WEBVTT', ''];
+    cues.forEach((cue, index) => {
+      lines.push(
+        String(index + 1),
+        `${this.formatVttTime(cue.start)} --> ${this.formatVttTime(cue.end)}`,
+        `<v ${escape(cue.identity)}>${escape(cue.identity)}`,
+        ''
+      );
+    });
+    return lines.join('\n');
+  }
+}
+
+module.exports = new SpeakerTimelineService();
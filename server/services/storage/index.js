@@ -0,0 +1,39 @@
+// Recording File Storage Providers
+// Every provider implements the same interface (keys are paths like audios/<sessionId>/...):
+//   name
+//   isConfigured(), getConfigurationError()
+//   createEgressOutput(fileName, fileType) -> EncodedFileOutput for LiveKit egress
+//   toKey(filePath) -> key of a file path reported by egress
+//   uploadFile(key, body, contentType), getFile(key), getFileStream(key, range), deleteFile(key)
+//   getSignedUrl(key, { expiresIn, downloadName }), getPublicUrl(key)
+// The provider is selected with OBJECT_STORAGE_PROVIDER ('r2', 's3' or 'local').
+
+const config = require('../../config');
+const S3Provider = require('./s3Provider');
+const LocalProvider = require('./localProvider');
+
+/**
+ * Create a storage provider
+ * @param {string} provider - 'r2', 's3' or 'local'
+ * @param {Object} overrides - Options replacing the configured ones (e.g. a tenant's bucket)
+ * @returns {S3Provider|LocalProvider}
+ */
+function createStorageProvider(provider = config.objectStorage.provider, overrides = {}) {
+  const { signedUrlTtlSeconds } = config.objectStorage;
+
+  switch (provider) {
+    case 'r2':
+      return new S3Provider({ ...config.r2, signedUrlTtlSeconds, ...overrides, name: 'r2' });
+
+    case 's3':
+      return new S3Provider({ ...config.s3, signedUrlTtlSeconds, ...overrides, name: 's3' });
+
+    case 'local':
+      return new LocalProvider({ ...config.localStorage, ...overrides });
+
+    default:
+      throw new Error(`Unknown OBJECT_STORAGE_PROVIDER: ${provider}. Use 'r2', 's3' or 'local'.`);
+  }
+}
+
+module.exports = { createStorageProvider };
@@ -0,0 +1,207 @@
+// Local Storage Provider - Recording files on the server's filesystem (development, on-prem)
+// LiveKit egress writes its files to egressDirectory, which must be the same volume as
+// directory (mounted into the egress container, possibly under another path).
+// Files are not signed: they are served through GET /api/recordings/:recordingId/stream,
+// or from publicUrl if a web server exposes the directory. Without publicUrl, stored file
+// URLs are file:// URLs of the server's filesystem.
+
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { EncodedFileOutput } = require('livekit-server-sdk');
+
+const CONTENT_TYPES = {
+  '.m4a': 'audio/mp4',
+  '.mp4': 'audio/mp4',
+  '.ogg': 'audio/ogg',
+  '.opus': 'audio/ogg',
+  '.mp3': 'audio/mpeg',
+  '.wav': 'audio/wav',
+  '.json': 'application/json',
+};
+
+/**
+ * Build an error the stream route handles like its S3 counterpart
+ * @param {string} name - 'NoSuchKey' or 'InvalidRange'
+ * @param {string} message
+ * @returns {Error}
+ */
+function storageError(name, message) {
+  const error = new Error(message);
+  error.name = name;
+  return error;
+}
+
+class LocalProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.directory - Directory the server reads and writes files in
+   * @param {string} options.egressDirectory - The same directory as seen by the egress service
+   * @param {string} options.publicUrl - Base URL the directory is served from (optional)
+   */
+  constructor({ directory, egressDirectory, publicUrl }) {
+    this.name = 'local';
+    this.directory = directory ? path.resolve(directory) : null;
+    this.egressDirectory = (egressDirectory || directory || '').replace(/\/+$/, '');
+    this.publicUrl = publicUrl;
+  }
+
+  /**
+   * Describe what is missing from the configuration
+   * @returns {string|null} Error message, or null if the provider is configured
+   */
+  getConfigurationError() {
+    return this.directory ? null : 'local storage configuration is missing. Please set LOCAL_STORAGE_DIR.';
+  }
+
+  /**
+   * Check if the storage directory is configured
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return !this.getConfigurationError();
+  }
+
+  /**
+   * Resolve a key to a path inside the storage directory
+   * @param {string} key
+   * @returns {string}
+   */
+  resolve(key) {
+    const filePath = path.resolve(this.directory, key);
+    if (!filePath.startsWith(this.directory + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  /**
+   * Create the egress output that writes a file to the shared directory
+   * @param {string} fileName - Key of the file
+   * @param {number} fileType - EncodedFileType
+   * @returns {EncodedFileOutput}
+   */
+  createEgressOutput(fileName, fileType) {
+    return new EncodedFileOutput({
+      fileType,
+      filepath: `${this.egressDirectory}/${fileName}`,
+    });
+  }
+
+  /**
+   * Map the file path reported by egress to a key
+   * @param {string} filePath - Path in egressDirectory
+   * @returns {string}
+   */
+  toKey(filePath) {
+    const prefix = `${this.egressDirectory}/`;
+    return filePath.startsWith(prefix) ? filePath.slice(prefix.length) : filePath;
+  }
+
+  /**
+   * Write a file
+   * @param {string} key
+   * @param {Buffer} body
+   * @returns {Promise<string>} URL of the file
+   */
+  async uploadFile(key, body) {
+    const filePath = this.resolve(key);
+    await fsp.mkdir(path.dirname(filePath), { recursive: true });
+    await fsp.writeFile(filePath, body);
+    console.log(`[LocalProvider] File written: ${key}`);
+    return this.getPublicUrl(key);
+  }
+
+  /**
+   * Read a file
+   * @param {string} key
+   * @returns {Promise<Buffer>}
+   */
+  async getFile(key) {
+    try {
+      return await fsp.readFile(this.resolve(key));
+    } catch (error) {
+      throw error.code === 'ENOENT' ? storageError('NoSuchKey', `File not found: ${key}`) : error;
+    }
+  }
+
+  /**
+   * Open a stream of a file (or a byte range of it), shaped like an S3 GetObject response
+   * @param {string} key
+   * @param {string} range - HTTP Range header value (optional, single range)
+   * @returns {Promise<Object>} { Body, ContentLength, ContentRange, ContentType, ETag, LastModified }
+   */
+  async getFileStream(key, range) {
+    const filePath = this.resolve(key);
+    let stats;
+    try {
+      stats = await fsp.stat(filePath);
+    } catch (error) {
+      throw error.code === 'ENOENT' ? storageError('NoSuchKey', `File not found: ${key}`) : error;
+    }
+
+    let start = 0;
+    let end = stats.size - 1;
+    let contentRange;
+    if (range) {
+      const match = /^bytes=(\d*)-(\d*)$/.exec(range.trim());
+      if (!match || (!match[1] && !match[2])) {
+        throw storageError('InvalidRange', `Unsupported range: ${range}`);
+      }
+      if (match[1]) {
+        start = parseInt(match[1], 10);
+        end = match[2] ? Math.min(parseInt(match[2], 10), stats.size - 1) : stats.size - 1;
+      } else {
+        // Suffix range: the last N bytes
+        start = Math.max(0, stats.size - parseInt(match[2], 10));
+      }
+      if (start > end || start >= stats.size) {
+        throw storageError('InvalidRange', `Range not satisfiable: ${range}`);
+      }
+      contentRange = `bytes ${start}-${end}/${stats.size}`;
+    }
+
+    return {
+      Body: fs.createReadStream(filePath, { start, end }),
+      ContentLength: end - start + 1,
+      ContentRange: contentRange,
+      ContentType: CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream',
+      ETag: `"${stats.size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}"`,
+      LastModified: stats.mtime,
+    };
+  }
+
+  /**
+   * Delete a file
+   * Deleting a file that does not exist succeeds
+   * @param {string} key
+   */
+  async deleteFile(key) {
+    await fsp.rm(this.resolve(key), { force: true });
+    console.log(`[LocalProvider] File deleted: ${key}`);
+  }
+
+  /**
+   * Local files cannot be presigned: returns the public URL, if any
+   * @param {string} key
+   * @returns {Promise<string|null>} null unless LOCAL_STORAGE_PUBLIC_URL is set
+   */
+  async getSignedUrl(key) {
+    return this.publicUrl ? this.getPublicUrl(key) : null;
+  }
+
+  /**
+   * Build the URL of a file: under publicUrl, or its file:// URL
+   * @param {string} key
+   * @returns {string}
+   */
+  getPublicUrl(key) {
+    if (this.publicUrl) {
+      return `${this.publicUrl.replace(/\/$/, '')}/${key}`;
+    }
+    return pathToFileURL(this.resolve(key)).href;
+  }
+}
+
+module.exports = LocalProvider;
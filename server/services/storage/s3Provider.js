@@ -0,0 +1,218 @@
+// S3 Storage Provider - Cloudflare R2, AWS S3 and S3-compatible servers (MinIO, ...)
+// LiveKit egress uploads recordings straight to the bucket; the server reads, writes and
+// signs objects with the AWS SDK.
+//
+// R2 quirks are only applied to the 'r2' provider: the endpoint is trimmed to the account
+// URL, region 'auto' is sent as 'us-east-1' and public URLs fall back to <bucket>.<endpoint host>.
+
+const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+const { EncodedFileOutput, S3Upload } = require('livekit-server-sdk');
+
+class S3Provider {
+  /**
+   * @param {Object} options
+   * @param {string} options.name - 'r2' or 's3'
+   * @param {string} options.accessKeyId
+   * @param {string} options.secretAccessKey
+   * @param {string} options.bucket
+   * @param {string} options.endpoint - Required for R2 and MinIO, empty for AWS S3
+   * @param {string} options.region
+   * @param {string} options.publicUrl - Base URL of a public bucket (optional)
+   * @param {boolean} options.forcePathStyle - Path-style URLs (R2, MinIO)
+   * @param {number} options.signedUrlTtlSeconds - Default lifetime of presigned URLs
+   */
+  constructor({ name, accessKeyId, secretAccessKey, bucket, endpoint, region, publicUrl, forcePathStyle, signedUrlTtlSeconds }) {
+    this.name = name;
+    this.isR2 = name === 'r2';
+    this.accessKeyId = accessKeyId;
+    this.secretAccessKey = secretAccessKey;
+    this.bucket = bucket;
+    this.publicUrl = publicUrl;
+    this.signedUrlTtlSeconds = signedUrlTtlSeconds;
+    this.forcePathStyle = this.isR2 || !!forcePathStyle;
+
+    // Endpoint should be: https://<account-id>.r2.cloudflarestorage.com
+    // NOT: https://<account-id>.r2.cloudflarestorage.com/bucket-name
+    this.endpoint = endpoint ? endpoint.trim().replace(/\/+$/, '') : null;
+    if (this.endpoint && this.isR2) {
+      this.endpoint = this.endpoint.split('/').slice(0, 3).join('/');
+    }
+
+    // The AWS SDK and LiveKit egress do not support R2's 'auto' region
+    this.region = !region || region === 'auto' ? 'us-east-1' : region;
+
+    this.s3Client = new S3Client({
+      region: this.region,
+      ...(this.endpoint ? { endpoint: this.endpoint } : {}),
+      forcePathStyle: this.forcePathStyle,
+      credentials: {
+        accessKeyId: accessKeyId || '',
+        secretAccessKey: secretAccessKey || '',
+      },
+    });
+  }
+
+  /**
+   * Describe what is missing from the configuration
+   * @returns {string|null} Error message, or null if the provider is configured
+   */
+  getConfigurationError() {
+    const prefix = this.isR2 ? 'R2' : 'S3';
+    const missing = [
+      !this.accessKeyId && `${prefix}_ACCESS_KEY`,
+      !this.secretAccessKey && `${prefix}_SECRET_KEY`,
+      !this.bucket && `${prefix}_BUCKET`,
+      this.isR2 && !this.endpoint && 'R2_ENDPOINT',
+    ].filter(Boolean);
+
+    return missing.length > 0 ? `${this.name} storage configuration is missing. Please set ${missing.join(', ')}.` : null;
+  }
+
+  /**
+   * Check if credentials and bucket are configured
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return !this.getConfigurationError();
+  }
+
+  /**
+   * Create the egress output that uploads a file to the bucket
+   * @param {string} fileName - Object key
+   * @param {number} fileType - EncodedFileType
+   * @returns {EncodedFileOutput}
+   */
+  createEgressOutput(fileName, fileType) {
+    const s3Upload = new S3Upload({
+      accessKey: this.accessKeyId,
+      secret: this.secretAccessKey,
+      region: this.region,
+      bucket: this.bucket,
+      ...(this.endpoint ? { endpoint: this.endpoint } : {}),
+      forcePathStyle: this.forcePathStyle,
+    });
+
+    return new EncodedFileOutput({
+      fileType,
+      filepath: fileName,
+      output: {
+        case: 's3',
+        value: s3Upload,
+      },
+    });
+  }
+
+  /**
+   * Map the file path reported by egress to an object key
+   * @param {string} filePath
+   * @returns {string}
+   */
+  toKey(filePath) {
+    return filePath;
+  }
+
+  /**
+   * Upload a file
+   * @param {string} key - Object key (file path)
+   * @param {Buffer} body - File content
+   * @param {string} contentType - MIME type
+   * @returns {Promise<string|null>} Public URL
+   */
+  async uploadFile(key, body, contentType = 'application/octet-stream') {
+    await this.s3Client.send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: key,
+      Body: body,
+      ContentType: contentType,
+    }));
+    console.log(`[S3Provider] File uploaded to ${this.bucket}: ${key}`);
+    return this.getPublicUrl(key);
+  }
+
+  /**
+   * Get a file
+   * @param {string} key - Object key
+   * @returns {Promise<Buffer>}
+   */
+  async getFile(key) {
+    const response = await this.s3Client.send(new GetObjectCommand({
+      Bucket: this.bucket,
+      Key: key,
+    }));
+
+    const chunks = [];
+    for await (const chunk of response.Body) {
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+  }
+
+  /**
+   * Open a stream of a file (or a byte range of it)
+   * @param {string} key - Object key
+   * @param {string} range - HTTP Range header value (optional)
+   * @returns {Promise<Object>} GetObject response: Body (stream), ContentLength, ContentRange, ContentType, ETag, LastModified
+   */
+  async getFileStream(key, range) {
+    return this.s3Client.send(new GetObjectCommand({
+      Bucket: this.bucket,
+      Key: key,
+      ...(range ? { Range: range } : {}),
+    }));
+  }
+
+  /**
+   * Delete a file
+   * Deleting a key that does not exist succeeds
+   * @param {string} key - Object key
+   */
+  async deleteFile(key) {
+    await this.s3Client.send(new DeleteObjectCommand({
+      Bucket: this.bucket,
+      Key: key,
+    }));
+    console.log(`[S3Provider] File deleted from ${this.bucket}: ${key}`);
+  }
+
+  /**
+   * Generate a presigned GET URL
+   * @param {string} key - Object key
+   * @param {Object} options
+   * @param {number} options.expiresIn - Lifetime in seconds
+   * @param {string} options.downloadName - Download the file under this name (Content-Disposition: attachment)
+   * @returns {Promise<string>} Presigned URL
+   */
+  async getSignedUrl(key, { expiresIn = this.signedUrlTtlSeconds, downloadName } = {}) {
+    const command = new GetObjectCommand({
+      Bucket: this.bucket,
+      Key: key,
+      ...(downloadName ? { ResponseContentDisposition: `attachment; filename="${downloadName.replace(/"/g, '')}"` } : {}),
+    });
+
+    return getSignedUrl(this.s3Client, command, { expiresIn });
+  }
+
+  /**
+   * Build the public URL of a file (only reachable if the bucket is public)
+   * @param {string} key - Object key
+   * @returns {string|null}
+   */
+  getPublicUrl(key) {
+    if (this.publicUrl) {
+      return `${this.publicUrl.replace(/\/$/, '')}/${key}`;
+    }
+    if (!this.bucket) {
+      return null;
+    }
+    if (this.isR2) {
+      return this.endpoint ? `https://${this.bucket}.${this.endpoint.replace(/^https?:\/\//, '')}/${key}` : null;
+    }
+    if (this.endpoint) {
+      return `${this.endpoint}/${this.bucket}/${key}`;
+    }
+    return `https://${this.bucket}.s3.${this.region}.amazonaws.com/${key}`;
+  }
+}
+
+module.exports = S3Provider;
@@ -0,0 +1,67 @@
+// Storage Service - Picks the storage provider of a recording (see storage/)
+// Sessions created for a tenant store their recordings with the tenant's provider: the
+// configured provider with the options of OBJECT_STORAGE_TENANTS applied (e.g. another bucket).
+// The tenant is stored on the recording, so its files stay in the tenant's storage.
+
+const config = require('../config');
+const { createStorageProvider } = require('./storage');
+
+class StorageService {
+  constructor() {
+    this.defaultProvider = createStorageProvider();
+    this.tenants = new Map(); // tenant -> provider
+    for (const [tenant, { provider, ...overrides }] of Object.entries(config.objectStorage.tenants)) {
+      this.tenants.set(tenant, createStorageProvider(provider || config.objectStorage.provider, overrides));
+    }
+  }
+
+  /**
+   * Check if a tenant has its own storage configuration
+   * @param {string} tenant
+   * @returns {boolean}
+   */
+  isValidTenant(tenant) {
+    return this.tenants.has(tenant);
+  }
+
+  /**
+   * Get the storage provider of a tenant
+   * @param {string} [tenant] - Default provider if empty
+   * @returns {Object} Provider (see storage/index.js)
+   */
+  getProvider(tenant) {
+    if (!tenant) {
+      return this.defaultProvider;
+    }
+    const provider = this.tenants.get(tenant);
+    if (!provider) {
+      throw new Error(`Storage tenant ${tenant} is not configured`);
+    }
+    return provider;
+  }
+
+  /**
+   * Get the storage provider holding the files of a recording
+   * @param {Object} [recording]
+   * @returns {Object} Provider (see storage/index.js)
+   */
+  forRecording(recording) {
+    return this.getProvider(recording?.storageTenant);
+  }
+
+  /**
+   * Describe the storage configuration (no secrets)
+   * @returns {Object}
+   */
+  describe() {
+    return {
+      provider: this.defaultProvider.name,
+      configured: this.defaultProvider.isConfigured(),
+      bucket: this.defaultProvider.bucket || null,
+      directory: this.defaultProvider.directory || null,
+      tenants: [...this.tenants.keys()],
+    };
+  }
+}
+
+module.exports = new StorageService();
@@ -0,0 +1,111 @@
+// File Store
+// Keeps items in memory and writes the whole collection to a JSON file shortly after it changes.
+// Writes are coalesced (one write per FLUSH_DELAY_MS at most) and done in the background;
+// pending changes are written synchronously when the process exits.
+// Suitable for a single server instance with a persistent disk.
+
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+const { parseJson } = require('./json');
+const MemoryStore = require('./memoryStore');
+
+const FLUSH_DELAY_MS = 200;
+
+// Every file store, to write their pending changes on exit
+const openStores = new Set();
+process.on('exit', () => {
+  for (const store of openStores) {
+    store.flushSync();
+  }
+});
+
+class FileStore extends MemoryStore {
+  /**
+   * @param {string} filePath - JSON file holding the collection
+   */
+  constructor(filePath) {
+    super();
+    this.filePath = filePath;
+    this.dirty = false; // Changed since the last write started
+    this.flushTimer = null;
+    this.writing = false;
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+    if (fs.existsSync(filePath)) {
+      const items = parseJson(fs.readFileSync(filePath, 'utf8'));
+      for (const [id, value] of Object.entries(items)) {
+        this.items.set(id, value);
+      }
+      console.log(`[FileStore] Loaded ${this.items.size} item(s) from ${filePath}`);
+    }
+
+    openStores.add(this);
+  }
+
+  set(id, value) {
+    super.set(id, value);
+    this.scheduleFlush();
+    return value;
+  }
+
+  delete(id) {
+    super.delete(id);
+    this.scheduleFlush();
+  }
+
+  /**
+   * Write the collection to disk soon, together with the other changes made until then
+   */
+  scheduleFlush() {
+    this.dirty = true;
+    if (this.flushTimer || this.writing) {
+      return;
+    }
+    this.flushTimer = setTimeout(() => this.flush(), FLUSH_DELAY_MS);
+    this.flushTimer.unref();
+  }
+
+  /**
+   * Write the collection to disk in the background
+   * Writes to a temporary file first so a crash never leaves a truncated file behind
+   */
+  async flush() {
+    this.flushTimer = null;
+    if (!this.dirty) {
+      return;
+    }
+
+    this.dirty = false;
+    this.writing = true;
+    const tmpPath = `${this.filePath}.tmp`;
+    try {
+      await fsp.writeFile(tmpPath, JSON.stringify(Object.fromEntries(this.items), null, 2));
+      await fsp.rename(tmpPath, this.filePath);
+    } catch (error) {
+      console.error(`[FileStore] Failed to write ${this.filePath}:`, error.message);
+      this.dirty = true;
+    } finally {
+      this.writing = false;
+    }
+
+    // Changes made while writing
+    if (this.dirty) {
+      this.scheduleFlush();
+    }
+  }
+
+  /**
+   * Write pending changes synchronously (on exit, when background writes can no longer complete)
+   */
+  flushSync() {
+    if (!this.dirty && !this.writing) {
+      return;
+    }
+    const tmpPath = `${this.filePath}.exit.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(Object.fromEntries(this.items), null, 2));
+    fs.renameSync(tmpPath, this.filePath);
+  }
+}
+
+module.exports = FileStore;
@@ -0,0 +1,36 @@
+// Storage Adapters
+// Every adapter implements the same synchronous, Map-like interface:
+//   get(id), set(id, value), has(id), delete(id), values()
+// Services mutate the objects they get back and call set() again to persist the change.
+// The adapter is selected with STORAGE_DRIVER ('memory', 'file' or 'sqlite').
+
+const path = require('path');
+const config = require('../../config');
+const MemoryStore = require('./memoryStore');
+const FileStore = require('./fileStore');
+const SqliteStore = require('./sqliteStore');
+
+/**
+ * Create a store for a collection (e.g. 'sessions')
+ * @param {string} collection - Collection name, used as file or table name
+ * @returns {MemoryStore|FileStore|SqliteStore}
+ */
+function createStore(collection) {
+  const { driver, dataDir } = config.storage;
+
+  switch (driver) {
+    case 'memory':
+      return new MemoryStore();
+
+    case 'file':
+      return new FileStore(path.join(dataDir, `${collection}.json`));
+
+    case 'sqlite':
+      return new SqliteStore(path.join(dataDir, 'stotra.db'), collection);
+
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER: ${driver}. Use 'memory', 'file' or 'sqlite'.`);
+  }
+}
+
+module.exports = { createStore };
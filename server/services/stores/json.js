@@ -0,0 +1,45 @@
+// JSON helpers shared by the durable stores
+
+// JSON has no Date type: ISO timestamps of date fields are turned back into Date objects when loading
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z$/;
+
+// Date fields are named *At (createdAt, endedAt...), `at` (log and timeline entries) or scheduledFor
+const DATE_FIELD = /^(at|[a-zA-Z]+At|scheduledFor)$/;
+
+// Opaque values supplied by API callers, returned exactly as they were stored
+const OPAQUE_FIELDS = new Set(['externalRef']);
+
+/**
+ * Restore the Date objects of a parsed value, in place
+ * Only date fields are revived: other strings that look like timestamps (e.g. labels) are kept
+ * @param {*} value
+ * @returns {*} The value
+ */
+function reviveDates(value) {
+  if (Array.isArray(value)) {
+    value.forEach((item, index) => {
+      value[index] = reviveDates(item);
+    });
+  } else if (value && typeof value === 'object') {
+    for (const [key, field] of Object.entries(value)) {
+      if (OPAQUE_FIELDS.has(key)) {
+        continue;
+      }
+      value[key] = typeof field === 'string'
+        ? (DATE_FIELD.test(key) && ISO_DATE.test(field) ? new Date(field) : field)
+        : reviveDates(field);
+    }
+  }
+  return value;
+}
+
+/**
+ * Parse stored JSON and restore its Date objects
+ * @param {string} text
+ * @returns {*}
+ */
+function parseJson(text) {
+  return reviveDates(JSON.parse(text));
+}
+
+module.exports = { parseJson };
@@ -0,0 +1,55 @@
+// In-Memory Store
+// Map-backed storage adapter. Data is lost when the process restarts.
+
+class MemoryStore {
+  constructor() {
+    this.items = new Map();
+  }
+
+  /**
+   * Get an item by ID
+   * @param {string} id
+   * @returns {Object|null}
+   */
+  get(id) {
+    return this.items.get(id) || null;
+  }
+
+  /**
+   * Insert or replace an item
+   * @param {string} id
+   * @param {Object} value
+   * @returns {Object} The stored item
+   */
+  set(id, value) {
+    this.items.set(id, value);
+    return value;
+  }
+
+  /**
+   * Check if an item exists
+   * @param {string} id
+   * @returns {boolean}
+   */
+  has(id) {
+    return this.items.has(id);
+  }
+
+  /**
+   * Delete an item
+   * @param {string} id
+   */
+  delete(id) {
+    this.items.delete(id);
+  }
+
+  /**
+   * Get all items
+   * @returns {Array}
+   */
+  values() {
+    return Array.from(this.items.values());
+  }
+}
+
+module.exports = MemoryStore;
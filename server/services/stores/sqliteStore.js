@@ -0,0 +1,78 @@
+// SQLite Store
+// One table per collection with the item serialized as JSON.
+// Uses the built-in node:sqlite module (Node.js 22.5+).
+
+const fs = require('fs');
+const path = require('path');
+const { parseJson } = require('./json');
+
+class SqliteStore {
+  /**
+   * @param {string} dbPath - SQLite database file
+   * @param {string} table - Table holding the collection
+   */
+  constructor(dbPath, table) {
+    let DatabaseSync;
+    try {
+      ({ DatabaseSync } = require('node:sqlite'));
+    } catch (error) {
+      throw new Error(`STORAGE_DRIVER=sqlite requires Node.js 22.5 or newer (running ${process.version}). Use STORAGE_DRIVER=file instead.`);
+    }
+
+    fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+    this.db = new DatabaseSync(dbPath);
+    this.db.exec(`CREATE TABLE IF NOT EXISTS ${table} (id TEXT PRIMARY KEY, data TEXT NOT NULL, updated_at TEXT NOT NULL)`);
+
+    this.statements = {
+      get: this.db.prepare(`SELECT data FROM ${table} WHERE id = ?`),
+      set: this.db.prepare(`INSERT INTO ${table} (id, data, updated_at) VALUES (?, ?, ?) ON CONFLICT(id) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at`),
+      delete: this.db.prepare(`DELETE FROM ${table} WHERE id = ?`),
+      values: this.db.prepare(`SELECT id, data FROM ${table} ORDER BY rowid`),
+    };
+
+    // Services mutate the objects they get back and then call set(),
+    // so hand out the same object for the same ID like the in-memory store does
+    this.cache = new Map();
+  }
+
+  get(id) {
+    if (this.cache.has(id)) {
+      return this.cache.get(id);
+    }
+
+    const row = this.statements.get.get(id);
+    if (!row) {
+      return null;
+    }
+
+    const value = parseJson(row.data);
+    this.cache.set(id, value);
+    return value;
+  }
+
+  set(id, value) {
+    this.statements.set.run(id, JSON.stringify(value), new Date().toISOString());
+    this.cache.set(id, value);
+    return value;
+  }
+
+  has(id) {
+    return this.get(id) !== null;
+  }
+
+  delete(id) {
+    this.statements.delete.run(id);
+    this.cache.delete(id);
+  }
+
+  values() {
+    return this.statements.values.all().map(row => {
+      if (!this.cache.has(row.id)) {
+        this.cache.set(row.id, parseJson(row.data));
+      }
+      return this.cache.get(row.id);
+    });
+  }
+}
+
+module.exports = SqliteStore;
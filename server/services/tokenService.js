@@ -2,28 +2,38 @@
 
 const { AccessToken } = require('livekit-server-sdk');
 const config = require('../config');
+const { getRoleGrants } = require('./roles');
 
 class TokenService {
+  /**
+   * Generate a random participant identity
+   * @returns {string}
+   */
+  generateIdentity() {
+    return `user-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+  }
+
   /**
    * Generate LiveKit access token
    * @param {string} roomName - Room name
    * @param {string} identity - User identity (optional, auto-generated if not provided)
+   * @param {string} role - Participant role (host, cohost, speaker or listener)
    * @returns {Promise<Object>} Token data
    */
-  async generateToken(roomName, identity = null) {
+  async generateToken(roomName, identity = null, role = 'speaker') {
     try {
       // Auto-generate identity if not provided
-      const userIdentity = identity || `user-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+      const userIdentity = identity || this.generateIdentity();
 
       const token = new AccessToken(config.livekit.apiKey, config.livekit.apiSecret, {
         identity: userIdentity,
+        attributes: { role }, // Visible to other participants
       });
 
       token.addGrant({
         room: roomName,
         roomJoin: true,
-        canPublish: true,
-        canSubscribe: true,
+        ...getRoleGrants(role),
       });
 
       const jwt = await token.toJwt();
@@ -33,6 +43,7 @@ class TokenService {
         url: config.livekit.url,
         identity: userIdentity,
         roomName: roomName,
+        role: role,
       };
     } catch (error) {
       console.error('[TokenService] Error generating token:', error);
@@ -0,0 +1,36 @@
+// Transcription Providers
+// Every provider implements the same interface:
+//   name
+//   transcribe(inputPath, { language }) -> Promise<{ language, segments: [{ start, end, text }] }>
+// with start and end in seconds from the beginning of the file.
+// The provider is selected with TRANSCRIPTION_PROVIDER ('local-command' or 'mock').
+
+const config = require('../../config');
+const LocalCommandProvider = require('./localCommandProvider');
+const MockProvider = require('./mockProvider');
+
+/**
+ * Create the configured transcription provider
+ * @returns {LocalCommandProvider|MockProvider|null} null if transcription is disabled
+ */
+function createProvider() {
+  const { provider } = config.transcription;
+
+  switch (provider) {
+    case null:
+    case undefined:
+    case '':
+      return null;
+
+    case 'local-command':
+      return new LocalCommandProvider(config.transcription);
+
+    case 'mock':
+      return new MockProvider(config.transcription);
+
+    default:
+      throw new Error(`Unknown TRANSCRIPTION_PROVIDER: ${provider}. Use 'local-command' or 'mock'.`);
+  }
+}
+
+module.exports = { createProvider };
@@ -0,0 +1,95 @@
+// Local Command Transcription Provider
+// Runs a speech-to-text binary on the server, e.g. whisper.cpp:
+//   TRANSCRIPTION_COMMAND="/opt/whisper.cpp/main -m /opt/models/ggml-base.bin -l {language} -f {input} -oj -of {output}"
+// The audio is converted to 16 kHz mono WAV first (what whisper.cpp expects). Placeholders:
+//   {input}    path of the WAV file
+//   {output}   path without extension the command writes its result to ({output}.json)
+//   {language} TRANSCRIPTION_LANGUAGE ('auto' by default)
+// The result is read from {output}.json, or from stdout if that file does not exist. Both the
+// whisper.cpp JSON format (transcription[].offsets in ms) and the openai-whisper format
+// (segments[] in seconds) are understood. The command is split on whitespace and run without a shell.
+
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const fs = require('fs/promises');
+const path = require('path');
+const config = require('../../config');
+
+const execFileAsync = promisify(execFile);
+
+class LocalCommandProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.command - Command template
+   * @param {number} options.timeoutSeconds - Kill the command after this long
+   */
+  constructor({ command, timeoutSeconds }) {
+    if (!command) {
+      throw new Error('TRANSCRIPTION_PROVIDER=local-command requires TRANSCRIPTION_COMMAND');
+    }
+
+    this.name = 'local-command';
+    this.command = command.trim().split(/\s+/);
+    this.timeoutSeconds = timeoutSeconds;
+  }
+
+  /**
+   * Parse the JSON output of the command
+   * @param {Object} result
+   * @returns {Array<Object>} { start, end, text }
+   */
+  parseSegments(result) {
+    if (Array.isArray(result.transcription)) {
+      return result.transcription.map(item => ({
+        start: item.offsets.from / 1000,
+        end: item.offsets.to / 1000,
+        text: item.text.trim(),
+      }));
+    }
+    if (Array.isArray(result.segments)) {
+      return result.segments.map(item => ({
+        start: item.start,
+        end: item.end,
+        text: item.text.trim(),
+      }));
+    }
+    throw new Error('Unrecognized transcription output: expected transcription[] or segments[]');
+  }
+
+  async transcribe(inputPath, { language = 'auto' } = {}) {
+    const wavPath = `${inputPath}.16k.wav`;
+    const outputBase = `${inputPath}.transcript`;
+    await execFileAsync(config.recording.ffmpegPath, [
+      '-hide_banner', '-loglevel', 'error', '-y',
+      '-i', inputPath,
+      '-vn', '-ac', '1', '-ar', '16000', '-c:a', 'pcm_s16le',
+      wavPath,
+    ]);
+
+    const placeholders = { '{input}': wavPath, '{output}': outputBase, '{language}': language };
+    const [binary, ...args] = this.command.map(part =>
+      part.replace(/\{input\}|\{output\}|\{language\}/g, match => placeholders[match])
+    );
+
+    console.log(`[LocalCommandProvider] Running ${path.basename(binary)} on ${path.basename(inputPath)}`);
+    const { stdout } = await execFileAsync(binary, args, {
+      timeout: this.timeoutSeconds * 1000,
+      maxBuffer: 64 * 1024 * 1024,
+    });
+
+    let output;
+    try {
+      output = await fs.readFile(`${outputBase}.json`, 'utf8');
+    } catch (error) {
+      output = stdout;
+    }
+
+    const result = JSON.parse(output);
+    return {
+      language: result.result?.language || result.language || language,
+      segments: this.parseSegments(result).filter(segment => segment.text),
+    };
+  }
+}
+
+module.exports = LocalCommandProvider;
@@ -0,0 +1,22 @@
+// Mock Transcription Provider
+// Returns a fixed transcript without looking at the audio, for tests and local development.
+
+class MockProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.mockText - Text of the transcript
+   */
+  constructor({ mockText }) {
+    this.name = 'mock';
+    this.text = mockText || 'This is a mock transcript.';
+  }
+
+  async transcribe(inputPath, { language } = {}) {
+    return {
+      language: language && language !== 'auto' ? language : 'en',
+      segments: [{ start: 0, end: 2.5, text: this.text }],
+    };
+  }
+}
+
+module.exports = MockProvider;
@@ -0,0 +1,179 @@
+// Transcription Service - Transcribes completed recordings with the configured provider
+// (see transcription/). Multitrack recordings are transcribed per track, so every segment
+// carries its speaker and is shifted by the track's offset in the recording.
+// The transcript is stored on the recording; jobs run one at a time (see jobQueue).
+
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const config = require('../config');
+const storageService = require('./storageService');
+const recordingStorage = require('./recordingStorage');
+const postProcessingService = require('./postProcessingService');
+const { createProvider } = require('./transcription');
+const JobQueue = require('./jobQueue');
+
+class TranscriptionService {
+  constructor() {
+    this.provider = createProvider();
+    // Called with the recordingId once a transcription finished or failed (set by recordingService)
+    this.onFinished = null;
+    this.jobs = new JobQueue('TranscriptionService', {
+      run: recordingId => this.transcribeRecording(recordingId),
+      onError: async (recordingId, error) => {
+        await recordingStorage.updateRecording(recordingId, {
+          transcription: { status: 'failed', startedAt: null, completedAt: new Date(), error: error.message },
+        });
+        await this.onFinished?.(recordingId);
+      },
+    });
+  }
+
+  /**
+   * Check if a transcription provider is configured
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return !!this.provider;
+  }
+
+  /**
+   * Queue a completed recording for transcription (no-op if disabled)
+   * @param {string} recordingId
+   */
+  async enqueue(recordingId) {
+    if (!this.isEnabled() || this.jobs.has(recordingId)) {
+      return;
+    }
+
+    await recordingStorage.updateRecording(recordingId, {
+      transcription: { status: 'pending', startedAt: null, completedAt: null, error: null },
+    });
+    this.jobs.push(recordingId);
+  }
+
+  /**
+   * Transcribe every audio file of a recording and store the merged transcript
+   * @param {string} recordingId
+   * @returns {Promise<Object|null>} Updated recording, or null if it no longer exists
+   */
+  async transcribeRecording(recordingId) {
+    const recording = await recordingStorage.getRecording(recordingId);
+    if (!recording) {
+      console.warn(`[TranscriptionService] Recording ${recordingId} not found, skipping`);
+      return null;
+    }
+
+    const startedAt = new Date();
+    const sources = postProcessingService.getSources(recording);
+    const storage = storageService.forRecording(recording);
+    await recordingStorage.updateRecording(recordingId, {
+      transcription: { status: 'processing', startedAt, completedAt: null, error: null },
+    });
+
+    const segments = [];
+    let language = config.transcription.language;
+    const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'transcribe-'));
+    try {
+      for (const [index, source] of sources.entries()) {
+        const inputPath = path.join(workDir, `source-${index}${path.extname(source.fileName)}`);
+        await fs.writeFile(inputPath, await storage.getFile(source.fileName));
+
+        console.log(`[TranscriptionService] Transcribing ${source.fileName} with ${this.provider.name}`);
+        const result = await this.provider.transcribe(inputPath, { language: config.transcription.language });
+        language = result.language || language;
+
+        // Per-speaker tracks start at their offset in the recording
+        const track = recording.tracks.find(t => t.fileName === source.fileName);
+        const offset = track?.offset || 0;
+        for (const segment of result.segments) {
+          segments.push({
+            start: Math.round((segment.start + offset) * 1000) / 1000,
+            end: Math.round((segment.end + offset) * 1000) / 1000,
+            speaker: source.participantIdentity,
+            text: segment.text,
+          });
+        }
+      }
+    } finally {
+      await fs.rm(workDir, { recursive: true, force: true });
+    }
+
+    segments.sort((a, b) => a.start - b.start || a.end - b.end);
+    const saved = await recordingStorage.updateRecording(recordingId, {
+      transcript: {
+        provider: this.provider.name,
+        language,
+        segments,
+        createdAt: new Date(),
+      },
+      transcription: { status: 'complete', startedAt, completedAt: new Date(), error: null },
+    });
+    console.log(`[TranscriptionService] ✅ Recording ${recordingId}: ${segments.length} segment(s) from ${sources.length} file(s)`);
+
+    await this.onFinished?.(recordingId);
+    return saved;
+  }
+
+  /**
+   * Format seconds as an SRT or WebVTT timestamp
+   * @param {number} seconds
+   * @param {string} separator - ',' for SRT, '.' for WebVTT
+   * @returns {string}
+   */
+  formatTimestamp(seconds, separator) {
+    const ms = Math.round(seconds * 1000);
+    const pad = (value, length = 2) => String(value).padStart(length, '0');
+    return `${pad(Math.floor(ms / 3600000))}:${pad(Math.floor(ms / 60000) % 60)}:${pad(Math.floor(ms / 1000) % 60)}${separator}${pad(ms % 1000, 3)}`;
+  }
+
+  /**
+   * Format a transcript as SubRip subtitles, prefixing speakers when known
+   * @param {Object} transcript
+   * @returns {string}
+   */
+  toSrt(transcript) {
+    return transcript.segments.map((segment, index) => [
+      String(index + 1),
+      `${this.formatTimestamp(segment.start, ',')} --> ${this.formatTimestamp(segment.end, ',')}`,
+      segment.speaker ? `${segment.speaker}: ${segment.text}` : segment.text,
+      '',
+    ].join('\n')).join('\n');
+  }
+
+  /**
+   * Format a transcript as WebVTT, with speakers as voice tags when known
+   * @param {Object} transcript
+   * @returns {string}
+   */
+  toWebVtt(transcript) {
+    const escape = text => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    const cues = transcript.segments.map((segment, index) => [
+      String(index + 1),
+      `${this.formatTimestamp(segment.start, '.')} --> ${this.formatTimestamp(segment.end, '.')}`,
+      segment.speaker ? `<v ${escape(segment.speaker)}>${escape(segment.text)}` : escape(segment.text),
+      '',
+    ].join('\n'));
+    return ['WEBVTT', '', ...cues].join('\n');
+  }
+
+  /**
+   * Re-queue recordings whose transcription was interrupted by a restart
+   */
+  async resumePending() {
+    if (!this.isEnabled()) {
+      return;
+    }
+
+    const recordings = await recordingStorage.getAllRecordings({ status: 'complete' });
+    const pending = recordings.filter(r => ['pending', 'processing'].includes(r.transcription?.status));
+    for (const recording of pending) {
+      await this.enqueue(recording.id);
+    }
+    if (pending.length > 0) {
+      console.log(`[TranscriptionService] Resumed transcription of ${pending.length} recording(s)`);
+    }
+  }
+}
+
+module.exports = new TranscriptionService();
@@ -0,0 +1,247 @@
+// Waveform Service - Computes peak data of completed recordings for the review UI
+// Each audio file (the composite file or every per-speaker track) is decoded with ffmpeg
+// to mono PCM and reduced to min/max peaks at a few zoom levels. The JSON is uploaded
+// next to the audio under waveforms/. Jobs run one at a time (see jobQueue).
+//
+// Every level uses the waveform-data format (as produced by audiowaveform and read by peaks.js):
+//   { version: 2, channels: 1, sample_rate, samples_per_pixel, bits: 8, length, data: [min, max, ...] }
+
+const { spawn } = require('child_process');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const config = require('../config');
+const storageService = require('./storageService');
+const recordingStorage = require('./recordingStorage');
+const postProcessingService = require('./postProcessingService');
+const JobQueue = require('./jobQueue');
+
+const SAMPLE_RATE = 8000;
+// Samples per peak: 100, 20 and 4 peaks per second (each level a multiple of the first)
+const ZOOM_LEVELS = [80, 400, 2000];
+
+class WaveformService {
+  constructor() {
+    this.jobs = new JobQueue('WaveformService', {
+      run: recordingId => this.generateForRecording(recordingId),
+      onError: (recordingId, error) => recordingStorage.updateRecording(recordingId, {
+        waveformGeneration: { status: 'failed', startedAt: null, completedAt: new Date(), error: error.message },
+      }),
+    });
+  }
+
+  /**
+   * Get the object key of the waveform of an audio file
+   * audios/<sid>/<id>.m4a.mp4 -> audios/<sid>/waveforms/<id>.json
+   * @param {string} fileName - Object key of the audio file
+   * @returns {string}
+   */
+  getWaveformFileName(fileName) {
+    const baseName = path.posix.basename(fileName).split('.')[0];
+    return path.posix.join(path.posix.dirname(fileName), 'waveforms', `${baseName}.json`);
+  }
+
+  /**
+   * Decode an audio file to mono PCM and compute peaks at the finest zoom level
+   * Streams ffmpeg's output, so long recordings are never held in memory
+   * @param {string} inputPath
+   * @returns {Promise<Object>} { samples, data: [min, max, ...] } with 16-bit values
+   */
+  decodePeaks(inputPath) {
+    const samplesPerPixel = ZOOM_LEVELS[0];
+
+    return new Promise((resolve, reject) => {
+      const ffmpeg = spawn(config.recording.ffmpegPath, [
+        '-hide_banner', '-loglevel', 'error',
+        '-i', inputPath,
+        '-vn', '-ac', '1', '-ar', String(SAMPLE_RATE),
+        '-f', 's16le', '-acodec', 'pcm_s16le', 'pipe:1',
+      ]);
+
+      const data = [];
+      let samples = 0;
+      let count = 0;
+      let min = 0;
+      let max = 0;
+      let carry = null; // Odd trailing byte of the previous chunk
+      let stderr = '';
+
+      ffmpeg.stdout.on('data', (chunk) => {
+        const buffer = carry ? Buffer.concat([carry, chunk]) : chunk;
+        const usable = buffer.length - (buffer.length % 2);
+        carry = usable < buffer.length ? buffer.subarray(usable) : null;
+
+        for (let offset = 0; offset < usable; offset += 2) {
+          const sample = buffer.readInt16LE(offset);
+          if (count === 0) {
+            min = sample;
+            max = sample;
+          } else {
+            min = Math.min(min, sample);
+            max = Math.max(max, sample);
+          }
+          count++;
+          samples++;
+          if (count === samplesPerPixel) {
+            data.push(min, max);
+            count = 0;
+          }
+        }
+      });
+      ffmpeg.stderr.on('data', (chunk) => {
+        stderr += chunk;
+      });
+      ffmpeg.on('error', reject);
+      ffmpeg.on('close', (code) => {
+        if (code !== 0) {
+          reject(new Error(`ffmpeg exited with code ${code}: ${stderr.trim()}`));
+          return;
+        }
+        if (count > 0) {
+          data.push(min, max);
+        }
+        resolve({ samples, data });
+      });
+    });
+  }
+
+  /**
+   * Build the zoom levels from the finest peaks
+   * @param {Array<number>} data - 16-bit [min, max, ...] peaks at ZOOM_LEVELS[0]
+   * @returns {Array<Object>} One waveform-data object per zoom level
+   */
+  buildLevels(data) {
+    const toByte = value => Math.max(-128, Math.min(127, Math.round(value / 256)));
+
+    return ZOOM_LEVELS.map((samplesPerPixel) => {
+      const factor = samplesPerPixel / ZOOM_LEVELS[0];
+      const levelData = [];
+      for (let i = 0; i < data.length; i += factor * 2) {
+        let min = data[i];
+        let max = data[i + 1];
+        for (let j = i + 2; j < Math.min(i + factor * 2, data.length); j += 2) {
+          min = Math.min(min, data[j]);
+          max = Math.max(max, data[j + 1]);
+        }
+        levelData.push(toByte(min), toByte(max));
+      }
+
+      return {
+        version: 2,
+        channels: 1,
+        sample_rate: SAMPLE_RATE,
+        samples_per_pixel: samplesPerPixel,
+        bits: 8,
+        length: levelData.length / 2,
+        data: levelData,
+      };
+    });
+  }
+
+  /**
+   * Queue a completed recording for waveform generation (no-op if disabled)
+   * @param {string} recordingId
+   */
+  async enqueue(recordingId) {
+    if (!config.waveform.enabled || this.jobs.has(recordingId)) {
+      return;
+    }
+
+    await recordingStorage.updateRecording(recordingId, {
+      waveformGeneration: { status: 'pending', startedAt: null, completedAt: null, error: null },
+    });
+    this.jobs.push(recordingId);
+  }
+
+  /**
+   * Compute and upload the waveform of every audio file of a recording
+   * @param {string} recordingId
+   * @returns {Promise<Object|null>} Updated recording, or null if it no longer exists
+   */
+  async generateForRecording(recordingId) {
+    const recording = await recordingStorage.getRecording(recordingId);
+    if (!recording) {
+      console.warn(`[WaveformService] Recording ${recordingId} not found, skipping`);
+      return null;
+    }
+
+    const startedAt = new Date();
+    const sources = postProcessingService.getSources(recording);
+    const storage = storageService.forRecording(recording);
+    await recordingStorage.updateRecording(recordingId, {
+      waveformGeneration: { status: 'processing', startedAt, completedAt: null, error: null },
+    });
+
+    const waveforms = [];
+    const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'waveform-'));
+    try {
+      for (const [index, source] of sources.entries()) {
+        const inputPath = path.join(workDir, `source-${index}${path.extname(source.fileName)}`);
+        await fs.writeFile(inputPath, await storage.getFile(source.fileName));
+
+        console.log(`[WaveformService] Computing peaks of ${source.fileName}`);
+        const { samples, data } = await this.decodePeaks(inputPath);
+        await fs.rm(inputPath, { force: true });
+
+        const duration = Math.round((samples / SAMPLE_RATE) * 1000) / 1000;
+        const fileName = this.getWaveformFileName(source.fileName);
+        const body = Buffer.from(JSON.stringify({ duration, levels: this.buildLevels(data) }));
+        await storage.uploadFile(fileName, body, 'application/json');
+
+        waveforms.push({
+          source: source.fileName,
+          participantIdentity: source.participantIdentity,
+          fileName,
+          duration,
+          levels: ZOOM_LEVELS,
+          createdAt: new Date(),
+        });
+      }
+    } finally {
+      await fs.rm(workDir, { recursive: true, force: true });
+    }
+
+    const saved = await recordingStorage.updateRecording(recordingId, {
+      waveforms,
+      waveformGeneration: { status: 'complete', startedAt, completedAt: new Date(), error: null },
+    });
+    console.log(`[WaveformService] ✅ Recording ${recordingId}: ${waveforms.length} waveform(s)`);
+    return saved;
+  }
+
+  /**
+   * Load a stored waveform
+   * @param {Object} recording
+   * @param {Object} waveform - Entry of recording.waveforms
+   * @param {number} [level] - Samples per pixel of a single zoom level
+   * @returns {Promise<Object|null>} { duration, levels } or one level, null if the level does not exist
+   */
+  async getWaveform(recording, waveform, level) {
+    const storage = storageService.forRecording(recording);
+    const stored = JSON.parse((await storage.getFile(waveform.fileName)).toString('utf8'));
+    if (level === undefined) {
+      return stored;
+    }
+    return stored.levels.find(l => l.samples_per_pixel === level) || null;
+  }
+
+  /**
+   * Re-queue recordings whose waveform generation was interrupted by a restart
+   */
+  async resumePending() {
+    if (!config.waveform.enabled) {
+      return;
+    }
+
+    const recordings = await recordingStorage.getAllRecordings({ status: 'complete' });
+    const pending = recordings.filter(r => ['pending', 'processing'].includes(r.waveformGeneration?.status));
+    for (const recording of pending) {
+      await this.enqueue(recording.id);
+    }
+    if (pending.length > 0) {
+      console.log(`[WaveformService] Resumed waveform generation of ${pending.length} recording(s)`);
+    }
+  }
+}
+
+module.exports = new WaveformService();
@@ -0,0 +1,79 @@
+process.env.STORAGE_DRIVER = 'memory';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const inviteService = require('../services/inviteService');
+
+test('a valid invite verifies for its session only', () => {
+  const { inviteId, invite } = inviteService.createInvite('SESSION1', 'speaker', { createdBy: 'host' });
+
+  assert.deepEqual(inviteService.verifyInvite(invite, 'SESSION1', 'guest'), {
+    inviteId,
+    sessionId: 'SESSION1',
+    role: 'speaker',
+    createdBy: 'host',
+  });
+  assert.equal(inviteService.verifyInvite(invite, 'SESSION2', 'guest'), null);
+});
+
+test('tampered and malformed invites are rejected', () => {
+  const { invite } = inviteService.createInvite('SESSION1', 'listener');
+  const [encodedPayload, signature] = invite.split('.');
+  const payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+  const forged = Buffer.from(JSON.stringify({ ...payload, role: 'host' })).toString('base64url');
+
+  assert.equal(inviteService.verifyInvite(`${forged}.${signature}`, 'SESSION1', 'guest'), null);
+  assert.equal(inviteService.verifyInvite(`${encodedPayload}.${signature.slice(1)}`, 'SESSION1', 'guest'), null);
+  assert.equal(inviteService.verifyInvite(encodedPayload, 'SESSION1', 'guest'), null);
+  assert.equal(inviteService.verifyInvite('', 'SESSION1', 'guest'), null);
+  assert.equal(inviteService.verifyInvite(undefined, 'SESSION1', 'guest'), null);
+});
+
+test('expired invites are rejected', () => {
+  const { invite } = inviteService.createInvite('SESSION1', 'speaker', { expiresIn: -1 });
+  assert.equal(inviteService.verifyInvite(invite, 'SESSION1', 'guest'), null);
+});
+
+test('unknown roles cannot be invited', () => {
+  assert.throws(() => inviteService.createInvite('SESSION1', 'owner'), /Unknown role/);
+});
+
+test('revoked invites are rejected', () => {
+  const { inviteId, invite } = inviteService.createInvite('SESSION1', 'speaker');
+
+  assert.equal(inviteService.revokeInvite('SESSION2', inviteId), null);
+  assert.ok(inviteService.verifyInvite(invite, 'SESSION1', 'guest'));
+
+  assert.ok(inviteService.revokeInvite('SESSION1', inviteId).revokedAt);
+  assert.equal(inviteService.verifyInvite(invite, 'SESSION1', 'guest'), null);
+  assert.equal(inviteService.redeemInvite(inviteId, 'guest'), false);
+});
+
+test('moderator invites are bound to the identity that redeemed them', () => {
+  const { inviteId, invite } = inviteService.createInvite('SESSION1', 'cohost');
+  assert.equal(inviteService.isSingleUse('cohost'), true);
+
+  assert.equal(inviteService.redeemInvite(inviteId, 'first'), true);
+  assert.ok(inviteService.verifyInvite(invite, 'SESSION1', 'first'));
+  assert.equal(inviteService.redeemInvite(inviteId, 'first'), true);
+
+  assert.equal(inviteService.verifyInvite(invite, 'SESSION1', 'second'), null);
+  assert.equal(inviteService.redeemInvite(inviteId, 'second'), false);
+});
+
+test('speaker and listener invites can be shared', () => {
+  const { inviteId, invite } = inviteService.createInvite('SESSION1', 'speaker');
+  assert.equal(inviteService.isSingleUse('speaker'), false);
+
+  assert.equal(inviteService.redeemInvite(inviteId, 'first'), true);
+  assert.ok(inviteService.verifyInvite(invite, 'SESSION1', 'second'));
+  assert.equal(inviteService.redeemInvite(inviteId, 'second'), true);
+});
+
+test('moderator invites are short-lived by default', () => {
+  const now = Date.now();
+  const { expiresAt } = inviteService.createInvite('SESSION1', 'host');
+
+  assert.ok(inviteService.getMaxTtlSeconds('host') < inviteService.getMaxTtlSeconds('listener'));
+  assert.ok(expiresAt.getTime() - now <= inviteService.getMaxTtlSeconds('host') * 1000 + 1000);
+});
@@ -0,0 +1,158 @@
+// POST /api/sessions/:sessionId/join: who gets which role, and which identities are reserved
+process.env.STORAGE_DRIVER = 'memory';
+process.env.ADMIN_API_KEY = 'test-admin-key';
+process.env.DEFAULT_PARTICIPANT_ROLE = 'listener';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const sessionsRouter = require('../routes/sessions');
+const sessionService = require('../services/sessionService');
+const inviteService = require('../services/inviteService');
+const tokenService = require('../services/tokenService');
+
+let server;
+let baseUrl;
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/sessions', sessionsRouter);
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+});
+
+const ADMIN = { 'X-API-Key': 'test-admin-key' };
+
+const bearer = token => ({ Authorization: `Bearer ${token}` });
+
+async function join(sessionId, body, headers = {}) {
+  const response = await fetch(`${baseUrl}/api/sessions/${sessionId}/join`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+function createSession() {
+  return sessionService.createSession('creator').sessionId;
+}
+
+test('the creator is always a host', async () => {
+  const sessionId = createSession();
+  const invite = inviteService.createInvite(sessionId, 'listener').invite;
+
+  const first = await join(sessionId, { identity: 'creator' }, ADMIN);
+  assert.equal(first.status, 200);
+  assert.equal(first.body.role, 'host');
+
+  const again = await join(sessionId, { identity: 'creator', role: 'listener', invite }, bearer(first.body.token));
+  assert.equal(again.status, 200);
+  assert.equal(again.body.role, 'host');
+});
+
+test('callers without an invite get the default role, or a self-selectable one', async () => {
+  const sessionId = createSession();
+
+  assert.equal((await join(sessionId, { identity: 'a' })).body.role, 'listener');
+  assert.equal((await join(sessionId, { identity: 'b', role: 'listener' })).body.role, 'listener');
+  assert.equal((await join(sessionId, { identity: 'c', role: 'speaker' })).status, 403);
+  assert.equal((await join(sessionId, { identity: 'd', role: 'host' })).status, 403);
+});
+
+test('an invite role beats the requested role', async () => {
+  const sessionId = createSession();
+  const invite = inviteService.createInvite(sessionId, 'speaker').invite;
+
+  const joined = await join(sessionId, { identity: 'guest', role: 'listener', invite });
+  assert.equal(joined.status, 200);
+  assert.equal(joined.body.role, 'speaker');
+});
+
+test('an invite beats the role from an earlier join', async () => {
+  const sessionId = createSession();
+  const first = await join(sessionId, { identity: 'guest' });
+  assert.equal(first.body.role, 'listener');
+
+  const invite = inviteService.createInvite(sessionId, 'cohost').invite;
+  const again = await join(sessionId, { identity: 'guest', invite }, bearer(first.body.token));
+  assert.equal(again.status, 200);
+  assert.equal(again.body.role, 'cohost');
+});
+
+test('the role from an earlier join beats the requested role', async () => {
+  const sessionId = createSession();
+  const invite = inviteService.createInvite(sessionId, 'speaker').invite;
+  const first = await join(sessionId, { identity: 'guest', invite });
+
+  const again = await join(sessionId, { identity: 'guest', role: 'listener' }, bearer(first.body.token));
+  assert.equal(again.status, 200);
+  assert.equal(again.body.role, 'speaker');
+});
+
+test('identities with a role can only be claimed with their own token', async () => {
+  const sessionId = createSession();
+  const invite = inviteService.createInvite(sessionId, 'speaker').invite;
+  await join(sessionId, { identity: 'speaker-1', invite });
+  const other = await join(sessionId, { identity: 'listener-1' });
+
+  assert.equal((await join(sessionId, { identity: 'speaker-1' })).status, 403);
+  assert.equal((await join(sessionId, { identity: 'speaker-1' }, bearer(other.body.token))).status, 403);
+  assert.equal((await join(sessionId, { identity: 'creator' })).status, 403);
+
+  sessionService.setRole(sessionId, 'assigned', 'speaker');
+  assert.equal((await join(sessionId, { identity: 'assigned' })).status, 403);
+
+  const admin = await join(sessionId, { identity: 'speaker-1' }, ADMIN);
+  assert.equal(admin.status, 200);
+  assert.equal(admin.body.role, 'speaker');
+});
+
+test('removed participants cannot rejoin', async () => {
+  const sessionId = createSession();
+  const joined = await join(sessionId, { identity: 'guest' });
+  sessionService.banParticipant(sessionId, 'guest');
+
+  assert.equal((await join(sessionId, { identity: 'guest' }, bearer(joined.body.token))).status, 403);
+});
+
+test('moderator invites are single-use', async () => {
+  const sessionId = createSession();
+  const invite = inviteService.createInvite(sessionId, 'cohost').invite;
+
+  const first = await join(sessionId, { identity: 'co-1', invite });
+  assert.equal(first.body.role, 'cohost');
+  assert.equal((await join(sessionId, { identity: 'co-2', invite })).status, 403);
+  assert.equal((await join(sessionId, { identity: 'co-1', invite }, bearer(first.body.token))).status, 200);
+});
+
+test('an invite is not used up when no token could be generated', async t => {
+  const sessionId = createSession();
+  const invite = inviteService.createInvite(sessionId, 'cohost').invite;
+
+  t.mock.method(tokenService, 'generateToken', async () => {
+    throw new Error('LiveKit is misconfigured');
+  });
+  assert.equal((await join(sessionId, { identity: 'co-1', invite })).status, 500);
+  t.mock.restoreAll();
+
+  const joined = await join(sessionId, { identity: 'co-2', invite });
+  assert.equal(joined.status, 200);
+  assert.equal(joined.body.role, 'cohost');
+});
+
+test('ended and archived sessions cannot be joined', async () => {
+  const sessionId = createSession();
+  sessionService.updateSession(sessionId, { endedAt: new Date() });
+  assert.equal((await join(sessionId, { identity: 'late' })).status, 410);
+
+  sessionService.archiveSession(sessionId);
+  assert.equal((await join(sessionId, { identity: 'late' })).status, 410);
+  assert.equal(sessionService.getSession(sessionId), null);
+});
@@ -0,0 +1,70 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LocalProvider = require('../services/storage/localProvider');
+
+const CONTENT = '0123456789';
+
+let directory;
+let provider;
+
+before(() => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), 'local-provider-'));
+  fs.writeFileSync(path.join(directory, 'recording.ogg'), CONTENT);
+  provider = new LocalProvider({ directory });
+});
+
+after(() => {
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+async function read(range) {
+  const { Body, ...head } = await provider.getFileStream('recording.ogg', range);
+  const chunks = [];
+  for await (const chunk of Body) {
+    chunks.push(chunk);
+  }
+  return { ...head, text: Buffer.concat(chunks).toString() };
+}
+
+test('without a range the whole file is returned', async () => {
+  const file = await read();
+  assert.equal(file.text, CONTENT);
+  assert.equal(file.ContentLength, 10);
+  assert.equal(file.ContentRange, undefined);
+  assert.equal(file.ContentType, 'audio/ogg');
+});
+
+test('byte ranges', async () => {
+  const cases = [
+    ['bytes=2-5', '2345', 'bytes 2-5/10'],
+    ['bytes=0-0', '0', 'bytes 0-0/10'],
+    ['bytes=7-', '789', 'bytes 7-9/10'],
+    ['bytes=4-100', '456789', 'bytes 4-9/10'], // End past the file is clamped
+    ['bytes=-3', '789', 'bytes 7-9/10'], // Suffix: the last 3 bytes
+    ['bytes=-100', CONTENT, 'bytes 0-9/10'],
+    [' bytes=1-2 ', '12', 'bytes 1-2/10'],
+  ];
+
+  for (const [range, text, contentRange] of cases) {
+    const file = await read(range);
+    assert.equal(file.text, text, range);
+    assert.equal(file.ContentLength, text.length, range);
+    assert.equal(file.ContentRange, contentRange, range);
+  }
+});
+
+test('unsupported and unsatisfiable ranges are rejected', async () => {
+  const ranges = ['bytes=-', 'bytes=a-b', 'items=0-1', 'bytes=0-1,3-4', 'bytes=10-', 'bytes=6-2', 'bytes=-0'];
+
+  for (const range of ranges) {
+    await assert.rejects(provider.getFileStream('recording.ogg', range), { name: 'InvalidRange' }, range);
+  }
+});
+
+test('missing files and keys outside the directory', async () => {
+  await assert.rejects(provider.getFileStream('missing.ogg'), { name: 'NoSuchKey' });
+  await assert.rejects(provider.getFileStream('../outside.ogg'), /Invalid storage key/);
+});
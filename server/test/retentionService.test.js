@@ -0,0 +1,73 @@
+process.env.STORAGE_DRIVER = 'memory';
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const recordingStorage = require('../services/recordingStorage');
+const retentionService = require('../services/retentionService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = new Date('2026-06-01T12:00:00Z');
+
+const daysAgo = days => new Date(NOW.getTime() - days * DAY_MS);
+
+async function addRecording(id, sessionId, { status = 'complete', startedDaysAgo, endedDaysAgo = startedDaysAgo }) {
+  await recordingStorage.createRecording({ id, sessionId, startedAt: daysAgo(startedDaysAgo) });
+  await recordingStorage.updateRecording(id, { status, endedAt: status === 'complete' || status === 'failed' ? daysAgo(endedDaysAgo) : null });
+}
+
+async function findExpiredIds(rules) {
+  const { checked, matched } = await retentionService.findExpired(rules, NOW);
+  return { checked, ids: matched.map(({ recording }) => recording.id).sort() };
+}
+
+beforeEach(async () => {
+  for (const recording of await recordingStorage.getAllRecordings()) {
+    await recordingStorage.deleteRecording(recording.id);
+  }
+
+  await addRecording('A-old', 'A', { startedDaysAgo: 40 });
+  await addRecording('A-mid', 'A', { startedDaysAgo: 20 });
+  await addRecording('A-new', 'A', { startedDaysAgo: 1 });
+  await addRecording('B-failed', 'B', { status: 'failed', startedDaysAgo: 35 });
+  await addRecording('B-active', 'B', { status: 'active', startedDaysAgo: 50 });
+});
+
+test('no rules match nothing', async () => {
+  assert.deepEqual(await findExpiredIds({ maxAgeDays: null, keepLastPerSession: null }), {
+    checked: 4,
+    ids: [],
+  });
+});
+
+test('maxAgeDays matches finished recordings that ended before the cutoff', async () => {
+  assert.deepEqual((await findExpiredIds({ maxAgeDays: 30 })).ids, ['A-old', 'B-failed']);
+  assert.deepEqual((await findExpiredIds({ maxAgeDays: 0 })).ids, ['A-mid', 'A-new', 'A-old', 'B-failed']);
+});
+
+test('recordings still running are never matched', async () => {
+  const { ids } = await findExpiredIds({ maxAgeDays: 0, keepLastPerSession: 0 });
+  assert.ok(!ids.includes('B-active'));
+});
+
+test('the age counts from the end of a recording', async () => {
+  await addRecording('C-long', 'C', { startedDaysAgo: 45, endedDaysAgo: 10 });
+  assert.ok(!(await findExpiredIds({ maxAgeDays: 30 })).ids.includes('C-long'));
+});
+
+test('keepLastPerSession keeps the most recent recordings of each session', async () => {
+  assert.deepEqual((await findExpiredIds({ keepLastPerSession: 1 })).ids, ['A-mid', 'A-old']);
+  assert.deepEqual((await findExpiredIds({ keepLastPerSession: 0 })).ids, ['A-mid', 'A-new', 'A-old', 'B-failed']);
+});
+
+test('both rules together match the union, with the first matching reason', async () => {
+  const { matched } = await retentionService.findExpired({ maxAgeDays: 30, keepLastPerSession: 2 }, NOW);
+  const reasons = Object.fromEntries(matched.map(({ recording, reason }) => [recording.id, reason]));
+
+  assert.deepEqual(reasons, {
+    'A-old': 'older than 30 day(s)',
+    'B-failed': 'older than 30 day(s)',
+  });
+
+  const { matched: byCount } = await retentionService.findExpired({ maxAgeDays: 30, keepLastPerSession: 1 }, NOW);
+  assert.equal(byCount.find(({ recording }) => recording.id === 'A-mid').reason, 'more than 1 recording(s) in session');
+});